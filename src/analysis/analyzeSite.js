@@ -0,0 +1,343 @@
+import { simulateYear } from '../solar/simulation.js';
+import { roofSurfaceArea } from '../geometry/roof.js';
+import { layoutRoof } from '../geometry/layout.js';
+import { excludedPlanArea, obstaclesOnRoof } from '../geometry/obstacles.js';
+import { createShadingMask } from '../shading/horizon.js';
+import { moduleEfficiency, sizeInverters, stringDesign } from '../equipment/electrical.js';
+import { totalLossPercent } from '../solar/losses.js';
+import { projectLifetime } from './projection.js';
+import { appraiseInvestment, installedCost } from './finance.js';
+import { computeBill } from '../tariff/tariff.js';
+import { alignConsumption, typicalLoad } from '../load/profile.js';
+import { getLocalParts } from '../solar/timeZone.js';
+import { simulateBattery } from '../battery/battery.js';
+import { RECURRING_TYPES, evaluateIncentives, programsFor, regionAt } from '../incentives/incentives.js';
+
+const DEG = Math.PI / 180;
+
+// Runs the full analysis for one site. Pure: all inputs are passed in, so the
+// same code serves the interactive map and any non-interactive callers.
+// `equipment` is { module, inverter } from the equipment catalog, `tariff` a
+// normalised tariff for the before-and-after bills and `consumption` parsed
+// interval data (without it, a typical profile for settings.buildingType
+// scaled to settings.monthlyConsumption or settings.annualConsumption).
+// `incentiveRules` are the incentive regions; the site's region is picked from
+// the coordinates unless settings.incentiveRegion names one (or 'none').
+export function analyzeSite({ lat, lng, roofs, obstacles = [], buildings = [], equipment, tariff, consumption = null, incentiveRules = [], settings, weather = null, timeZone }) {
+  const { module, inverter } = equipment;
+  const layoutSettings = { ...settings, moduleLength: module.length, moduleWidth: module.width };
+  const layouts = roofs.map(roof => layoutRoof(roof, layoutSettings, obstacles));
+  const faces = roofs.map((roof, i) => ({
+    id: roof.id,
+    name: roof.name,
+    tilt: layouts[i].tilt,
+    azimuth: layouts[i].azimuth,
+    roofArea: roofSurfaceArea(roof),
+    obstacleCount: obstaclesOnRoof(roof, obstacles).length,
+    obstacleArea: Math.min(
+      roofSurfaceArea(roof),
+      excludedPlanArea(roof, obstacles, settings.obstacleBuffer) / Math.cos(Math.min(roof.tilt, 89) * DEG)
+    ),
+    usableArea: layouts[i].moduleArea,
+    moduleCount: layouts[i].moduleCount,
+    systemSize: layouts[i].moduleCount * module.stc / 1000,
+    mounting: roof.roofType === 'flat' ? 'openRack' : 'closeRoof',
+    shading: buildings.length > 0 ? createShadingMask(roof, buildings) : null
+  }));
+  if (faces.every(face => face.moduleCount === 0)) {
+    // `code` names the message in the interface catalogs
+    const error = new Error('No modules fit on the outlined roofs. Check the roof outlines and edge setback.');
+    error.code = 'noModulesFit';
+    throw error;
+  }
+
+  const moduleCount = faces.reduce((sum, f) => sum + f.moduleCount, 0);
+  const inverters = sizeInverters(module, moduleCount, inverter, settings.dcAcRatio);
+
+  const simulation = simulateYear({
+    lat,
+    lng,
+    altitude: weather ? weather.station.elevation : 0,
+    timeZone,
+    weather,
+    faces,
+    transpositionModel: settings.transpositionModel,
+    losses: settings.losses,
+    module,
+    temperatureModel: settings.temperatureModel,
+    inverter,
+    inverterCount: inverters.count
+  });
+
+  const roofArea = Math.round(faces.reduce((sum, f) => sum + f.roofArea, 0));
+  const obstacleArea = Math.round(faces.reduce((sum, f) => sum + f.obstacleArea, 0));
+  const usableArea = Math.round(faces.reduce((sum, f) => sum + f.usableArea, 0));
+  const systemSize = Math.round(simulation.systemSize * 10) / 10;
+  const annualProduction = Math.round(simulation.annualProduction);
+
+  const measured = consumption
+    ? alignConsumption(consumption, simulation.hourly, time => getLocalParts(time, timeZone))
+    : null;
+  const load = measured ? measured.load : typicalLoad(simulation.hourly, {
+    lat,
+    annualConsumption: settings.annualConsumption,
+    monthlyConsumption: settings.monthlyConsumption,
+    buildingType: settings.buildingType
+  });
+  const annualConsumption = load.reduce((sum, kwh) => sum + kwh, 0);
+  const production = simulation.hourly.map(h => h.ac);
+  const billBefore = computeBill(tariff, simulation.hourly, load);
+  const billSolar = computeBill(tariff, simulation.hourly, load, production);
+
+  // The battery shifts energy between hours; to the meter it looks like
+  // production less what it takes in plus what it delivers
+  const battery = settings.battery.enabled
+    ? simulateBattery({ hours: simulation.hourly, load, production, battery: settings.battery, tariff })
+    : null;
+  const delivered = battery ? production.map((kwh, i) => kwh - battery.charge[i] + battery.discharge[i]) : production;
+  const billAfter = battery ? computeBill(tariff, simulation.hourly, load, delivered) : billSolar;
+  const selfConsumed = simulation.annualProduction - billAfter.exported;
+  const annualSavings = billBefore.total - billAfter.total;
+  const monthlySavings = Math.round(annualSavings / 12);
+  const percent = (value) => Math.round(value * 10) / 10;
+  const acCapacity = inverter.paco * inverters.count / 1000;
+
+  // Later years scale the first-year bill saving with production, so the
+  // projection works from the saving per kWh generated. Blank degradation
+  // settings fall back to the module datasheet.
+  const projection = projectLifetime({
+    annualProduction: simulation.annualProduction,
+    lidLoss: settings.losses.lid || 0,
+    lifetime: settings.lifetime,
+    firstYearDegradation: settings.firstYearDegradation ?? module.firstYearDegradation,
+    annualDegradation: settings.annualDegradation ?? module.annualDegradation,
+    electricityRate: annualProduction > 0 ? annualSavings / simulation.annualProduction : 0,
+    rateEscalation: settings.rateEscalation,
+    inverterReplacementYear: settings.inverterReplacementYear,
+    inverterReplacementCost: settings.inverterReplacementCost * acCapacity
+  });
+  const pvCost = installedCost(settings, {
+    dcWatts: simulation.systemSize * 1000,
+    acWatts: acCapacity * 1000,
+    moduleCount
+  });
+  const batteryCost = battery ? settings.battery.capacity * settings.battery.costPerKwh : 0;
+  const cost = battery
+    ? { total: pvCost.total + batteryCost, items: [...pvCost.items, { id: 'battery', name: 'Battery storage', cost: batteryCost }] }
+    : pvCost;
+  const region = settings.incentiveRegion === 'auto'
+    ? regionAt(incentiveRules, lat, lng)
+    : incentiveRules.find(r => r.id === settings.incentiveRegion) || null;
+  const incentives = evaluateIncentives(
+    region ? programsFor(incentiveRules, region.id).filter(program => !settings.disabledIncentives.includes(program.id)) : [],
+    {
+      startYear: settings.installYear,
+      projection,
+      pvCost: pvCost.total,
+      batteryCost,
+      systemSize: simulation.systemSize,
+      batteryCapacity: battery ? settings.battery.capacity : 0,
+      exportShare: annualProduction > 0 ? billAfter.exported / simulation.annualProduction : 0
+    }
+  );
+  const finance = appraiseInvestment({
+    capex: cost.total,
+    projection,
+    systemSize: simulation.systemSize,
+    omCost: settings.omCost,
+    insurance: settings.insurance,
+    discountRate: settings.discountRate,
+    incentives: incentives.byYear
+  });
+  const round = (value, digits) => value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+  return {
+    roofArea,
+    obstacleArea,
+    obstacleCount: faces.reduce((sum, f) => sum + f.obstacleCount, 0),
+    usableArea,
+    annualSolarIrradiance: Math.round(simulation.annualIrradiance),
+    systemSize,
+    moduleCount,
+    moduleWattage: module.stc,
+    moduleOrientation: settings.moduleOrientation,
+    module: {
+      name: module.name,
+      manufacturer: module.manufacturer,
+      efficiency: Math.round(moduleEfficiency(module) * 10) / 10
+    },
+    inverter: {
+      name: inverter.name,
+      manufacturer: inverter.manufacturer,
+      topology: inverter.topology,
+      paco: inverter.paco,
+      count: inverters.count
+    },
+    acCapacity: Math.round(acCapacity * 10) / 10,
+    dcAcRatio: Math.round(inverters.dcAcRatio * 100) / 100,
+    stringDesign: stringDesign(module, moduleCount, inverter, inverters.count),
+    nominalEnergy: Math.round(simulation.nominalDc),
+    losses: simulation.losses.map(step => ({
+      id: step.id,
+      name: step.name,
+      loss: Math.round(step.loss),
+      percent: percent(step.percent),
+      remaining: Math.round(step.remaining)
+    })),
+    totalLoss: percent(totalLossPercent(simulation.nominalDc, simulation.annualProduction)),
+    lossPreset: settings.lossPreset,
+    temperatureModel: settings.temperatureModel,
+    temperatureModelled: typeof settings.losses.temperature !== 'number',
+    averageCellTemperature: simulation.averageCellTemperature === null ? null : percent(simulation.averageCellTemperature),
+    temperatureEstimated: !weather,
+    layouts,
+    annualProduction,
+    specificYield: Math.round(simulation.specificYield),
+    monthlyProduction: simulation.monthlyProduction.map(Math.round),
+    // Hour by hour in the site's local year, for the CSV export
+    hourly: simulation.hourly.map((h, i) => ({
+      time: h.time.toISOString(),
+      month: h.month,
+      day: h.day,
+      hour: h.hour,
+      ghi: round(h.ghi, 1),
+      temperature: round(h.temperature, 1),
+      dc: round(h.dc, 4),
+      ac: round(h.ac, 4),
+      load: round(load[i], 4),
+      batteryCharge: battery ? round(battery.charge[i], 4) : 0,
+      batteryDischarge: battery ? round(battery.discharge[i], 4) : 0,
+      gridImport: round(Math.max(0, load[i] - delivered[i]), 4),
+      gridExport: round(Math.max(0, delivered[i] - load[i]), 4)
+    })),
+    buildingCount: buildings.length,
+    monthlyShadeLoss: simulation.monthlyShadeLoss.map(percent),
+    annualShadeLoss: percent(simulation.annualShadeLoss),
+    faces: simulation.faces.map((face, i) => ({
+      id: face.id,
+      name: face.name,
+      tilt: face.tilt,
+      azimuth: face.azimuth,
+      roofArea: Math.round(faces[i].roofArea),
+      moduleCount: faces[i].moduleCount,
+      obstacleArea: Math.round(faces[i].obstacleArea),
+      systemSize: Math.round(face.systemSize * 10) / 10,
+      annualIrradiance: Math.round(face.annualIrradiance),
+      annualProduction: Math.round(face.annualProduction),
+      monthlyProduction: face.monthlyProduction.map(Math.round),
+      specificYield: Math.round(face.specificYield),
+      annualShadeLoss: percent(face.annualShadeLoss),
+      skyViewFactor: faces[i].shading ? percent(faces[i].shading.diffuseFactor * 100) : 100
+    })),
+    transpositionModel: settings.transpositionModel,
+    timeZone,
+    co2Savings: Math.round(annualProduction * 0.4),
+    monthlySavings,
+    tariff: { name: tariff.name, utility: tariff.utility, exportType: tariff.export.type },
+    energy: {
+      source: measured ? 'measured' : settings.monthlyConsumption ? 'monthly' : 'annual',
+      buildingType: settings.buildingType,
+      coverage: measured ? percent(measured.coverage) : null,
+      filledHours: measured ? measured.filledHours : 0,
+      consumption: Math.round(annualConsumption),
+      selfConsumed: Math.round(selfConsumed),
+      imported: Math.round(billAfter.imported),
+      exported: Math.round(billAfter.exported),
+      selfConsumption: annualProduction > 0 ? percent(selfConsumed / simulation.annualProduction * 100) : 0,
+      solarFraction: annualConsumption > 0 ? percent(selfConsumed / annualConsumption * 100) : 0,
+      monthlyConsumption: billBefore.months.map(m => Math.round(m.imported)),
+      monthlyImport: billAfter.months.map(m => Math.round(m.imported)),
+      monthlyExport: billAfter.months.map(m => Math.round(m.exported))
+    },
+    battery: battery ? {
+      capacity: settings.battery.capacity,
+      usable: percent(battery.usable),
+      power: settings.battery.power,
+      strategy: settings.battery.strategy,
+      roundTripEfficiency: settings.battery.roundTripEfficiency,
+      cost: Math.round(batteryCost),
+      selfConsumptionBefore: annualProduction > 0
+        ? percent((simulation.annualProduction - billSolar.exported) / simulation.annualProduction * 100)
+        : 0,
+      selfConsumptionAfter: annualProduction > 0 ? percent(selfConsumed / simulation.annualProduction * 100) : 0,
+      extraSavings: Math.round(billSolar.total - billAfter.total),
+      delivered: Math.round(battery.delivered),
+      losses: Math.round(battery.losses),
+      cycles: Math.round(battery.cycles),
+      criticalLoad: settings.battery.criticalLoad,
+      averageBackupHours: round(battery.averageBackupHours, 1),
+      minimumBackupHours: round(battery.minimumBackupHours, 1)
+    } : null,
+    bill: {
+      before: Math.round(billBefore.total),
+      after: Math.round(billAfter.total),
+      savings: Math.round(annualSavings),
+      monthlyBefore: billBefore.months.map(m => Math.round(m.total)),
+      monthlyAfter: billAfter.months.map(m => Math.round(m.total)),
+      peakDemandBefore: percent(Math.max(...billBefore.months.map(m => m.peakDemand))),
+      peakDemandAfter: percent(Math.max(...billAfter.months.map(m => m.peakDemand))),
+      valuePerKwh: annualProduction > 0 ? Math.round(annualSavings / simulation.annualProduction * 1000) / 1000 : 0
+    },
+    projection: {
+      lifetime: projection.lifetime,
+      firstYearDegradation: settings.firstYearDegradation ?? module.firstYearDegradation,
+      annualDegradation: settings.annualDegradation ?? module.annualDegradation,
+      rateEscalation: settings.rateEscalation,
+      years: projection.years.map(y => ({
+        year: y.year,
+        capacity: percent(y.capacity),
+        production: Math.round(y.production),
+        rate: Math.round(y.rate * 1000) / 1000,
+        replacement: Math.round(y.replacement),
+        savings: Math.round(y.savings),
+        cumulativeSavings: Math.round(y.cumulativeSavings)
+      })),
+      totalProduction: Math.round(projection.totalProduction),
+      totalSavings: Math.round(projection.totalSavings),
+      finalCapacity: percent(projection.finalCapacity)
+    },
+    incentives: {
+      region: region ? { id: region.id, name: region.name } : null,
+      detected: settings.incentiveRegion === 'auto',
+      installYear: settings.installYear,
+      programs: incentives.programs.map(program => ({
+        id: program.id,
+        name: program.name,
+        type: program.type,
+        recurring: RECURRING_TYPES.includes(program.type),
+        firstYear: Math.round(program.payments[1] || 0),
+        total: Math.round(program.total)
+      })),
+      total: Math.round(incentives.total),
+      // Cost after the rebates and tax credits; recurring payments are income
+      netCost: Math.round(cost.total - incentives.programs
+        .filter(program => !RECURRING_TYPES.includes(program.type))
+        .reduce((sum, program) => sum + program.total, 0))
+    },
+    financial: {
+      capex: Math.round(cost.total),
+      costPerWatt: round(pvCost.total / (simulation.systemSize * 1000), 2),
+      costMode: settings.costMode,
+      costItems: cost.items.map(item => ({ ...item, cost: Math.round(item.cost) })),
+      omCost: settings.omCost,
+      insurance: settings.insurance,
+      discountRate: settings.discountRate,
+      npv: Math.round(finance.npv),
+      irr: round(finance.irr, 1),
+      lcoe: round(finance.lcoe, 3),
+      discountedPayback: round(finance.discountedPayback, 1),
+      cashFlow: finance.years.map(row => ({
+        year: row.year,
+        energyValue: Math.round(row.energyValue),
+        incentives: Math.round(row.incentives),
+        operatingCost: Math.round(row.operatingCost),
+        replacement: Math.round(row.replacement),
+        capex: Math.round(row.capex),
+        net: Math.round(row.net),
+        cumulative: Math.round(row.cumulative),
+        cumulativeDiscounted: Math.round(row.cumulativeDiscounted)
+      }))
+    },
+    paybackPeriod: round(finance.paybackPeriod, 1)
+  };
+}
@@ -0,0 +1,147 @@
+// Investment appraisal on top of the lifetime projection: installed cost,
+// annual cash flows and the usual metrics (NPV, IRR, LCOE and simple and
+// discounted payback). All amounts are nominal; year 0 is the purchase.
+// Incentives arrive as an amount per year, year 0 included, and count as
+// income in every metric, LCOE included.
+
+export const COST_MODES = [
+  { id: 'perWatt', name: 'Installed cost per watt' },
+  { id: 'itemised', name: 'Itemised bill of materials' }
+];
+
+export const BOM_UNITS = [
+  { id: 'perWatt', name: '$/W DC' },
+  { id: 'perWattAc', name: '$/W AC' },
+  { id: 'perModule', name: '$/module' },
+  { id: 'fixed', name: '$ fixed' }
+];
+
+// Typical residential figures, roughly $2/W installed in total
+export const DEFAULT_BOM = [
+  { id: 'modules', name: 'Modules', amount: 0.35, unit: 'perWatt' },
+  { id: 'inverters', name: 'Inverters', amount: 0.15, unit: 'perWattAc' },
+  { id: 'racking', name: 'Racking', amount: 0.15, unit: 'perWatt' },
+  { id: 'electrical', name: 'Electrical BOS', amount: 0.2, unit: 'perWatt' },
+  { id: 'labour', name: 'Installation labour', amount: 0.5, unit: 'perWatt' },
+  { id: 'permits', name: 'Permits & interconnection', amount: 1500, unit: 'fixed' },
+  { id: 'overhead', name: 'Design & overhead', amount: 0.4, unit: 'perWatt' }
+];
+
+export const DEFAULT_FINANCE_SETTINGS = {
+  costMode: 'perWatt',
+  installedCostPerWatt: 2.5,
+  bom: DEFAULT_BOM,
+  omCost: 20,
+  insurance: 0.25,
+  discountRate: 6
+};
+
+// Returns { total, items[{ id, name, cost }] } for a system of `dcWatts`,
+// `acWatts` and `moduleCount`
+export function installedCost(settings, { dcWatts, acWatts, moduleCount }) {
+  if (settings.costMode !== 'itemised') {
+    const total = settings.installedCostPerWatt * dcWatts;
+    return { total, items: [{ id: 'installed', name: 'Installed system', cost: total }] };
+  }
+  const quantity = { perWatt: dcWatts, perWattAc: acWatts, perModule: moduleCount, fixed: 1 };
+  const items = settings.bom.map(item => ({
+    id: item.id,
+    name: item.name,
+    cost: item.amount * (quantity[item.unit] ?? 0)
+  }));
+  return { total: items.reduce((sum, item) => sum + item.cost, 0), items };
+}
+
+export function netPresentValue(flows, rate) {
+  return flows.reduce((sum, flow, year) => sum + flow / (1 + rate) ** year, 0);
+}
+
+// Bisection on NPV(rate) = 0; null when the flows never change sign in range
+export function internalRateOfReturn(flows) {
+  let low = -0.99;
+  let high = 1;
+  let npvLow = netPresentValue(flows, low);
+  if (npvLow * netPresentValue(flows, high) > 0) return null;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    const npvMid = netPresentValue(flows, mid);
+    if (Math.abs(npvMid) < 1e-6) return mid;
+    if (npvLow * npvMid < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      npvLow = npvMid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+// Years until the running total turns positive, interpolated within the
+// crossing year; null when it never does inside the analysis period
+function paybackYears(flows) {
+  let cumulative = 0;
+  for (let year = 0; year < flows.length; year++) {
+    const previous = cumulative;
+    cumulative += flows[year];
+    if (year > 0 && previous < 0 && cumulative >= 0) {
+      return year - 1 + -previous / flows[year];
+    }
+  }
+  return null;
+}
+
+// `projection` is the output of projectLifetime; `systemSize` is kW DC
+export function appraiseInvestment({ capex, projection, systemSize, omCost, insurance, discountRate, incentives = [] }) {
+  const rate = discountRate / 100;
+  const incentiveIn = (year) => incentives[year] || 0;
+  const years = [{
+    year: 0,
+    production: 0,
+    energyValue: 0,
+    incentives: incentiveIn(0),
+    operatingCost: 0,
+    replacement: 0,
+    capex,
+    net: incentiveIn(0) - capex
+  }];
+  for (const y of projection.years) {
+    const operatingCost = omCost * systemSize + insurance / 100 * capex;
+    const energyValue = y.production * y.rate;
+    years.push({
+      year: y.year,
+      production: y.production,
+      energyValue,
+      incentives: incentiveIn(y.year),
+      operatingCost,
+      replacement: y.replacement,
+      capex: 0,
+      net: energyValue + incentiveIn(y.year) - operatingCost - y.replacement
+    });
+  }
+
+  let cumulative = 0;
+  let cumulativeDiscounted = 0;
+  for (const row of years) {
+    row.discounted = row.net / (1 + rate) ** row.year;
+    cumulative += row.net;
+    cumulativeDiscounted += row.discounted;
+    row.cumulative = cumulative;
+    row.cumulativeDiscounted = cumulativeDiscounted;
+  }
+
+  const flows = years.map(row => row.net);
+  const discountedFlows = years.map(row => row.discounted);
+  const discountedCost = years.reduce((sum, row) =>
+    sum + (row.capex + row.operatingCost + row.replacement - row.incentives) / (1 + rate) ** row.year, 0);
+  const discountedProduction = years.reduce((sum, row) => sum + row.production / (1 + rate) ** row.year, 0);
+  const irr = internalRateOfReturn(flows);
+
+  return {
+    years,
+    npv: cumulativeDiscounted,
+    irr: irr === null ? null : irr * 100,
+    lcoe: discountedProduction > 0 ? discountedCost / discountedProduction : null,
+    paybackPeriod: paybackYears(flows),
+    discountedPayback: paybackYears(discountedFlows)
+  };
+}
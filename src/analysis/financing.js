@@ -0,0 +1,103 @@
+import { netPresentValue } from './finance.js';
+
+// Ways of paying for the system, compared from the customer's side over the
+// analysis period.
+//   cash  - the customer buys outright, keeps the incentives and pays the
+//           upkeep (the base appraisal)
+//   loan  - as cash, with the purchase spread over fixed monthly repayments
+//   lease - a third party owns the system, keeps the incentives and pays the
+//           upkeep; the customer pays a monthly fee rising by the escalator
+//   ppa   - as lease, but the customer pays per kWh the system generates
+
+export const FINANCING_OPTIONS = [
+  { id: 'cash', name: 'Cash' },
+  { id: 'loan', name: 'Loan' },
+  { id: 'lease', name: 'Lease' },
+  { id: 'ppa', name: 'PPA' }
+];
+
+export const DEFAULT_FINANCING = {
+  loan: { term: 20, rate: 7, downPayment: 0 },
+  lease: { monthlyPayment: 100, escalator: 2.9 },
+  ppa: { price: 0.1, escalator: 2.9 }
+};
+
+export function loanPayment(principal, annualRate, years) {
+  const rate = annualRate / 1200;
+  const months = years * 12;
+  if (months === 0) return principal;
+  return rate > 0 ? principal * rate / (1 - (1 + rate) ** -months) : principal / months;
+}
+
+// Principal still owed after `monthsPaid` repayments
+export function loanBalance(principal, annualRate, years, monthsPaid) {
+  const rate = annualRate / 1200;
+  const months = years * 12;
+  if (monthsPaid >= months) return 0;
+  if (rate === 0) return principal * (1 - monthsPaid / months);
+  const payment = loanPayment(principal, annualRate, years);
+  return principal * (1 + rate) ** monthsPaid - payment * ((1 + rate) ** monthsPaid - 1) / rate;
+}
+
+// `analysis` is the output of analyzeSite. Each option gets its yearly
+// customer cash flow relative to staying on the utility bill, what it costs a
+// month in the first year (bill with solar, payments and upkeep, less any
+// recurring incentive income) next to the bill without solar, and the
+// lifetime savings and NPV of that flow. A loan running past the analysis
+// period is paid off in its final year, so the balance left is not dropped;
+// `payoff` is that amount.
+export function compareFinancing(analysis, financing) {
+  const { cashFlow, capex, discountRate } = analysis.financial;
+  const lifetime = cashFlow.length - 1;
+  const production = analysis.projection.years.map(y => y.production);
+  const recurringIncome = analysis.incentives.programs
+    .filter(program => program.recurring)
+    .reduce((sum, program) => sum + program.firstYear, 0);
+  const { loan, lease, ppa } = financing;
+  const principal = capex * (1 - loan.downPayment / 100);
+  const loanMonthly = loanPayment(principal, loan.rate, loan.term);
+  const loanPayoff = loanBalance(principal, loan.rate, loan.term, lifetime * 12);
+
+  const owned = (row) => row.energyValue + row.incentives - row.operatingCost - row.replacement;
+  const flowsFor = {
+    cash: (row) => row.net,
+    loan: (row) => row.year === 0
+      ? row.incentives - capex * loan.downPayment / 100
+      : owned(row) - (row.year <= loan.term ? loanMonthly * 12 : 0) - (row.year === lifetime ? loanPayoff : 0),
+    lease: (row) => row.year === 0
+      ? 0
+      : row.energyValue - lease.monthlyPayment * 12 * (1 + lease.escalator / 100) ** (row.year - 1),
+    ppa: (row) => row.year === 0
+      ? 0
+      : row.energyValue - ppa.price * (1 + ppa.escalator / 100) ** (row.year - 1) * production[row.year - 1]
+  };
+  // First-year payments to the lender, lessor or PPA provider
+  const firstPayment = {
+    cash: 0,
+    loan: loan.term > 0 ? loanMonthly * 12 : 0,
+    lease: lease.monthlyPayment * 12,
+    ppa: ppa.price * (production[0] || 0)
+  };
+  const firstRow = cashFlow[1];
+
+  return FINANCING_OPTIONS.map(option => {
+    const flows = cashFlow.map(flowsFor[option.id]);
+    const ownerCosts = option.id === 'cash' || option.id === 'loan'
+      ? firstRow.operatingCost - recurringIncome
+      : 0;
+    const monthlyCost = (analysis.bill.after + firstPayment[option.id] + ownerCosts) / 12;
+    return {
+      id: option.id,
+      name: option.name,
+      upfront: Math.round(Math.max(0, -flows[0])),
+      monthlyPayment: Math.round(firstPayment[option.id] / 12),
+      payoff: option.id === 'loan' ? Math.round(loanPayoff) : 0,
+      monthlyCost: Math.round(monthlyCost),
+      monthlyBill: Math.round(analysis.bill.before / 12),
+      monthlySavings: Math.round(analysis.bill.before / 12 - monthlyCost),
+      lifetimeSavings: Math.round(flows.reduce((sum, flow) => sum + flow, 0)),
+      npv: Math.round(netPresentValue(flows, discountRate / 100)),
+      flows: flows.map(Math.round)
+    };
+  });
+}
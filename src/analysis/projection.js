@@ -0,0 +1,53 @@
+// Year-by-year production and savings over the system lifetime.
+//
+// The simulated year already carries the light-induced degradation (LID)
+// entered as a loss, so the projection first takes that back out and then
+// applies the datasheet degradation: first-year loss in year 1 and a
+// constant annual rate after that.
+
+export const DEFAULT_LIFETIME = 25;
+export const DEFAULT_RATE_ESCALATION = 2;
+
+export function projectLifetime({
+  annualProduction,
+  lidLoss = 0,
+  lifetime = DEFAULT_LIFETIME,
+  firstYearDegradation,
+  annualDegradation,
+  electricityRate,
+  rateEscalation = 0,
+  inverterReplacementYear = null,
+  inverterReplacementCost = 0
+}) {
+  const undegraded = annualProduction / (1 - lidLoss / 100);
+  const years = [];
+  let cumulativeProduction = 0;
+  let cumulativeSavings = 0;
+
+  for (let year = 1; year <= lifetime; year++) {
+    const capacityFactor = (1 - firstYearDegradation / 100) * (1 - annualDegradation / 100) ** (year - 1);
+    const production = undegraded * capacityFactor;
+    const rate = electricityRate * (1 + rateEscalation / 100) ** (year - 1);
+    const replacement = year === inverterReplacementYear ? inverterReplacementCost : 0;
+    const savings = production * rate - replacement;
+    cumulativeProduction += production;
+    cumulativeSavings += savings;
+    years.push({
+      year,
+      capacity: capacityFactor * 100,
+      production,
+      rate,
+      replacement,
+      savings,
+      cumulativeSavings
+    });
+  }
+
+  return {
+    lifetime,
+    years,
+    totalProduction: cumulativeProduction,
+    totalSavings: cumulativeSavings,
+    finalCapacity: years.length > 0 ? years[years.length - 1].capacity : 100
+  };
+}
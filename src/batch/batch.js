@@ -0,0 +1,274 @@
+import { analyzeSite } from '../analysis/analyzeSite.js';
+import { resolveTimeZone } from '../solar/timeZone.js';
+import { clearSkySource } from '../weather/sources.js';
+import { createLocalProjection, haversineDistance, ringArea, ringCentroid } from '../geometry/geodesy.js';
+import { createRoof } from '../geometry/roof.js';
+import { geocode } from '../map/geocode.js';
+import { splitCsvLine, splitCsvRecords, toCsv } from '../util/csv.js';
+
+// Batch analysis of many sites from one CSV. Each row needs an address or a
+// latitude/longitude pair, and a roof as a WKT polygon or a roof area (taken
+// as a square flat roof at the location). Rows run one at a time through the
+// same analyzeSite the map uses, with the current settings and a typical
+// load scaled to the row's annual consumption when it has one. The enriched
+// CSV is the input with the results appended to every row, failures included.
+
+const SQUARE_FEET_PER_M2 = 10.7639;
+
+// A weather file holds one station's climate; sites farther from it than
+// this use the modelled sky rather than weather from another climate
+export const MAX_STATION_DISTANCE_KM = 100;
+
+// Headers are matched with case, spaces and punctuation removed
+const COLUMN_ALIASES = {
+  name: ['name', 'site', 'sitename', 'school', 'building', 'id'],
+  address: ['address', 'fulladdress', 'street', 'location'],
+  lat: ['lat', 'latitude'],
+  lng: ['lng', 'lon', 'long', 'longitude'],
+  area: ['roofarea', 'roofaream2', 'roofaream', 'area', 'aream2', 'roofareaft2', 'roofareasqft', 'areasqft', 'areaft2'],
+  wkt: ['wkt', 'polygon', 'geometry', 'roofwkt', 'footprint', 'roofpolygon'],
+  consumption: ['annualconsumption', 'annualconsumptionkwh', 'consumption', 'consumptionkwh', 'annualusage', 'annualusagekwh']
+};
+
+const resultColumns = (currency) => [
+  'status', 'error_code', 'error', 'latitude', 'longitude', 'geocoded_as', 'roof_area_m2', 'system_kw', 'module_count',
+  'annual_kwh', 'specific_yield_kwh_kwp', 'consumption_kwh', 'self_consumption_pct', 'weather_source', 'weather_station_km', 'weather_error', `annual_savings_${currency}`, `installed_cost_${currency}`,
+  'payback_years', `npv_${currency}`, 'irr_pct', 'co2_kg_per_year'
+];
+
+// Errors carry a `code` naming the message in the interface catalogs
+// (batchPanel.error.<code>) and, where the cause is another module's message,
+// a `detail` to show with it
+function batchError(code, message, detail = null) {
+  const error = new Error(detail ? `${message} ${detail}` : message);
+  error.code = code;
+  error.detail = detail;
+  return error;
+}
+
+// What a row keeps of the error that failed it; errors without a code of
+// their own are unexpected and shown with their message
+export const rowError = (error) => error.code
+  ? { code: error.code, detail: error.detail ?? null }
+  : { code: 'unexpected', detail: error.message };
+
+export const describeBatchError = (error, t) => t(`batchPanel.error.${error.code}`, { detail: error.detail });
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Outer ring of a POLYGON, or of the first polygon of a MULTIPOLYGON, as
+// open [lng, lat] positions
+export function parseWkt(text) {
+  const match = text.trim().match(/^(MULTI)?POLYGON(?:\s+Z|\s+M|\s+ZM)?\s*\(\s*\(\s*(\(\s*)?([^()]+)\)/i);
+  if (!match || Boolean(match[1]) !== Boolean(match[2])) {
+    throw batchError('wktNotPolygon', 'The roof polygon is not a WKT POLYGON or MULTIPOLYGON.');
+  }
+  const ring = match[3].split(',').map(pair => pair.trim().split(/\s+/).map(Number));
+  if (ring.some(position => position.length < 2 || position.some(isNaN))) {
+    throw batchError('wktNotNumbers', 'The roof polygon has coordinates that are not numbers.');
+  }
+  const points = ring.map(([lng, lat]) => [lng, lat]);
+  const [first, last] = [points[0], points[points.length - 1]];
+  const open = first[0] === last[0] && first[1] === last[1] ? points.slice(0, -1) : points;
+  if (open.length < 3) throw batchError('wktTooFewCorners', 'The roof polygon needs at least three corners.');
+  return open;
+}
+
+// Square plan outline of `area` m² centred on the location
+export function squareFootprint(location, area) {
+  const half = Math.sqrt(area) / 2;
+  const { inverse } = createLocalProjection(location);
+  return [[-half, -half], [half, -half], [half, half], [-half, half]].map(inverse);
+}
+
+const parseNumber = (text) => {
+  if (text === undefined || text.trim() === '') return null;
+  const value = Number(text.replace(/\s/g, ''));
+  return isNaN(value) ? undefined : value;
+};
+
+// Problems with a single row are kept on the row as `error` ({ code,
+// detail }) so the run reports them; only an unusable file throws
+export function parseBatchFile(text) {
+  const records = splitCsvRecords(text.replace(/^\uFEFF/, ''));
+  if (records.length < 2) throw batchError('noSites', 'The file needs a header row and at least one site.');
+  const delimiter = records[0].split(';').length > records[0].split(',').length ? ';' : ',';
+  const header = splitCsvLine(records[0], delimiter);
+  const normalized = header.map(normalizeHeader);
+  const column = (key) => normalized.findIndex(name => COLUMN_ALIASES[key].includes(name));
+  const columns = Object.fromEntries(Object.keys(COLUMN_ALIASES).map(key => [key, column(key)]));
+  if (columns.address < 0 && (columns.lat < 0 || columns.lng < 0) && columns.wkt < 0) {
+    throw batchError('noLocationColumns', 'No location columns found. Add an address column, latitude and longitude columns, or a WKT roof polygon.');
+  }
+  const areaInFeet = columns.area >= 0 && /ft|sqft/.test(normalized[columns.area]);
+
+  const rows = records.slice(1).map((record, index) => {
+    const fields = splitCsvLine(record, delimiter);
+    const field = (key) => columns[key] >= 0 ? fields[columns[key]] : undefined;
+    const row = {
+      index,
+      fields,
+      name: field('name') || field('address') || null,
+      address: field('address') || null,
+      location: null,
+      roof: null,
+      area: null,
+      consumption: null,
+      status: 'pending',
+      error: null,
+      result: null
+    };
+    try {
+      const lat = parseNumber(field('lat'));
+      const lng = parseNumber(field('lng'));
+      if (lat === undefined || lng === undefined) throw batchError('coordinatesNotNumbers', 'Latitude or longitude is not a number.');
+      if (lat !== null && lng !== null) {
+        if (lat < -90 || lat > 90 || lng < -180 || lng > 180) throw batchError('coordinatesOutOfRange', 'Latitude or longitude is out of range.');
+        row.location = { lat, lng };
+      }
+      if (field('wkt')) row.roof = parseWkt(field('wkt'));
+      const area = parseNumber(field('area'));
+      if (area === undefined || (area !== null && area <= 0)) throw batchError('areaNotPositive', 'The roof area is not a positive number.');
+      if (area !== null) row.area = areaInFeet ? area / SQUARE_FEET_PER_M2 : area;
+      const consumption = parseNumber(field('consumption'));
+      if (consumption === undefined || (consumption !== null && consumption < 0)) throw batchError('consumptionNotNumber', 'The annual consumption is not a number.');
+      row.consumption = consumption;
+      if (!row.location && !row.address && !row.roof) throw batchError('noLocation', 'No address, coordinates or roof polygon.');
+      if (!row.roof && row.area === null) throw batchError('noRoof', 'No roof polygon or roof area.');
+    } catch (error) {
+      row.status = 'failed';
+      row.error = rowError(error);
+    }
+    return row;
+  });
+
+  return { header, rows };
+}
+
+// `context` holds what every row shares: { token, equipment, tariff,
+// incentiveRules, settings, weatherSource }. Resolves to the row's result;
+// rejects with a coded error (see rowError) when the row cannot be analysed.
+export async function analyzeBatchRow(row, context) {
+  let location = row.location;
+  let geocodedAs = null;
+  if (!location && row.roof) {
+    location = ringCentroid(row.roof);
+  } else if (!location) {
+    let place;
+    try {
+      place = await geocode(row.address, context.token);
+    } catch (error) {
+      throw batchError('geocodingFailed', 'Geocoding failed:', error.message);
+    }
+    if (!place) throw batchError('addressNotFound', 'Address not found.');
+    location = { lat: place.lat, lng: place.lng };
+    geocodedAs = place.placeName;
+  }
+
+  const outline = createRoof(row.roof || squareFootprint(location, row.area), 0);
+  const roof = { ...outline, id: `roof_${row.index + 1}`, name: row.name || outline.name };
+  const { lat, lng } = ringCentroid(roof.coordinates);
+  const timeZone = resolveTimeZone(lat, lng);
+
+  // A weather source that fails, or whose station is too far from the site,
+  // falls back to the modelled sky; the reason stays on the row's result
+  // rather than failing it
+  let weatherSource = context.weatherSource;
+  let weather = null;
+  let weatherError = null;
+  let stationDistance = null;
+  try {
+    weather = await weatherSource.getWeather({ lat, lng });
+  } catch (error) {
+    weatherError = { code: 'weatherUnavailable', detail: `${context.weatherSource.name}: ${error.message}` };
+    weatherSource = clearSkySource;
+  }
+  if (weather) {
+    stationDistance = Math.round(haversineDistance({ lat, lng }, weather.station) / 1000);
+    if (stationDistance > MAX_STATION_DISTANCE_KM) {
+      weatherError = { code: 'weatherTooFar', detail: `${context.weatherSource.name}: ${stationDistance} km` };
+      weather = null;
+      weatherSource = clearSkySource;
+    }
+  }
+
+  const analysis = analyzeSite({
+    lat,
+    lng,
+    roofs: [roof],
+    equipment: context.equipment,
+    tariff: context.tariff,
+    incentiveRules: context.incentiveRules,
+    settings: row.consumption === null
+      ? context.settings
+      : { ...context.settings, annualConsumption: row.consumption, monthlyConsumption: null },
+    weather,
+    timeZone
+  });
+
+  // Only the figures are kept: a run over hundreds of sites cannot hold every
+  // hourly series
+  return {
+    location: { lat, lng },
+    geocodedAs,
+    roofArea: Math.round(ringArea(roof.coordinates)),
+    systemSize: analysis.systemSize,
+    moduleCount: analysis.moduleCount,
+    annualProduction: analysis.annualProduction,
+    specificYield: analysis.specificYield,
+    consumption: analysis.energy.consumption,
+    selfConsumption: analysis.energy.selfConsumption,
+    annualSavings: analysis.bill.savings,
+    capex: analysis.financial.capex,
+    paybackPeriod: analysis.paybackPeriod,
+    npv: analysis.financial.npv,
+    irr: analysis.financial.irr,
+    co2Savings: analysis.co2Savings,
+    weatherSource: weatherSource.name,
+    stationDistance,
+    weatherError
+  };
+}
+
+// The input columns followed by the results; money in the display currency
+// and errors in the interface language
+export function batchCsv(batch, units, t) {
+  const columns = resultColumns(units.currency.toLowerCase());
+  const money = (usd) => Math.round(units.toCurrency(usd));
+  return toCsv(
+    [...batch.header, ...columns],
+    batch.rows.map(row => {
+      const fields = batch.header.map((_, i) => row.fields[i] ?? '');
+      const r = row.result;
+      if (!r) {
+        const error = row.error ? [row.error.code, describeBatchError(row.error, t)] : ['', ''];
+        return [...fields, row.status, ...error, ...new Array(columns.length - 3).fill('')];
+      }
+      return [
+        ...fields,
+        row.status,
+        '',
+        '',
+        r.location.lat.toFixed(6),
+        r.location.lng.toFixed(6),
+        r.geocodedAs || '',
+        r.roofArea,
+        r.systemSize,
+        r.moduleCount,
+        r.annualProduction,
+        r.specificYield,
+        r.consumption,
+        r.selfConsumption,
+        r.weatherSource,
+        r.stationDistance ?? '',
+        r.weatherError ? describeBatchError(r.weatherError, t) : '',
+        money(r.annualSavings),
+        money(r.capex),
+        r.paybackPeriod ?? '',
+        money(r.npv),
+        r.irr ?? '',
+        r.co2Savings
+      ];
+    })
+  );
+}
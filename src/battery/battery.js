@@ -0,0 +1,107 @@
+import { periodAt } from '../tariff/tariff.js';
+
+// Hourly battery dispatch against the building load and PV production.
+//
+// State of charge is tracked in usable kWh (capacity × depth of discharge);
+// the round-trip efficiency is split evenly between charging and discharging.
+// Strategies:
+//   selfConsumption - store PV surplus, discharge whenever the load exceeds PV
+//   touArbitrage    - store PV surplus and hold back what the dearest hours
+//                     of the coming day will need, topping that up from the
+//                     grid in its cheapest hours when the price spread covers
+//                     the losses
+//   backupReserve   - as selfConsumption, but never below a reserve kept for
+//                     outages
+
+export const BATTERY_STRATEGIES = [
+  { id: 'selfConsumption', name: 'Maximise self-consumption' },
+  { id: 'touArbitrage', name: 'Time-of-use arbitrage' },
+  { id: 'backupReserve', name: 'Backup reserve' }
+];
+
+export const DEFAULT_BATTERY = {
+  enabled: false,
+  capacity: 13.5,
+  power: 5,
+  roundTripEfficiency: 90,
+  depthOfDischarge: 90,
+  strategy: 'selfConsumption',
+  reserve: 30,
+  criticalLoad: 0.5,
+  costPerKwh: 900
+};
+
+// First-tier energy rate of the tariff period each hour falls in
+function hourlyRates(tariff, hours) {
+  const rates = new Map(tariff.periods.map(period => [period.id, period.tiers[0].rate]));
+  return hours.map(h => rates.get(periodAt(tariff, h)));
+}
+
+// `load` and `production` are kWh per hourly step. Returns the per-hour
+// charge (kWh drawn in) and discharge (kWh delivered), the state of charge at
+// the end of each hour, and yearly totals.
+export function simulateBattery({ hours, load, production, battery, tariff }) {
+  const usable = battery.capacity * battery.depthOfDischarge / 100;
+  const oneWay = Math.sqrt(battery.roundTripEfficiency / 100);
+  const floor = battery.strategy === 'backupReserve' ? usable * battery.reserve / 100 : 0;
+  const rates = hourlyRates(tariff, hours);
+
+  // Energy to keep now for the deficits in the coming day's peak-rate hours,
+  // net of PV surplus expected to recharge the battery before them
+  const peakNeed = (i, peakRate) => {
+    let balance = 0;
+    let need = 0;
+    for (let j = i + 1; j < Math.min(hours.length, i + 25); j++) {
+      const net = production[j] - load[j];
+      if (net > 0) balance -= Math.min(net, battery.power) * oneWay;
+      else if (rates[j] === peakRate) balance += Math.min(-net, battery.power) / oneWay;
+      need = Math.max(need, balance);
+    }
+    return Math.min(usable, need);
+  };
+
+  const charge = new Float64Array(hours.length);
+  const discharge = new Float64Array(hours.length);
+  const soc = new Float64Array(hours.length);
+  // Start the year half full so the first hours are not special
+  let stored = usable / 2;
+  for (let i = 0; i < hours.length; i++) {
+    const surplus = production[i] - load[i];
+    let keep = floor;
+    let gridCharging = false;
+    if (battery.strategy === 'touArbitrage') {
+      const ahead = rates.slice(i, i + 24);
+      const peakRate = Math.max(...ahead);
+      const cheapest = Math.min(...ahead);
+      if (rates[i] < peakRate) keep = peakNeed(i, peakRate);
+      gridCharging = rates[i] === cheapest && cheapest < peakRate * oneWay * oneWay;
+    }
+    if (surplus > 0) {
+      charge[i] = Math.min(surplus, battery.power, (usable - stored) / oneWay);
+    } else if (gridCharging && stored < keep) {
+      charge[i] = Math.min(battery.power, (keep - stored) / oneWay);
+    } else {
+      discharge[i] = Math.min(-surplus, battery.power, Math.max(0, stored - keep) * oneWay);
+    }
+    stored += charge[i] * oneWay - discharge[i] / oneWay;
+    soc[i] = stored;
+  }
+
+  const sum = (values) => values.reduce((total, v) => total + v, 0);
+  const delivered = sum(discharge);
+  const socAverage = sum(soc) / soc.length;
+  const socMinimum = Math.max(0, Math.min(...soc));
+  return {
+    charge,
+    discharge,
+    soc,
+    usable,
+    charged: sum(charge),
+    delivered,
+    // Equivalent full cycles of the usable capacity
+    cycles: usable > 0 ? delivered / oneWay / usable : 0,
+    losses: sum(charge) - delivered - (stored - usable / 2),
+    averageBackupHours: battery.criticalLoad > 0 ? socAverage * oneWay / battery.criticalLoad : null,
+    minimumBackupHours: battery.criticalLoad > 0 ? socMinimum * oneWay / battery.criticalLoad : null
+  };
+}
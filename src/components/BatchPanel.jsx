@@ -0,0 +1,115 @@
+import React from 'react';
+import { MAX_STATION_DISTANCE_KM, describeBatchError } from '../batch/batch.js';
+
+// Sidebar section for analysing a CSV of sites in one run, with progress,
+// pause/resume, the rows that failed and the enriched CSV to download
+function BatchPanel({ batch, onFileSelected, onStart, onPause, onDownload, onClear, i18n, darkMode, isMobile }) {
+  const { t } = i18n;
+  const labelColor = darkMode ? '#d1d5db' : '#4b5563';
+  const buttonStyle = {
+    padding: '0.5rem 0.75rem',
+    background: 'rgba(139, 92, 246, 0.1)',
+    border: '1px solid rgba(139, 92, 246, 0.3)',
+    borderRadius: '0.5rem',
+    cursor: 'pointer',
+    fontSize: '0.8rem',
+    color: darkMode ? '#c4b5fd' : '#6d28d9',
+    whiteSpace: 'nowrap'
+  };
+  const specStyle = { fontSize: '0.75rem', color: '#a78bfa', marginTop: '0.35rem', paddingInlineStart: '0.5rem' };
+
+  const count = (status) => batch ? batch.rows.filter(row => row.status === status).length : 0;
+  const [done, failed, pending] = ['done', 'failed', 'pending'].map(count);
+  const total = batch ? batch.rows.length : 0;
+  const progress = total > 0 ? (done + failed) / total : 0;
+  const failures = batch ? batch.rows.filter(row => row.status === 'failed') : [];
+  const current = batch && batch.rows.find(row => row.index === batch.current);
+
+  return (
+    <div>
+      <h3 style={{
+        margin: '0 0 1rem',
+        color: darkMode ? '#f8fafc' : '#1e293b',
+        fontSize: isMobile ? '1rem' : '1.1rem',
+        fontWeight: '600'
+      }}>
+        🗂️ {t('batchPanel.title')}
+      </h3>
+      <div style={{ display: 'grid', gap: '0.75rem' }}>
+        {!batch ? (
+          <label style={{
+            display: 'block',
+            padding: '0.75rem 1rem',
+            background: 'rgba(139, 92, 246, 0.1)',
+            border: '1px dashed rgba(139, 92, 246, 0.4)',
+            borderRadius: '0.5rem',
+            cursor: 'pointer',
+            fontSize: '0.85rem',
+            color: darkMode ? '#c4b5fd' : '#6d28d9',
+            textAlign: 'center',
+            fontWeight: '500'
+          }}>
+            📂 {t('batchPanel.load')}
+            <input
+              type="file"
+              accept=".csv,.txt"
+              onChange={(e) => {
+                onFileSelected(e.target.files[0]);
+                e.target.value = '';
+              }}
+              style={{ display: 'none' }}
+            />
+          </label>
+        ) : (
+          <>
+            <div style={{ fontSize: '0.85rem', color: labelColor }}>
+              <strong>{batch.fileName}</strong> — {t('batchPanel.sites', { count: total })}
+            </div>
+            <div style={{ height: '0.5rem', background: 'rgba(139, 92, 246, 0.15)', borderRadius: '0.25rem', overflow: 'hidden' }}>
+              <div style={{
+                width: `${progress * 100}%`,
+                height: '100%',
+                background: 'linear-gradient(90deg, #8B5CF6 0%, #6D28D9 100%)',
+                transition: 'width 0.2s ease'
+              }} />
+            </div>
+            <div style={{ ...specStyle, marginTop: 0 }}>
+              {t('batchPanel.progress', { done, failed, pending })}
+              {batch.running && batch.pausing && ` • ${t('batchPanel.pausing')}`}
+              {batch.running && !batch.pausing && current && ` • ${t('batchPanel.analysing', { name: current.name || t('batchPanel.row', { number: String(current.index + 1) }) })}`}
+            </div>
+            <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+              {batch.running ? (
+                <button onClick={onPause} disabled={batch.pausing} style={{ ...buttonStyle, opacity: batch.pausing ? 0.5 : 1 }}>⏸️ {t('batchPanel.pause')}</button>
+              ) : pending > 0 && (
+                <button onClick={onStart} style={buttonStyle}>▶️ {t(done + failed > 0 ? 'batchPanel.resume' : 'batchPanel.start')}</button>
+              )}
+              <button onClick={onDownload} disabled={done + failed === 0} style={{ ...buttonStyle, opacity: done + failed === 0 ? 0.5 : 1 }}>
+                ⬇️ {t('batchPanel.download')}
+              </button>
+              <button onClick={onClear} disabled={batch.running} style={{ ...buttonStyle, opacity: batch.running ? 0.5 : 1 }}>✕ {t('batchPanel.clear')}</button>
+            </div>
+            {failures.length > 0 && (
+              <div style={{ maxHeight: '10rem', overflowY: 'auto', fontSize: '0.75rem', color: '#F97316', display: 'grid', gap: '0.25rem' }}>
+                {failures.map(row => (
+                  <div key={row.index}>
+                    {t(row.name ? 'batchPanel.failure' : 'batchPanel.failureUnnamed', {
+                      number: String(row.index + 1),
+                      name: row.name,
+                      error: describeBatchError(row.error, t)
+                    })}
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+      <div style={specStyle}>
+        {t('batchPanel.hint', { distance: String(MAX_STATION_DISTANCE_KM) })}
+      </div>
+    </div>
+  );
+}
+
+export default BatchPanel;
@@ -0,0 +1,94 @@
+import React from 'react';
+import { BATTERY_STRATEGIES } from '../battery/battery.js';
+
+// Sidebar section for an optional battery and its dispatch strategy
+function BatteryPanel({ battery, units, onChange, i18n, darkMode, isMobile }) {
+  const { t } = i18n;
+  const inputStyle = {
+    width: '100%',
+    padding: '0.5rem',
+    border: darkMode ? '1px solid #4c1d95' : '1px solid #c4b5fd',
+    borderRadius: '0.5rem',
+    fontSize: '0.85rem',
+    background: darkMode ? '#1E1B4B' : '#ffffff',
+    color: darkMode ? '#f9fafb' : '#1f2937',
+    boxSizing: 'border-box'
+  };
+  const labelStyle = {
+    display: 'block',
+    fontSize: '0.75rem',
+    color: darkMode ? '#d1d5db' : '#4b5563',
+    marginBottom: '0.25rem',
+    fontWeight: '500'
+  };
+  // Money fields are shown and typed in the display currency, stored in dollars
+  const numberField = (key, label, min, max, step, { money = false } = {}) => {
+    const shown = money ? units.toCurrency : (value) => value;
+    return (
+      <div>
+        <label style={labelStyle}>{label}</label>
+        <input
+          type="number"
+          min={shown(min)}
+          max={shown(max)}
+          step={shown(step)}
+          value={shown(battery[key])}
+          onChange={(e) => {
+            const value = parseFloat(e.target.value);
+            if (!isNaN(value)) {
+              const stored = money ? units.fromCurrency(value) : value;
+              onChange({ ...battery, [key]: Math.min(max, Math.max(min, stored)) });
+            }
+          }}
+          style={inputStyle}
+        />
+      </div>
+    );
+  };
+
+  return (
+    <div>
+      <h3 style={{
+        margin: '0 0 1rem',
+        color: darkMode ? '#f8fafc' : '#1e293b',
+        fontSize: isMobile ? '1rem' : '1.1rem',
+        fontWeight: '600'
+      }}>
+        🔋 {t('batteryPanel.title')}
+      </h3>
+      <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.85rem', color: darkMode ? '#e5e7eb' : '#374151', marginBottom: '0.75rem', cursor: 'pointer' }}>
+        <input
+          type="checkbox"
+          checked={battery.enabled}
+          onChange={(e) => onChange({ ...battery, enabled: e.target.checked })}
+        />
+        {t('batteryPanel.enable')}
+      </label>
+      {battery.enabled && (
+        <div style={{ display: 'grid', gap: '0.75rem' }}>
+          <div>
+            <label style={labelStyle}>{t('batteryPanel.strategy')}</label>
+            <select
+              value={battery.strategy}
+              onChange={(e) => onChange({ ...battery, strategy: e.target.value })}
+              style={inputStyle}
+            >
+              {BATTERY_STRATEGIES.map(strategy => <option key={strategy.id} value={strategy.id}>{t(`strategy.${strategy.id}`)}</option>)}
+            </select>
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.75rem' }}>
+            {numberField('capacity', t('batteryPanel.capacity'), 1, 200, 0.5)}
+            {numberField('power', t('batteryPanel.power'), 0.5, 100, 0.5)}
+            {numberField('roundTripEfficiency', t('batteryPanel.efficiency'), 50, 100, 1)}
+            {numberField('depthOfDischarge', t('batteryPanel.depthOfDischarge'), 10, 100, 1)}
+            {battery.strategy === 'backupReserve' && numberField('reserve', t('batteryPanel.reserve'), 0, 100, 5)}
+            {numberField('criticalLoad', t('batteryPanel.criticalLoad'), 0.1, 50, 0.1)}
+            {numberField('costPerKwh', t('batteryPanel.cost', { symbol: units.symbol }), 0, 3000, 10, { money: true })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BatteryPanel;
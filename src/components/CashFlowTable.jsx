@@ -0,0 +1,47 @@
+import React from 'react';
+
+// Annual cash flows from the investment appraisal, year 0 being the purchase
+function CashFlowTable({ cashFlow, units, i18n, darkMode, isMobile }) {
+  const { t } = i18n;
+  const labelColor = darkMode ? '#d1d5db' : '#4b5563';
+
+  return (
+    <div style={{ maxHeight: '260px', overflowY: 'auto' }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: isMobile ? '0.7rem' : '0.75rem', color: labelColor }}>
+        <thead>
+          <tr style={{ textAlign: 'end' }}>
+            <th style={{ textAlign: 'start', padding: '0.25rem' }}>{t('cashFlow.year')}</th>
+            <th style={{ padding: '0.25rem' }}>{t('cashFlow.energyValue')}</th>
+            <th style={{ padding: '0.25rem' }}>{t('cashFlow.incentives')}</th>
+            <th style={{ padding: '0.25rem' }}>{t('cashFlow.costs')}</th>
+            <th style={{ padding: '0.25rem' }}>{t('cashFlow.net')}</th>
+            <th style={{ padding: '0.25rem' }}>{t('cashFlow.cumulative')}</th>
+            <th style={{ padding: '0.25rem' }}>{t('cashFlow.discounted')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {cashFlow.map(row => (
+            <tr
+              key={row.year}
+              style={{
+                textAlign: 'end',
+                borderTop: darkMode ? '1px solid #312e81' : '1px solid #ede9fe',
+                color: row.net < 0 ? '#F97316' : labelColor
+              }}
+            >
+              <td style={{ textAlign: 'start', padding: '0.25rem' }}>{row.year}</td>
+              <td style={{ padding: '0.25rem' }}>{units.money(row.energyValue)}</td>
+              <td style={{ padding: '0.25rem' }}>{units.money(row.incentives)}</td>
+              <td style={{ padding: '0.25rem' }}>{units.money(row.capex + row.operatingCost + row.replacement)}</td>
+              <td style={{ padding: '0.25rem' }}>{units.money(row.net)}</td>
+              <td style={{ padding: '0.25rem' }}>{units.money(row.cumulative)}</td>
+              <td style={{ padding: '0.25rem' }}>{units.money(row.cumulativeDiscounted)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default CashFlowTable;
@@ -0,0 +1,192 @@
+import React from 'react';
+import { BUILDING_TYPES, monthlyShape } from '../load/profile.js';
+
+// Sidebar section for the building's consumption: imported interval data,
+// or a typical profile for the building type scaled to monthly bills or an
+// annual total. `lat` is the site's, for the seasons of the typical profile
+function ConsumptionPanel({ consumption, settings, lat, onChange, onFileSelected, onClear, i18n, darkMode, isMobile }) {
+  const { t } = i18n;
+  const inputStyle = {
+    width: '100%',
+    padding: '0.5rem',
+    border: darkMode ? '1px solid #4c1d95' : '1px solid #c4b5fd',
+    borderRadius: '0.5rem',
+    fontSize: '0.85rem',
+    background: darkMode ? '#1E1B4B' : '#ffffff',
+    color: darkMode ? '#f9fafb' : '#1f2937',
+    boxSizing: 'border-box'
+  };
+  const labelStyle = {
+    display: 'block',
+    fontSize: '0.75rem',
+    color: darkMode ? '#d1d5db' : '#4b5563',
+    marginBottom: '0.25rem',
+    fontWeight: '500'
+  };
+  const specStyle = { fontSize: '0.75rem', color: '#a78bfa', marginTop: '0.35rem', paddingInlineStart: '0.5rem' };
+  const monthly = settings.monthlyConsumption;
+  const buildingType = BUILDING_TYPES.find(type => type.id === settings.buildingType) || BUILDING_TYPES[0];
+  // Switching to monthly entry seeds the months from the annual total
+  const setMode = (mode) => {
+    if (mode === 'monthly' && !monthly) {
+      const shares = monthlyShape(buildingType, lat);
+      const shareTotal = shares.reduce((sum, share) => sum + share, 0);
+      onChange({
+        ...settings,
+        monthlyConsumption: shares.map(share => Math.round(settings.annualConsumption * share / shareTotal))
+      });
+    } else if (mode === 'annual' && monthly) {
+      onChange({ ...settings, monthlyConsumption: null, annualConsumption: monthly.reduce((sum, kwh) => sum + kwh, 0) });
+    }
+  };
+  const toggleStyle = (active) => ({
+    flex: 1,
+    padding: '0.45rem',
+    border: 'none',
+    borderRadius: '0.4rem',
+    cursor: 'pointer',
+    fontSize: '0.8rem',
+    fontWeight: '600',
+    background: active ? '#8B5CF6' : 'transparent',
+    color: active ? '#ffffff' : darkMode ? '#c4b5fd' : '#6d28d9'
+  });
+  const dateOf = (interval) => interval.start
+    ? interval.start.toISOString().slice(0, 10)
+    : `${interval.local.year}-${String(interval.local.month).padStart(2, '0')}-${String(interval.local.day).padStart(2, '0')}`;
+
+  return (
+    <div>
+      <h3 style={{
+        margin: '0 0 1rem',
+        color: darkMode ? '#f8fafc' : '#1e293b',
+        fontSize: isMobile ? '1rem' : '1.1rem',
+        fontWeight: '600'
+      }}>
+        🏠 {t('consumptionPanel.title')}
+      </h3>
+      <div style={{ display: 'grid', gap: '0.75rem' }}>
+        {consumption ? (
+          <div style={{
+            padding: '0.6rem 0.75rem',
+            background: 'rgba(139, 92, 246, 0.1)',
+            borderRadius: '0.5rem',
+            fontSize: '0.8rem',
+            color: darkMode ? '#e5e7eb' : '#374151'
+          }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.5rem' }}>
+              <strong style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{consumption.name}</strong>
+              <button
+                onClick={onClear}
+                title={t('consumptionPanel.clear')}
+                style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#ef4444', fontSize: '0.9rem' }}
+              >
+                ✕
+              </button>
+            </div>
+            <div style={{ fontSize: '0.75rem', color: '#a78bfa', marginTop: '0.25rem' }}>
+              {t('consumptionPanel.imported', {
+                format: consumption.format,
+                count: consumption.intervals.length,
+                minutes: consumption.intervalMinutes,
+                from: dateOf(consumption.intervals[0]),
+                to: dateOf(consumption.intervals[consumption.intervals.length - 1])
+              })}
+              {consumption.skippedRows > 0 && ` • ${t('consumptionPanel.skipped', { count: consumption.skippedRows })}`}
+            </div>
+          </div>
+        ) : (
+          <>
+            <div>
+              <label style={labelStyle}>{t('consumptionPanel.buildingType')}</label>
+              <select
+                value={buildingType.id}
+                onChange={(e) => onChange({ ...settings, buildingType: e.target.value })}
+                style={inputStyle}
+              >
+                {BUILDING_TYPES.map(type => <option key={type.id} value={type.id}>{t(`consumptionPanel.buildingTypes.${type.id}`)}</option>)}
+              </select>
+            </div>
+            <div style={{ display: 'flex', gap: '0.25rem', padding: '0.2rem', background: 'rgba(139, 92, 246, 0.1)', borderRadius: '0.5rem' }}>
+              <button onClick={() => setMode('annual')} style={toggleStyle(!monthly)}>{t('consumptionPanel.annual')}</button>
+              <button onClick={() => setMode('monthly')} style={toggleStyle(Boolean(monthly))}>{t('consumptionPanel.monthly')}</button>
+            </div>
+            {monthly ? (
+              <div>
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '0.5rem' }}>
+                  {monthly.map((kwh, month) => (
+                    <div key={month}>
+                      <label style={labelStyle}>{t('consumptionPanel.monthKwh', { month: i18n.months[month] })}</label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="10"
+                        value={kwh}
+                        onChange={(e) => {
+                          const value = parseFloat(e.target.value);
+                          if (!isNaN(value)) {
+                            onChange({ ...settings, monthlyConsumption: monthly.map((v, m) => m === month ? Math.max(0, value) : v) });
+                          }
+                        }}
+                        style={inputStyle}
+                      />
+                    </div>
+                  ))}
+                </div>
+                <div style={specStyle}>
+                  {t('consumptionPanel.monthlyHint', {
+                    total: t('unit.kwhPerYear', { value: monthly.reduce((sum, kwh) => sum + kwh, 0) }),
+                    building: t(`building.${buildingType.id}`)
+                  })}
+                </div>
+              </div>
+            ) : (
+              <div>
+                <label style={labelStyle}>{t('consumptionPanel.annualKwh')}</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="100"
+                  value={settings.annualConsumption}
+                  onChange={(e) => {
+                    const value = parseFloat(e.target.value);
+                    if (!isNaN(value)) onChange({ ...settings, annualConsumption: Math.max(0, value) });
+                  }}
+                  style={inputStyle}
+                />
+                <div style={specStyle}>{t('consumptionPanel.annualHint', { building: t(`building.${buildingType.id}`) })}</div>
+              </div>
+            )}
+          </>
+        )}
+        <label style={{
+          display: 'block',
+          padding: '0.75rem 1rem',
+          background: 'rgba(139, 92, 246, 0.1)',
+          border: '1px dashed rgba(139, 92, 246, 0.4)',
+          borderRadius: '0.5rem',
+          cursor: 'pointer',
+          fontSize: '0.85rem',
+          color: darkMode ? '#c4b5fd' : '#6d28d9',
+          textAlign: 'center',
+          fontWeight: '500'
+        }}>
+          📂 {t('consumptionPanel.import')}
+          <input
+            type="file"
+            accept=".csv,.xml,.txt"
+            onChange={(e) => {
+              onFileSelected(e.target.files[0]);
+              e.target.value = '';
+            }}
+            style={{ display: 'none' }}
+          />
+        </label>
+      </div>
+      <div style={specStyle}>
+        {t('consumptionPanel.hint')}
+      </div>
+    </div>
+  );
+}
+
+export default ConsumptionPanel;
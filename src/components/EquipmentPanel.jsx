@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { searchCatalog } from '../equipment/catalog.js';
+import { moduleEfficiency } from '../equipment/electrical.js';
+
+// Sidebar section for picking the PV module and inverter from the catalog
+function EquipmentPanel({ catalog, settings, onChange, onFileSelected, i18n, darkMode, isMobile }) {
+  const { t } = i18n;
+  const [query, setQuery] = useState('');
+  const module = catalog.modules.find(m => m.id === settings.moduleId);
+  const inverter = catalog.inverters.find(i => i.id === settings.inverterId);
+
+  // Keep the current choice listed even when the search filters it out
+  const withSelected = (items, selected) => selected && !items.includes(selected) ? [selected, ...items] : items;
+  const modules = withSelected(searchCatalog(catalog.modules, query), module);
+  const inverters = withSelected(searchCatalog(catalog.inverters, query), inverter);
+
+  const inputStyle = {
+    width: '100%',
+    padding: '0.5rem',
+    border: darkMode ? '1px solid #4c1d95' : '1px solid #c4b5fd',
+    borderRadius: '0.5rem',
+    fontSize: '0.85rem',
+    background: darkMode ? '#1E1B4B' : '#ffffff',
+    color: darkMode ? '#f9fafb' : '#1f2937',
+    boxSizing: 'border-box'
+  };
+  const labelStyle = {
+    display: 'block',
+    fontSize: '0.75rem',
+    color: darkMode ? '#d1d5db' : '#4b5563',
+    marginBottom: '0.25rem',
+    fontWeight: '500'
+  };
+  const specStyle = { fontSize: '0.75rem', color: '#a78bfa', marginTop: '0.35rem', paddingInlineStart: '0.5rem' };
+
+  return (
+    <div>
+      <h3 style={{
+        margin: '0 0 1rem',
+        color: darkMode ? '#f8fafc' : '#1e293b',
+        fontSize: isMobile ? '1rem' : '1.1rem',
+        fontWeight: '600'
+      }}>
+        🔌 {t('equipmentPanel.title')}
+      </h3>
+      <div style={{ display: 'grid', gap: '0.75rem' }}>
+        <input
+          type="text"
+          placeholder={t('equipmentPanel.search')}
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          style={inputStyle}
+        />
+        <div>
+          <label style={labelStyle}>{t('equipmentPanel.module')}</label>
+          <select
+            value={settings.moduleId}
+            onChange={(e) => onChange({ ...settings, moduleId: e.target.value })}
+            style={inputStyle}
+          >
+            {modules.map(m => (
+              <option key={m.id} value={m.id}>{m.name} ({t('unit.w', { value: m.stc })}){m.source === 'imported' ? ' •' : ''}</option>
+            ))}
+          </select>
+          {module && (
+            <div style={specStyle}>
+              {t('equipmentPanel.moduleSpec', {
+                length: module.length,
+                width: module.width,
+                efficiency: moduleEfficiency(module).toFixed(1),
+                gamma: module.gammaPmp,
+                noct: module.noct
+              })}
+            </div>
+          )}
+        </div>
+        <div>
+          <label style={labelStyle}>{t('equipmentPanel.inverter')}</label>
+          <select
+            value={settings.inverterId}
+            onChange={(e) => onChange({ ...settings, inverterId: e.target.value })}
+            style={inputStyle}
+          >
+            {inverters.map(i => (
+              <option key={i.id} value={i.id}>{i.name} ({t('unit.kw', { value: (i.paco / 1000).toFixed(i.paco < 1000 ? 2 : 1) })}){i.source === 'imported' ? ' •' : ''}</option>
+            ))}
+          </select>
+          {inverter && (
+            <div style={specStyle}>
+              {t('equipmentPanel.inverterSpec', {
+                topology: t(`equipmentPanel.topology.${inverter.topology === 'micro' ? 'micro' : 'string'}`),
+                low: inverter.mpptLow,
+                high: inverter.mpptHigh,
+                max: inverter.vdcMax,
+                peak: Math.max(...inverter.efficiencyCurve.map(p => p[1]))
+              })}
+            </div>
+          )}
+        </div>
+        <div>
+          <label style={labelStyle}>{t('equipmentPanel.dcAcRatio')}</label>
+          <input
+            type="number"
+            min="0.8"
+            max="2"
+            step="0.05"
+            value={settings.dcAcRatio}
+            disabled={inverter && inverter.topology === 'micro'}
+            onChange={(e) => {
+              const value = parseFloat(e.target.value);
+              if (!isNaN(value)) onChange({ ...settings, dcAcRatio: Math.min(2, Math.max(0.8, value)) });
+            }}
+            style={inputStyle}
+          />
+        </div>
+        <label style={{
+          display: 'block',
+          padding: '0.75rem 1rem',
+          background: 'rgba(139, 92, 246, 0.1)',
+          border: '1px dashed rgba(139, 92, 246, 0.4)',
+          borderRadius: '0.5rem',
+          cursor: 'pointer',
+          fontSize: '0.85rem',
+          color: darkMode ? '#c4b5fd' : '#6d28d9',
+          textAlign: 'center',
+          fontWeight: '500'
+        }}>
+          📂 {t('equipmentPanel.import')}
+          <input
+            type="file"
+            accept=".json"
+            onChange={(e) => {
+              onFileSelected(e.target.files[0]);
+              e.target.value = '';
+            }}
+            style={{ display: 'none' }}
+          />
+        </label>
+      </div>
+      <div style={specStyle}>
+        {t('equipmentPanel.hint')}
+      </div>
+    </div>
+  );
+}
+
+export default EquipmentPanel;
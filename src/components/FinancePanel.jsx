@@ -0,0 +1,115 @@
+import React from 'react';
+import { BOM_UNITS, COST_MODES } from '../analysis/finance.js';
+
+// Sidebar section for system cost and the investment appraisal inputs
+function FinancePanel({ settings, units, onChange, i18n, darkMode, isMobile }) {
+  const { t } = i18n;
+  const inputStyle = {
+    width: '100%',
+    padding: '0.5rem',
+    border: darkMode ? '1px solid #4c1d95' : '1px solid #c4b5fd',
+    borderRadius: '0.5rem',
+    fontSize: '0.85rem',
+    background: darkMode ? '#1E1B4B' : '#ffffff',
+    color: darkMode ? '#f9fafb' : '#1f2937',
+    boxSizing: 'border-box'
+  };
+  const labelStyle = {
+    display: 'block',
+    fontSize: '0.75rem',
+    color: darkMode ? '#d1d5db' : '#4b5563',
+    marginBottom: '0.25rem',
+    fontWeight: '500'
+  };
+  // Money fields are shown and typed in the display currency, stored in dollars
+  const numberField = (key, label, min, max, step, { money = false } = {}) => {
+    const shown = money ? units.toCurrency : (value) => value;
+    return (
+      <div>
+        <label style={labelStyle}>{label}</label>
+        <input
+          type="number"
+          min={shown(min)}
+          max={shown(max)}
+          step={shown(step)}
+          value={shown(settings[key])}
+          onChange={(e) => {
+            const value = parseFloat(e.target.value);
+            if (!isNaN(value)) {
+              const stored = money ? units.fromCurrency(value) : value;
+              onChange({ ...settings, [key]: Math.min(max, Math.max(min, stored)) });
+            }
+          }}
+          style={inputStyle}
+        />
+      </div>
+    );
+  };
+  const updateBomItem = (id, changes) => {
+    onChange({ ...settings, bom: settings.bom.map(item => item.id === id ? { ...item, ...changes } : item) });
+  };
+
+  return (
+    <div>
+      <h3 style={{
+        margin: '0 0 1rem',
+        color: darkMode ? '#f8fafc' : '#1e293b',
+        fontSize: isMobile ? '1rem' : '1.1rem',
+        fontWeight: '600'
+      }}>
+        💵 {t('financePanel.title')}
+      </h3>
+      <div style={{ marginBottom: '0.75rem' }}>
+        <label style={labelStyle}>{t('financePanel.costMode')}</label>
+        <select
+          value={settings.costMode}
+          onChange={(e) => onChange({ ...settings, costMode: e.target.value })}
+          style={inputStyle}
+        >
+          {COST_MODES.map(mode => <option key={mode.id} value={mode.id}>{t(`financePanel.costModes.${mode.id}`)}</option>)}
+        </select>
+      </div>
+      {settings.costMode === 'itemised' ? (
+        <div style={{ display: 'grid', gap: '0.5rem', marginBottom: '0.75rem' }}>
+          {settings.bom.map(item => (
+            <div key={item.id} style={{ display: 'grid', gridTemplateColumns: '1fr 5rem 5.5rem', gap: '0.35rem', alignItems: 'center' }}>
+              <span style={{ fontSize: '0.75rem', color: darkMode ? '#d1d5db' : '#4b5563' }}>{t(`financePanel.bom.${item.id}`)}</span>
+              <input
+                type="number"
+                min="0"
+                step={units.toCurrency(0.01)}
+                value={units.toCurrency(item.amount)}
+                onChange={(e) => {
+                  const value = parseFloat(e.target.value);
+                  if (!isNaN(value)) updateBomItem(item.id, { amount: Math.max(0, units.fromCurrency(value)) });
+                }}
+                style={inputStyle}
+              />
+              <select
+                value={item.unit}
+                onChange={(e) => updateBomItem(item.id, { unit: e.target.value })}
+                style={inputStyle}
+              >
+                {BOM_UNITS.map(unit => <option key={unit.id} value={unit.id}>{t(`financePanel.bomUnits.${unit.id}`, { symbol: units.symbol })}</option>)}
+              </select>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div style={{ marginBottom: '0.75rem' }}>
+          {numberField('installedCostPerWatt', t('financePanel.installedCost', { symbol: units.symbol }), 0.1, 10, 0.05, { money: true })}
+        </div>
+      )}
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.75rem' }}>
+        {numberField('omCost', t('financePanel.om', { symbol: units.symbol }), 0, 200, 1, { money: true })}
+        {numberField('insurance', t('financePanel.insurance'), 0, 5, 0.05)}
+        {numberField('discountRate', t('financePanel.discountRate'), 0, 20, 0.1)}
+      </div>
+      <div style={{ fontSize: '0.75rem', color: '#a78bfa', marginTop: '0.5rem', paddingInlineStart: '0.5rem' }}>
+        {t('financePanel.hint')}
+      </div>
+    </div>
+  );
+}
+
+export default FinancePanel;
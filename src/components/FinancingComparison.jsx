@@ -0,0 +1,119 @@
+import React from 'react';
+import { compareFinancing } from '../analysis/financing.js';
+
+// Side-by-side cash, loan, lease and PPA figures for an analysis, with the
+// terms editable in place
+function FinancingComparison({ data, financing, units, i18n, onChange, darkMode, isMobile }) {
+  const { t } = i18n;
+  const options = compareFinancing(data, financing);
+  const loanOption = options.find(option => option.id === 'loan');
+  const labelColor = darkMode ? '#d1d5db' : '#4b5563';
+  const best = options.reduce((top, option) => option.npv > top.npv ? option : top);
+
+  const inputStyle = {
+    width: '100%',
+    padding: '0.3rem 0.4rem',
+    border: darkMode ? '1px solid #4c1d95' : '1px solid #c4b5fd',
+    borderRadius: '0.4rem',
+    fontSize: '0.75rem',
+    background: darkMode ? '#1E1B4B' : '#ffffff',
+    color: darkMode ? '#f9fafb' : '#1f2937',
+    boxSizing: 'border-box'
+  };
+  // Money terms are shown and typed in the display currency, stored in dollars
+  const termField = (option, key, label, min, max, step, { money = false } = {}) => {
+    const shown = money ? units.toCurrency : (value) => value;
+    return (
+      <label key={key} style={{ display: 'block', fontSize: '0.7rem', color: labelColor }}>
+        {label}
+        <input
+          type="number"
+          min={shown(min)}
+          max={shown(max)}
+          step={shown(step)}
+          value={shown(financing[option][key])}
+          onChange={(e) => {
+            const value = parseFloat(e.target.value);
+            if (!isNaN(value)) {
+              const stored = money ? units.fromCurrency(value) : value;
+              onChange({ ...financing, [option]: { ...financing[option], [key]: Math.min(max, Math.max(min, stored)) } });
+            }
+          }}
+          style={inputStyle}
+        />
+      </label>
+    );
+  };
+  const terms = {
+    cash: <div style={{ fontSize: '0.7rem', color: labelColor }}>{t('financing.paidUpfront')}</div>,
+    loan: [
+      termField('loan', 'term', t('financing.term'), 1, 30, 1),
+      termField('loan', 'rate', t('financing.rate'), 0, 25, 0.1),
+      termField('loan', 'downPayment', t('financing.downPayment'), 0, 100, 5)
+    ],
+    lease: [
+      termField('lease', 'monthlyPayment', t('financing.leasePayment', { symbol: units.symbol }), 0, 5000, 5, { money: true }),
+      termField('lease', 'escalator', t('financing.escalator'), 0, 10, 0.1)
+    ],
+    ppa: [
+      termField('ppa', 'price', t('financing.ppaPrice', { symbol: units.symbol }), 0, 1, 0.005, { money: true }),
+      termField('ppa', 'escalator', t('financing.escalator'), 0, 10, 0.1)
+    ]
+  };
+  const monthly = (usd) => t('unit.perMonthShort', { value: units.money(usd) });
+  const rows = [
+    [t('financing.upfront'), option => units.money(option.upfront)],
+    [t('financing.payment'), option => monthly(option.monthlyPayment)],
+    [t('financing.monthlyCost'), option => monthly(option.monthlyCost)],
+    [t('financing.vsBill'), option => monthly(option.monthlySavings)],
+    [t('financing.lifetimeSavings'), option => units.money(option.lifetimeSavings)],
+    [t('financing.npv'), option => units.money(option.npv)]
+  ];
+
+  return (
+    <div style={{ overflowX: 'auto' }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: isMobile ? '0.7rem' : '0.75rem', color: labelColor }}>
+        <thead>
+          <tr>
+            <th />
+            {options.map(option => (
+              <th
+                key={option.id}
+                style={{ padding: '0.25rem', textAlign: 'end', color: option.id === best.id ? '#10B981' : labelColor }}
+              >
+                {t(`financing.${option.id}`)}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          <tr style={{ verticalAlign: 'top' }}>
+            <td style={{ padding: '0.25rem' }}>{t('financing.terms')}</td>
+            {options.map(option => (
+              <td key={option.id} style={{ padding: '0.25rem' }}>
+                <div style={{ display: 'grid', gap: '0.25rem', minWidth: '5.5rem' }}>{terms[option.id]}</div>
+              </td>
+            ))}
+          </tr>
+          {rows.map(([label, value]) => (
+            <tr key={label} style={{ borderTop: darkMode ? '1px solid #312e81' : '1px solid #ede9fe' }}>
+              <td style={{ padding: '0.25rem' }}>{label}</td>
+              {options.map(option => (
+                <td key={option.id} style={{ padding: '0.25rem', textAlign: 'end', fontWeight: option.id === best.id ? '600' : '400' }}>
+                  {value(option)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {loanOption.payoff > 0 && (
+        <p style={{ margin: '0.5rem 0 0', fontSize: '0.7rem', color: labelColor }}>
+          {t('financing.payoff', { amount: units.money(loanOption.payoff) })}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default FinancingComparison;
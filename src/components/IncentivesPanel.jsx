@@ -0,0 +1,150 @@
+import React from 'react';
+import { programsFor } from '../incentives/incentives.js';
+
+// Sidebar section for the incentive programs: the region is detected from
+// the site unless picked by hand, and each program can be switched off
+function IncentivesPanel({ regions, detectedRegion, settings, units, onChange, onFileSelected, i18n, darkMode, isMobile }) {
+  const { t } = i18n;
+  const regionId = settings.incentiveRegion === 'auto' ? detectedRegion?.id : settings.incentiveRegion;
+  const programs = regionId && regionId !== 'none' ? programsFor(regions, regionId) : [];
+
+  const inputStyle = {
+    width: '100%',
+    padding: '0.5rem',
+    border: darkMode ? '1px solid #4c1d95' : '1px solid #c4b5fd',
+    borderRadius: '0.5rem',
+    fontSize: '0.85rem',
+    background: darkMode ? '#1E1B4B' : '#ffffff',
+    color: darkMode ? '#f9fafb' : '#1f2937',
+    boxSizing: 'border-box'
+  };
+  const labelStyle = {
+    display: 'block',
+    fontSize: '0.75rem',
+    color: darkMode ? '#d1d5db' : '#4b5563',
+    marginBottom: '0.25rem',
+    fontWeight: '500'
+  };
+  const specStyle = { fontSize: '0.75rem', color: '#a78bfa', marginTop: '0.35rem', paddingInlineStart: '0.5rem' };
+  const describe = (program) => {
+    const amount = {
+      percentCredit: t(program.includesBattery ? 'incentivesPanel.percentWithBattery' : 'incentivesPanel.percent', { percent: program.percent }),
+      capacityRebate: t('unit.perKw', { value: units.price(program.rate) }),
+      storageRebate: t('incentivesPanel.perKwhStorage', { rate: units.price(program.rate) }),
+      productionIncentive: t('incentivesPanel.perKwhGenerated', { rate: units.price(program.rate) }),
+      feedInTariff: t(program.basis === 'generation' ? 'incentivesPanel.perKwhGenerated' : 'incentivesPanel.perKwhExported', { rate: units.price(program.rate) })
+    }[program.type];
+    const limits = [
+      program.cap !== null && t('incentivesPanel.cap', { value: units.money(program.cap) }),
+      program.years !== null && t('format.years', { count: program.years }),
+      program.expires !== null && t('incentivesPanel.expires', { year: String(program.expires) }),
+      program.availableUntil !== null && t('incentivesPanel.availableUntil', { year: String(program.availableUntil) })
+    ].filter(Boolean);
+    return [t(`incentive.${program.type}`), amount, ...limits].join(' • ');
+  };
+  const toggle = (id, enabled) => onChange({
+    ...settings,
+    disabledIncentives: enabled
+      ? settings.disabledIncentives.filter(other => other !== id)
+      : [...settings.disabledIncentives, id]
+  });
+
+  return (
+    <div>
+      <h3 style={{
+        margin: '0 0 1rem',
+        color: darkMode ? '#f8fafc' : '#1e293b',
+        fontSize: isMobile ? '1rem' : '1.1rem',
+        fontWeight: '600'
+      }}>
+        🎁 {t('incentivesPanel.title')}
+      </h3>
+      <div style={{ display: 'grid', gap: '0.75rem' }}>
+        <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '0.75rem' }}>
+          <div>
+            <label style={labelStyle}>{t('incentivesPanel.region')}</label>
+            <select
+              value={settings.incentiveRegion}
+              onChange={(e) => onChange({ ...settings, incentiveRegion: e.target.value })}
+              style={inputStyle}
+            >
+              <option value="auto">{detectedRegion ? t('incentivesPanel.detectedAs', { region: detectedRegion.name }) : t('incentivesPanel.detect')}</option>
+              {regions.map(region => (
+                <option key={region.id} value={region.id}>{region.name}{region.source === 'imported' ? ' •' : ''}</option>
+              ))}
+              <option value="none">{t('incentivesPanel.none')}</option>
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>{t('incentivesPanel.installYear')}</label>
+            <input
+              type="number"
+              min="2000"
+              max="2100"
+              step="1"
+              value={settings.installYear}
+              onChange={(e) => {
+                const value = parseInt(e.target.value, 10);
+                if (!isNaN(value)) onChange({ ...settings, installYear: Math.min(2100, Math.max(2000, value)) });
+              }}
+              style={inputStyle}
+            />
+          </div>
+        </div>
+        {programs.length > 0 ? (
+          <div style={{ display: 'grid', gap: '0.5rem' }}>
+            {programs.map(program => (
+              <label
+                key={program.id}
+                style={{ display: 'flex', alignItems: 'flex-start', gap: '0.5rem', fontSize: '0.85rem', color: darkMode ? '#e5e7eb' : '#374151', cursor: 'pointer' }}
+              >
+                <input
+                  type="checkbox"
+                  checked={!settings.disabledIncentives.includes(program.id)}
+                  onChange={(e) => toggle(program.id, e.target.checked)}
+                  style={{ marginTop: '0.2rem' }}
+                />
+                <span>
+                  {program.name}
+                  <div style={{ fontSize: '0.75rem', color: '#a78bfa' }}>{describe(program)}</div>
+                </span>
+              </label>
+            ))}
+          </div>
+        ) : (
+          <div style={specStyle}>
+            {t(settings.incentiveRegion === 'none' ? 'incentivesPanel.excluded' : 'incentivesPanel.noPrograms')}
+          </div>
+        )}
+        <label style={{
+          display: 'block',
+          padding: '0.75rem 1rem',
+          background: 'rgba(139, 92, 246, 0.1)',
+          border: '1px dashed rgba(139, 92, 246, 0.4)',
+          borderRadius: '0.5rem',
+          cursor: 'pointer',
+          fontSize: '0.85rem',
+          color: darkMode ? '#c4b5fd' : '#6d28d9',
+          textAlign: 'center',
+          fontWeight: '500'
+        }}>
+          📂 {t('incentivesPanel.import')}
+          <input
+            type="file"
+            accept=".json"
+            onChange={(e) => {
+              onFileSelected(e.target.files[0]);
+              e.target.value = '';
+            }}
+            style={{ display: 'none' }}
+          />
+        </label>
+      </div>
+      <div style={specStyle}>
+        {t('incentivesPanel.hint', { currency: units.currency })}
+      </div>
+    </div>
+  );
+}
+
+export default IncentivesPanel;
@@ -0,0 +1,84 @@
+import React from 'react';
+import { MODULE_ORIENTATIONS, LAYOUT_ALIGNMENTS } from '../geometry/layout.js';
+
+// Sidebar section for automatic layout options; module size comes from the
+// chosen catalog module
+function LayoutSettingsPanel({ settings, onChange, i18n, darkMode, isMobile }) {
+  const { t } = i18n;
+  const inputStyle = {
+    width: '100%',
+    padding: '0.5rem',
+    border: darkMode ? '1px solid #4c1d95' : '1px solid #c4b5fd',
+    borderRadius: '0.5rem',
+    fontSize: '0.85rem',
+    background: darkMode ? '#1E1B4B' : '#ffffff',
+    color: darkMode ? '#f9fafb' : '#1f2937',
+    boxSizing: 'border-box'
+  };
+  const labelStyle = {
+    display: 'block',
+    fontSize: '0.75rem',
+    color: darkMode ? '#d1d5db' : '#4b5563',
+    marginBottom: '0.25rem',
+    fontWeight: '500'
+  };
+  const numberField = (key, label, min, max, step) => (
+    <div>
+      <label style={labelStyle}>{label}</label>
+      <input
+        type="number"
+        min={min}
+        max={max}
+        step={step}
+        value={settings[key]}
+        onChange={(e) => {
+          const value = parseFloat(e.target.value);
+          if (!isNaN(value)) onChange({ ...settings, [key]: Math.min(max, Math.max(min, value)) });
+        }}
+        style={inputStyle}
+      />
+    </div>
+  );
+
+  return (
+    <div>
+      <h3 style={{
+        margin: '0 0 1rem',
+        color: darkMode ? '#f8fafc' : '#1e293b',
+        fontSize: isMobile ? '1rem' : '1.1rem',
+        fontWeight: '600'
+      }}>
+        🔲 {t('layoutPanel.title')}
+      </h3>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.75rem' }}>
+        <div>
+          <label style={labelStyle}>{t('layoutPanel.orientation')}</label>
+          <select
+            value={settings.moduleOrientation}
+            onChange={(e) => onChange({ ...settings, moduleOrientation: e.target.value })}
+            style={inputStyle}
+          >
+            {MODULE_ORIENTATIONS.map(o => <option key={o.id} value={o.id}>{t(`layoutPanel.orientations.${o.id}`)}</option>)}
+          </select>
+        </div>
+        <div>
+          <label style={labelStyle}>{t('layoutPanel.alignment')}</label>
+          <select
+            value={settings.layoutAlignment}
+            onChange={(e) => onChange({ ...settings, layoutAlignment: e.target.value })}
+            style={inputStyle}
+          >
+            {LAYOUT_ALIGNMENTS.map(a => <option key={a.id} value={a.id}>{t(`layoutPanel.alignments.${a.id}`)}</option>)}
+          </select>
+        </div>
+        {numberField('rackTilt', t('layoutPanel.rackTilt'), 0, 35, 1)}
+        {numberField('edgeSetback', t('layoutPanel.edgeSetback'), 0, 3, 0.1)}
+      </div>
+      <div style={{ fontSize: '0.75rem', color: '#a78bfa', marginTop: '0.5rem', paddingInlineStart: '0.5rem' }}>
+        {t('layoutPanel.hint')}
+      </div>
+    </div>
+  );
+}
+
+export default LayoutSettingsPanel;
@@ -0,0 +1,74 @@
+import React from 'react';
+import { LOSS_CATEGORIES, LOSS_PRESETS, presetLosses } from '../solar/losses.js';
+
+// Sidebar section for the itemised loss percentages, seeded from a climate preset
+function LossesPanel({ preset, losses, onChange, i18n, darkMode, isMobile }) {
+  const { t } = i18n;
+  const inputStyle = {
+    width: '100%',
+    padding: '0.5rem',
+    border: darkMode ? '1px solid #4c1d95' : '1px solid #c4b5fd',
+    borderRadius: '0.5rem',
+    fontSize: '0.85rem',
+    background: darkMode ? '#1E1B4B' : '#ffffff',
+    color: darkMode ? '#f9fafb' : '#1f2937',
+    boxSizing: 'border-box'
+  };
+  const labelStyle = {
+    display: 'block',
+    fontSize: '0.75rem',
+    color: darkMode ? '#d1d5db' : '#4b5563',
+    marginBottom: '0.25rem',
+    fontWeight: '500'
+  };
+
+  return (
+    <div>
+      <h3 style={{
+        margin: '0 0 1rem',
+        color: darkMode ? '#f8fafc' : '#1e293b',
+        fontSize: isMobile ? '1rem' : '1.1rem',
+        fontWeight: '600'
+      }}>
+        📉 {t('lossesPanel.title')}
+      </h3>
+      <div style={{ marginBottom: '0.75rem' }}>
+        <label style={labelStyle}>{t('lossesPanel.preset')}</label>
+        <select
+          value={preset}
+          onChange={(e) => onChange(e.target.value, presetLosses(e.target.value))}
+          style={inputStyle}
+        >
+          {LOSS_PRESETS.map(p => <option key={p.id} value={p.id}>{t(`lossesPanel.presets.${p.id}`)}</option>)}
+          {preset === 'custom' && <option value="custom">{t('lossesPanel.presets.custom')}</option>}
+        </select>
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.75rem' }}>
+        {LOSS_CATEGORIES.map(category => (
+          <div key={category.id} title={t(`lossesPanel.hint.${category.id}`)}>
+            <label style={labelStyle}>{t('lossesPanel.percent', { name: t(`loss.${category.id}`) })}</label>
+            <input
+              type="number"
+              min="0"
+              max="50"
+              step="0.1"
+              placeholder={category.id === 'temperature' ? t('lossesPanel.modelled') : '0'}
+              value={typeof losses[category.id] === 'number' ? losses[category.id] : ''}
+              onChange={(e) => {
+                const value = parseFloat(e.target.value);
+                const entered = isNaN(value) ? (category.id === 'temperature' ? null : 0) : Math.min(50, Math.max(0, value));
+                onChange('custom', { ...losses, [category.id]: entered });
+              }}
+              style={inputStyle}
+            />
+          </div>
+        ))}
+      </div>
+      <div style={{ fontSize: '0.75rem', color: '#a78bfa', marginTop: '0.5rem', paddingInlineStart: '0.5rem' }}>
+        {t('lossesPanel.note')}
+      </div>
+    </div>
+  );
+}
+
+export default LossesPanel;
@@ -0,0 +1,158 @@
+import React from 'react';
+import { OBSTACLE_TYPES } from '../geometry/obstacles.js';
+
+// Sidebar list of rooftop obstacles (chimneys, vents, skylights, ...) that
+// the module layout keeps clear of
+function ObstaclePanel({ obstacles, selectedObstacleId, onSelect, onDelete, onChange, buffer, onBufferChange, i18n, darkMode, isMobile }) {
+  const { t } = i18n;
+  const selectedObstacle = obstacles.find(obstacle => obstacle.id === selectedObstacleId);
+  const typeOf = (obstacle) => OBSTACLE_TYPES.find(type => type.id === obstacle.type);
+
+  const inputStyle = {
+    width: '100%',
+    padding: '0.5rem',
+    border: darkMode ? '1px solid #4c1d95' : '1px solid #c4b5fd',
+    borderRadius: '0.5rem',
+    fontSize: '0.85rem',
+    background: darkMode ? '#1E1B4B' : '#ffffff',
+    color: darkMode ? '#f9fafb' : '#1f2937',
+    boxSizing: 'border-box'
+  };
+  const labelStyle = {
+    display: 'block',
+    fontSize: '0.75rem',
+    color: darkMode ? '#d1d5db' : '#4b5563',
+    marginBottom: '0.25rem',
+    fontWeight: '500'
+  };
+
+  return (
+    <div>
+      <h3 style={{
+        margin: '0 0 1rem',
+        color: darkMode ? '#f8fafc' : '#1e293b',
+        fontSize: isMobile ? '1rem' : '1.1rem',
+        fontWeight: '600'
+      }}>
+        🧱 {t('obstaclePanel.title')}
+      </h3>
+
+      {obstacles.length === 0 ? (
+        <p style={{ margin: '0 0 1rem', fontSize: '0.85rem', color: darkMode ? '#d1d5db' : '#4b5563' }}>
+          {t('obstaclePanel.empty')}
+        </p>
+      ) : (
+        <div style={{ display: 'grid', gap: '0.5rem', marginBottom: '1rem' }}>
+          {obstacles.map(obstacle => (
+            <div
+              key={obstacle.id}
+              onClick={() => onSelect(obstacle.id)}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'space-between',
+                padding: '0.6rem 0.75rem',
+                background: obstacle.id === selectedObstacleId ? 'rgba(245, 158, 11, 0.15)' : 'rgba(239, 68, 68, 0.08)',
+                border: obstacle.id === selectedObstacleId ? '1px solid rgba(245, 158, 11, 0.5)' : '1px solid rgba(239, 68, 68, 0.2)',
+                borderRadius: '0.5rem',
+                cursor: 'pointer',
+                fontSize: '0.85rem',
+                color: darkMode ? '#fca5a5' : '#b91c1c'
+              }}
+            >
+              <span style={{ fontWeight: '500' }}>
+                {typeOf(obstacle).icon} {obstacle.name}
+                <span style={{ fontSize: '0.75rem', opacity: 0.8 }}>
+                  {' '}• {t('obstaclePanel.heightSummary', { height: obstacle.height })}
+                  {obstacle.shape === 'circle' && ` • ${t('obstaclePanel.diameterSummary', { diameter: (obstacle.radius * 2).toFixed(1) })}`}
+                </span>
+              </span>
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onDelete(obstacle.id);
+                }}
+                title={t('obstaclePanel.delete')}
+                style={{ background: 'none', border: 'none', cursor: 'pointer', fontSize: '0.9rem' }}
+              >
+                🗑️
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {selectedObstacle && (
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: '1fr 1fr',
+          gap: '0.75rem',
+          padding: '0.75rem',
+          marginBottom: '1rem',
+          border: '1px solid rgba(245, 158, 11, 0.4)',
+          borderRadius: '0.75rem'
+        }}>
+          <div>
+            <label style={labelStyle}>{t('obstaclePanel.type')}</label>
+            <select
+              value={selectedObstacle.type}
+              onChange={(e) => onChange({ ...selectedObstacle, type: e.target.value })}
+              style={inputStyle}
+            >
+              {OBSTACLE_TYPES.map(type => (
+                <option key={type.id} value={type.id}>{type.icon} {t(`obstaclePanel.types.${type.id}`)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>{t('obstaclePanel.height')}</label>
+            <input
+              type="number"
+              min="0"
+              max="10"
+              step="0.1"
+              value={selectedObstacle.height}
+              onChange={(e) => onChange({ ...selectedObstacle, height: Math.min(10, Math.max(0, parseFloat(e.target.value) || 0)) })}
+              style={inputStyle}
+            />
+          </div>
+          {selectedObstacle.shape === 'circle' && (
+            <div style={{ gridColumn: '1 / span 2' }}>
+              <label style={labelStyle}>{t('obstaclePanel.radius')}</label>
+              <input
+                type="number"
+                min="0.05"
+                max="10"
+                step="0.05"
+                value={Math.round(selectedObstacle.radius * 100) / 100}
+                onChange={(e) => onChange({ ...selectedObstacle, radius: Math.min(10, Math.max(0.05, parseFloat(e.target.value) || 0.05)) })}
+                style={inputStyle}
+              />
+            </div>
+          )}
+        </div>
+      )}
+
+      <div>
+        <label style={labelStyle}>{t('obstaclePanel.clearance')}</label>
+        <input
+          type="number"
+          min="0"
+          max="3"
+          step="0.1"
+          value={buffer}
+          onChange={(e) => {
+            const value = parseFloat(e.target.value);
+            if (!isNaN(value)) onBufferChange(Math.min(3, Math.max(0, value)));
+          }}
+          style={inputStyle}
+        />
+      </div>
+      <div style={{ fontSize: '0.75rem', color: '#a78bfa', marginTop: '0.5rem', paddingInlineStart: '0.5rem' }}>
+        {t('obstaclePanel.hint')}
+      </div>
+    </div>
+  );
+}
+
+export default ObstaclePanel;
@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import { formatPercent, formatYears } from '../i18n/format.js';
+import { PAYBACK_BANDS, PORTFOLIO_COLUMNS, paybackBand, portfolioTotals, sortSites } from '../portfolio/portfolio.js';
+
+// Every analysed site saved as a project: totals, a sortable table and the
+// ranking by return. Drawn over the bottom of the map, whose markers share
+// the payback colours used here.
+function PortfolioDashboard({ sites, onOpen, onClose, units, i18n, darkMode, isMobile }) {
+  const { t } = i18n;
+  const [sort, setSort] = useState({ column: 'annualSavings', ascending: false });
+  const labelColor = darkMode ? '#d1d5db' : '#4b5563';
+  const accent = darkMode ? '#c4b5fd' : '#6d28d9';
+  const totals = portfolioTotals(sites);
+  const rows = sortSites(sites, sort.column, sort.ascending);
+  const ranking = [...sites].sort((a, b) => a.rank - b.rank).slice(0, 5);
+
+  const sortBy = (column) => setSort(current => ({
+    column,
+    // Names read best A to Z, figures biggest first
+    ascending: current.column === column ? !current.ascending : column === 'name' || column === 'paybackPeriod'
+  }));
+
+  const cells = (site) => [
+    site.name,
+    t('unit.kw', { value: site.systemSize }),
+    t('unit.kwh', { value: site.annualProduction }),
+    units.money(site.annualSavings),
+    formatYears(site.paybackPeriod, site.lifetime, t),
+    units.tons(site.co2Savings)
+  ];
+
+  const tiles = [
+    [t('portfolio.totalSize'), t('unit.kw', { value: totals.systemSize })],
+    [t('portfolio.totalProduction'), t('unit.kwhPerYear', { value: totals.annualProduction })],
+    [t('portfolio.totalSavings'), t('unit.perYear', { value: units.money(totals.annualSavings) })],
+    [t('portfolio.totalInvestment'), units.money(totals.capex)],
+    [t('portfolio.simplePayback'), totals.simplePayback === null ? t('format.notApplicable') : t('format.years', { count: totals.simplePayback })],
+    [t('portfolio.totalCo2'), t('unit.perYear', { value: units.tons(totals.co2Savings) })]
+  ];
+
+  return (
+    <div style={{
+      position: 'absolute',
+      left: 0,
+      right: 0,
+      bottom: 0,
+      maxHeight: isMobile ? '70%' : '45%',
+      overflowY: 'auto',
+      background: darkMode ? 'rgba(30, 27, 75, 0.95)' : 'rgba(255, 255, 255, 0.95)',
+      backdropFilter: 'blur(20px)',
+      borderTop: '1px solid rgba(139, 92, 246, 0.3)',
+      boxShadow: '0 -4px 6px -1px rgba(0, 0, 0, 0.1)',
+      padding: isMobile ? '1rem' : '1.25rem 1.5rem',
+      animation: 'slideInUp 0.3s ease-out',
+      zIndex: 30
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '1rem', marginBottom: '1rem' }}>
+        <h3 style={{ margin: 0, color: darkMode ? '#f8fafc' : '#1e293b', fontSize: isMobile ? '1rem' : '1.1rem', fontWeight: '600' }}>
+          📊 {t('portfolio.title')} <span style={{ fontWeight: '400', fontSize: '0.85rem', color: labelColor }}>{t('portfolio.sites', { count: totals.count })}</span>
+        </h3>
+        <button
+          onClick={onClose}
+          aria-label={t('portfolio.close')}
+          style={{ background: 'none', border: 'none', cursor: 'pointer', fontSize: '1.1rem', color: labelColor }}
+        >
+          ✕
+        </button>
+      </div>
+
+      {sites.length === 0 ? (
+        <p style={{ margin: 0, color: labelColor, fontSize: '0.85rem', lineHeight: '1.5' }}>{t('portfolio.empty')}</p>
+      ) : (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: isMobile ? 'repeat(2, 1fr)' : 'repeat(6, 1fr)', gap: '0.5rem', marginBottom: '1rem' }}>
+            {tiles.map(([label, value]) => (
+              <div key={label} style={{ padding: '0.6rem 0.75rem', background: 'rgba(139, 92, 246, 0.1)', borderRadius: '0.5rem' }}>
+                <div style={{ fontSize: '0.7rem', color: labelColor }}>{label}</div>
+                <div style={{ fontSize: isMobile ? '0.9rem' : '1rem', fontWeight: '700', color: accent }}>{value}</div>
+              </div>
+            ))}
+          </div>
+
+          <div style={{ display: 'flex', flexDirection: isMobile ? 'column' : 'row', gap: '1.25rem', alignItems: 'flex-start' }}>
+            <table style={{ flex: 1, width: '100%', borderCollapse: 'collapse', fontSize: isMobile ? '0.7rem' : '0.8rem', color: labelColor }}>
+              <thead>
+                <tr style={{ textAlign: 'end' }}>
+                  {PORTFOLIO_COLUMNS.map(column => (
+                    <th
+                      key={column.id}
+                      onClick={() => sortBy(column.id)}
+                      style={{ padding: '0.3rem', cursor: 'pointer', whiteSpace: 'nowrap', textAlign: column.id === 'name' ? 'start' : 'end' }}
+                    >
+                      {t(`portfolio.column.${column.id}`)}
+                      {sort.column === column.id && (sort.ascending ? ' ▲' : ' ▼')}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(site => (
+                  <tr
+                    key={site.id}
+                    onClick={() => onOpen(site.id)}
+                    style={{ textAlign: 'end', cursor: 'pointer', borderTop: darkMode ? '1px solid #312e81' : '1px solid #ede9fe' }}
+                  >
+                    {cells(site).map((value, i) => (
+                      <td key={PORTFOLIO_COLUMNS[i].id} style={{ padding: '0.3rem', textAlign: i === 0 ? 'start' : 'end' }}>
+                        {i === 0 && (
+                          <span style={{
+                            display: 'inline-block',
+                            width: '0.6rem',
+                            height: '0.6rem',
+                            borderRadius: '50%',
+                            background: paybackBand(site.paybackPeriod).color,
+                            marginInlineEnd: '0.4rem'
+                          }} />
+                        )}
+                        {value}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div style={{ width: isMobile ? '100%' : '240px', flexShrink: 0, fontSize: '0.8rem', color: labelColor }}>
+              <div style={{ fontWeight: '600', color: accent, marginBottom: '0.25rem' }}>🏆 {t('portfolio.ranking')}</div>
+              <div style={{ fontSize: '0.7rem', marginBottom: '0.5rem' }}>{t('portfolio.rankingBasis')}</div>
+              <ol style={{ margin: 0, paddingInlineStart: '1.25rem', lineHeight: '1.6' }}>
+                {ranking.map(site => (
+                  <li key={site.id} onClick={() => onOpen(site.id)} style={{ cursor: 'pointer' }}>
+                    {site.name} — {t('portfolio.irr', { value: formatPercent(site.irr, t) })}, {t('portfolio.npv', { value: units.money(site.npv) })}
+                  </li>
+                ))}
+              </ol>
+              <div style={{ marginTop: '0.75rem', display: 'grid', gap: '0.2rem', fontSize: '0.7rem' }}>
+                {PAYBACK_BANDS.map(band => (
+                  <div key={band.id} style={{ display: 'flex', alignItems: 'center', gap: '0.4rem' }}>
+                    <span style={{ width: '0.6rem', height: '0.6rem', borderRadius: '50%', background: band.color }} />
+                    {t(`portfolio.band.${band.id}`)}
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PortfolioDashboard;
@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+
+// Annual production bars with the cumulative savings line, plus a
+// year-by-year table, for the lifetime projection in SolarResults
+function ProjectionChart({ projection, units, i18n, darkMode, isMobile }) {
+  const { t } = i18n;
+  const [showTable, setShowTable] = useState(false);
+  const { years } = projection;
+
+  const width = 320;
+  const height = 140;
+  const padding = { top: 10, right: 8, bottom: 18, left: 8 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+  const maxProduction = Math.max(...years.map(y => y.production));
+  const savingsValues = years.map(y => y.cumulativeSavings);
+  const minSavings = Math.min(0, ...savingsValues);
+  const maxSavings = Math.max(1, ...savingsValues);
+  const slot = plotWidth / years.length;
+
+  const barY = (production) => padding.top + plotHeight * (1 - production / maxProduction);
+  const lineY = (value) => padding.top + plotHeight * (1 - (value - minSavings) / (maxSavings - minSavings));
+  const linePoints = years.map((y, i) => `${padding.left + slot * (i + 0.5)},${lineY(y.cumulativeSavings)}`).join(' ');
+  const labelColor = darkMode ? '#d1d5db' : '#4b5563';
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} style={{ width: '100%', height: 'auto' }}>
+        {years.map((y, i) => (
+          <rect
+            key={y.year}
+            x={padding.left + slot * i + slot * 0.15}
+            y={barY(y.production)}
+            width={slot * 0.7}
+            height={padding.top + plotHeight - barY(y.production)}
+            fill={y.replacement > 0 ? '#F97316' : '#8B5CF6'}
+            opacity={0.8}
+          >
+            <title>{t('projection.tooltip', { year: String(y.year), kwh: y.production, savings: units.money(y.savings) })}</title>
+          </rect>
+        ))}
+        {minSavings < 0 && (
+          <line
+            x1={padding.left}
+            x2={width - padding.right}
+            y1={lineY(0)}
+            y2={lineY(0)}
+            stroke={labelColor}
+            strokeDasharray="2 2"
+            strokeWidth={0.5}
+          />
+        )}
+        <polyline points={linePoints} fill="none" stroke="#10B981" strokeWidth={2} />
+        {years.filter(y => y.year === 1 || y.year % 5 === 0).map(y => (
+          <text
+            key={y.year}
+            x={padding.left + slot * (y.year - 0.5)}
+            y={height - 4}
+            fontSize={8}
+            textAnchor="middle"
+            fill={labelColor}
+          >
+            {y.year}
+          </text>
+        ))}
+      </svg>
+      <div style={{ display: 'flex', gap: '1rem', fontSize: '0.7rem', color: labelColor, margin: '0.25rem 0 0.5rem' }}>
+        <span><span style={{ color: '#8B5CF6' }}>■</span> {t('projection.annualKwh')}</span>
+        <span><span style={{ color: '#10B981' }}>━</span> {t('projection.cumulativeSavings')}</span>
+        <span><span style={{ color: '#F97316' }}>■</span> {t('projection.inverterReplacement')}</span>
+      </div>
+      <button
+        onClick={() => setShowTable(!showTable)}
+        style={{
+          background: 'none',
+          border: 'none',
+          padding: 0,
+          cursor: 'pointer',
+          fontSize: '0.75rem',
+          color: darkMode ? '#a5b4fc' : '#7c3aed',
+          fontWeight: '600'
+        }}
+      >
+        {showTable ? `▾ ${t('projection.hideTable')}` : `▸ ${t('projection.showTable')}`}
+      </button>
+      {showTable && (
+        <div style={{ maxHeight: '220px', overflowY: 'auto', marginTop: '0.5rem' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: isMobile ? '0.7rem' : '0.75rem', color: labelColor }}>
+            <thead>
+              <tr style={{ textAlign: 'end' }}>
+                <th style={{ textAlign: 'start', padding: '0.25rem' }}>{t('projection.year')}</th>
+                <th style={{ padding: '0.25rem' }}>{t('projection.capacity')}</th>
+                <th style={{ padding: '0.25rem' }}>kWh</th>
+                <th style={{ padding: '0.25rem' }}>{t('projection.savings')}</th>
+                <th style={{ padding: '0.25rem' }}>{t('projection.cumulative')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {years.map(y => (
+                <tr key={y.year} style={{ textAlign: 'end', borderTop: darkMode ? '1px solid #312e81' : '1px solid #ede9fe' }}>
+                  <td style={{ textAlign: 'start', padding: '0.25rem' }}>{y.year}{y.replacement > 0 && ' 🔧'}</td>
+                  <td style={{ padding: '0.25rem' }}>{t('format.percent', { value: y.capacity })}</td>
+                  <td style={{ padding: '0.25rem' }}>{i18n.number(y.production)}</td>
+                  <td style={{ padding: '0.25rem' }}>{units.money(y.savings)}</td>
+                  <td style={{ padding: '0.25rem' }}>{units.money(y.cumulativeSavings)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ProjectionChart;
@@ -0,0 +1,83 @@
+import React from 'react';
+
+// Sidebar section for lifetime, degradation and tariff escalation. Blank
+// degradation fields use the selected module's datasheet values.
+function ProjectionPanel({ settings, module, units, onChange, i18n, darkMode, isMobile }) {
+  const { t } = i18n;
+  const inputStyle = {
+    width: '100%',
+    padding: '0.5rem',
+    border: darkMode ? '1px solid #4c1d95' : '1px solid #c4b5fd',
+    borderRadius: '0.5rem',
+    fontSize: '0.85rem',
+    background: darkMode ? '#1E1B4B' : '#ffffff',
+    color: darkMode ? '#f9fafb' : '#1f2937',
+    boxSizing: 'border-box'
+  };
+  const labelStyle = {
+    display: 'block',
+    fontSize: '0.75rem',
+    color: darkMode ? '#d1d5db' : '#4b5563',
+    marginBottom: '0.25rem',
+    fontWeight: '500'
+  };
+  // Money fields are shown and typed in the display currency, stored in dollars
+  const numberField = (key, label, min, max, step, { optional = false, placeholder, money = false } = {}) => {
+    const shown = money ? units.toCurrency : (value) => value;
+    return (
+      <div>
+        <label style={labelStyle}>{label}</label>
+        <input
+          type="number"
+          min={shown(min)}
+          max={shown(max)}
+          step={shown(step)}
+          placeholder={placeholder}
+          value={typeof settings[key] === 'number' ? shown(settings[key]) : ''}
+          onChange={(e) => {
+            const value = parseFloat(e.target.value);
+            if (isNaN(value)) {
+              if (optional) onChange({ ...settings, [key]: null });
+              return;
+            }
+            const stored = money ? units.fromCurrency(value) : value;
+            onChange({ ...settings, [key]: Math.min(max, Math.max(min, stored)) });
+          }}
+          style={inputStyle}
+        />
+      </div>
+    );
+  };
+
+  return (
+    <div>
+      <h3 style={{
+        margin: '0 0 1rem',
+        color: darkMode ? '#f8fafc' : '#1e293b',
+        fontSize: isMobile ? '1rem' : '1.1rem',
+        fontWeight: '600'
+      }}>
+        📆 {t('projectionPanel.title')}
+      </h3>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.75rem' }}>
+        {numberField('lifetime', t('projectionPanel.lifetime'), 1, 40, 1)}
+        {numberField('rateEscalation', t('projectionPanel.escalation'), -5, 15, 0.1)}
+        {numberField('firstYearDegradation', t('projectionPanel.firstYearDegradation'), 0, 10, 0.1, {
+          optional: true,
+          placeholder: t('projectionPanel.datasheet', { value: module.firstYearDegradation })
+        })}
+        {numberField('annualDegradation', t('projectionPanel.annualDegradation'), 0, 3, 0.05, {
+          optional: true,
+          placeholder: t('projectionPanel.datasheet', { value: module.annualDegradation })
+        })}
+        {numberField('inverterReplacementYear', t('projectionPanel.replacementYear'), 1, 40, 1, {
+          optional: true,
+          placeholder: t('projectionPanel.none')
+        })}
+        {numberField('inverterReplacementCost', t('projectionPanel.replacementCost', { symbol: units.symbol }), 0, 2000, 10, { money: true })}
+      </div>
+    </div>
+  );
+}
+
+export default ProjectionPanel;
@@ -0,0 +1,183 @@
+import React, { useEffect, useState } from 'react';
+
+// Sidebar section for saving the current site as a named project and for
+// reopening, renaming, copying, exporting and deleting saved ones
+function ProjectsPanel({
+  projects, currentProjectId, onSave, onNew, onOpen, onRename, onDuplicate, onDelete, onExport, onFileSelected,
+  i18n, darkMode, isMobile
+}) {
+  const { t } = i18n;
+  const currentProject = projects.find(project => project.id === currentProjectId);
+  const [name, setName] = useState('');
+  const [query, setQuery] = useState('');
+
+  useEffect(() => {
+    setName(currentProject ? currentProject.name : '');
+  }, [currentProjectId, currentProject && currentProject.name]);
+
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const matches = projects.filter(project => terms.every(term => project.name.toLowerCase().includes(term)));
+
+  const inputStyle = {
+    width: '100%',
+    padding: '0.5rem',
+    border: darkMode ? '1px solid #4c1d95' : '1px solid #c4b5fd',
+    borderRadius: '0.5rem',
+    fontSize: '0.85rem',
+    background: darkMode ? '#1E1B4B' : '#ffffff',
+    color: darkMode ? '#f9fafb' : '#1f2937',
+    boxSizing: 'border-box'
+  };
+  const labelStyle = {
+    display: 'block',
+    fontSize: '0.75rem',
+    color: darkMode ? '#d1d5db' : '#4b5563',
+    marginBottom: '0.25rem',
+    fontWeight: '500'
+  };
+  const buttonStyle = {
+    padding: '0.5rem 0.75rem',
+    background: 'rgba(139, 92, 246, 0.1)',
+    border: '1px solid rgba(139, 92, 246, 0.3)',
+    borderRadius: '0.5rem',
+    cursor: 'pointer',
+    fontSize: '0.8rem',
+    color: darkMode ? '#c4b5fd' : '#6d28d9',
+    whiteSpace: 'nowrap'
+  };
+  const iconStyle = { background: 'none', border: 'none', cursor: 'pointer', fontSize: '0.9rem', padding: '0 0.15rem' };
+  const specStyle = { fontSize: '0.75rem', color: '#a78bfa', marginTop: '0.35rem', paddingInlineStart: '0.5rem' };
+  const savedAt = (project) => new Date(project.updatedAt).toLocaleString(i18n.locale, { dateStyle: 'medium', timeStyle: 'short' });
+
+  return (
+    <div>
+      <h3 style={{
+        margin: '0 0 1rem',
+        color: darkMode ? '#f8fafc' : '#1e293b',
+        fontSize: isMobile ? '1rem' : '1.1rem',
+        fontWeight: '600'
+      }}>
+        📁 {t('projectsPanel.title')}
+      </h3>
+      <div style={{ display: 'grid', gap: '0.75rem' }}>
+        <div>
+          <label style={labelStyle}>{t('projectsPanel.name')}</label>
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <input
+              type="text"
+              value={name}
+              placeholder={t('projectsPanel.namePlaceholder')}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && onSave(name.trim())}
+              style={inputStyle}
+            />
+            <button onClick={() => onSave(name.trim())} style={buttonStyle}>💾 {t('projectsPanel.save')}</button>
+            <button onClick={onNew} title={t('projectsPanel.newHint')} style={buttonStyle}>➕ {t('projectsPanel.new')}</button>
+          </div>
+          <div style={specStyle}>
+            {currentProject ? t('projectsPanel.savedAt', { time: savedAt(currentProject) }) : t('projectsPanel.notSaved')}
+          </div>
+        </div>
+
+        {projects.length > 0 && (
+          <div>
+            <input
+              type="search"
+              value={query}
+              placeholder={t('projectsPanel.search')}
+              onChange={(e) => setQuery(e.target.value)}
+              style={inputStyle}
+            />
+            <div style={{ display: 'grid', gap: '0.5rem', marginTop: '0.5rem', maxHeight: '16rem', overflowY: 'auto' }}>
+              {matches.map(project => (
+                <div
+                  key={project.id}
+                  onClick={() => onOpen(project.id)}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'space-between',
+                    gap: '0.5rem',
+                    padding: '0.6rem 0.75rem',
+                    background: project.id === currentProjectId ? 'rgba(245, 158, 11, 0.15)' : 'rgba(139, 92, 246, 0.1)',
+                    border: project.id === currentProjectId ? '1px solid rgba(245, 158, 11, 0.5)' : '1px solid rgba(139, 92, 246, 0.2)',
+                    borderRadius: '0.5rem',
+                    cursor: 'pointer',
+                    fontSize: '0.85rem',
+                    color: darkMode ? '#c4b5fd' : '#6d28d9'
+                  }}
+                >
+                  <span style={{ minWidth: 0 }}>
+                    <div style={{ fontWeight: '500', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                      {project.name}
+                    </div>
+                    <div style={{ fontSize: '0.7rem', opacity: 0.8 }}>
+                      {savedAt(project)}
+                      {project.results && ` • ${t('unit.kw', { value: project.results.data.systemSize })}`}
+                      {` • ${t('projectsPanel.roofs', { count: project.roofs.length })}`}
+                    </div>
+                  </span>
+                  <span style={{ display: 'flex', alignItems: 'center', flexShrink: 0 }} onClick={(e) => e.stopPropagation()}>
+                    <button
+                      onClick={() => {
+                        const renamed = window.prompt(t('projectsPanel.renamePrompt'), project.name);
+                        if (renamed && renamed.trim()) onRename(project.id, renamed.trim());
+                      }}
+                      title={t('projectsPanel.rename')}
+                      style={iconStyle}
+                    >
+                      ✏️
+                    </button>
+                    <button onClick={() => onDuplicate(project.id)} title={t('projectsPanel.duplicate')} style={iconStyle}>📄</button>
+                    <button onClick={() => onExport(project.id)} title={t('projectsPanel.export')} style={iconStyle}>⬇️</button>
+                    <button
+                      onClick={() => {
+                        if (window.confirm(t('projectsPanel.deleteConfirm', { name: project.name }))) onDelete(project.id);
+                      }}
+                      title={t('projectsPanel.delete')}
+                      style={iconStyle}
+                    >
+                      🗑️
+                    </button>
+                  </span>
+                </div>
+              ))}
+              {matches.length === 0 && (
+                <div style={specStyle}>{t('projectsPanel.noMatches', { query })}</div>
+              )}
+            </div>
+          </div>
+        )}
+
+        <label style={{
+          display: 'block',
+          padding: '0.75rem 1rem',
+          background: 'rgba(139, 92, 246, 0.1)',
+          border: '1px dashed rgba(139, 92, 246, 0.4)',
+          borderRadius: '0.5rem',
+          cursor: 'pointer',
+          fontSize: '0.85rem',
+          color: darkMode ? '#c4b5fd' : '#6d28d9',
+          textAlign: 'center',
+          fontWeight: '500'
+        }}>
+          📂 {t('projectsPanel.import')}
+          <input
+            type="file"
+            accept=".json"
+            onChange={(e) => {
+              onFileSelected(e.target.files[0]);
+              e.target.value = '';
+            }}
+            style={{ display: 'none' }}
+          />
+        </label>
+      </div>
+      <div style={specStyle}>
+        {t('projectsPanel.hint')}
+      </div>
+    </div>
+  );
+}
+
+export default ProjectsPanel;
@@ -0,0 +1,192 @@
+import React from 'react';
+import { ROOF_TYPES, compassDirection, roofSurfaceArea, setRoofType } from '../geometry/roof.js';
+
+// Sidebar list of drawn roof faces with their sloped areas and orientation
+function RoofListPanel({ roofs, selectedRoofId, onSelect, onDelete, onChange, onAnalyze, isAnalyzing, units, i18n, darkMode, isMobile }) {
+  const { t } = i18n;
+  const totalArea = roofs.reduce((sum, roof) => sum + roofSurfaceArea(roof), 0);
+  const selectedRoof = roofs.find(roof => roof.id === selectedRoofId);
+
+  const inputStyle = {
+    width: '100%',
+    padding: '0.5rem',
+    border: darkMode ? '1px solid #4c1d95' : '1px solid #c4b5fd',
+    borderRadius: '0.5rem',
+    fontSize: '0.85rem',
+    background: darkMode ? '#1E1B4B' : '#ffffff',
+    color: darkMode ? '#f9fafb' : '#1f2937',
+    boxSizing: 'border-box'
+  };
+  const labelStyle = {
+    display: 'block',
+    fontSize: '0.75rem',
+    color: darkMode ? '#d1d5db' : '#4b5563',
+    marginBottom: '0.25rem',
+    fontWeight: '500'
+  };
+
+  return (
+    <div>
+      <h3 style={{
+        margin: '0 0 1rem',
+        color: darkMode ? '#f8fafc' : '#1e293b',
+        fontSize: isMobile ? '1rem' : '1.1rem',
+        fontWeight: '600'
+      }}>
+        🏠 {t('roofPanel.title')}
+      </h3>
+
+      {roofs.length === 0 ? (
+        <p style={{ margin: '0 0 1rem', fontSize: '0.85rem', color: darkMode ? '#d1d5db' : '#4b5563' }}>
+          {t('roofPanel.empty')}
+        </p>
+      ) : (
+        <div style={{ display: 'grid', gap: '0.5rem', marginBottom: '1rem' }}>
+          {roofs.map(roof => (
+            <div
+              key={roof.id}
+              onClick={() => onSelect(roof.id)}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'space-between',
+                padding: '0.6rem 0.75rem',
+                background: roof.id === selectedRoofId ? 'rgba(245, 158, 11, 0.15)' : 'rgba(139, 92, 246, 0.1)',
+                border: roof.id === selectedRoofId ? '1px solid rgba(245, 158, 11, 0.5)' : '1px solid rgba(139, 92, 246, 0.2)',
+                borderRadius: '0.5rem',
+                cursor: 'pointer',
+                fontSize: '0.85rem',
+                color: darkMode ? '#c4b5fd' : '#6d28d9'
+              }}
+            >
+              <span style={{ fontWeight: '500' }}>
+                {roof.name}
+                <span style={{ fontSize: '0.75rem', opacity: 0.8 }}>
+                  {' '}• {roof.tilt}° {t(`compass.${compassDirection(roof.azimuth)}`)}
+                </span>
+              </span>
+              <span style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                <strong>{units.area(roofSurfaceArea(roof))}</strong>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onDelete(roof.id);
+                  }}
+                  title={t('roofPanel.delete')}
+                  style={{ background: 'none', border: 'none', cursor: 'pointer', fontSize: '0.9rem' }}
+                >
+                  🗑️
+                </button>
+              </span>
+            </div>
+          ))}
+          <div style={{ fontSize: '0.75rem', color: '#a78bfa', paddingInlineStart: '0.5rem' }}>
+            {t('roofPanel.totalArea', { area: units.area(totalArea) })}
+          </div>
+        </div>
+      )}
+
+      {selectedRoof && (
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: '1fr 1fr',
+          gap: '0.75rem',
+          padding: '0.75rem',
+          marginBottom: '1rem',
+          border: '1px solid rgba(245, 158, 11, 0.4)',
+          borderRadius: '0.75rem'
+        }}>
+          <div style={{ gridColumn: '1 / span 2' }}>
+            <label style={labelStyle}>{t('roofPanel.type', { name: selectedRoof.name })}</label>
+            <select
+              value={selectedRoof.roofType}
+              onChange={(e) => onChange(setRoofType(selectedRoof, e.target.value))}
+              style={inputStyle}
+            >
+              {ROOF_TYPES.map(type => (
+                <option key={type.id} value={type.id}>{t(`roofPanel.roofType.${type.id}`)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>{t('roofPanel.tilt')}</label>
+            <input
+              type="number"
+              min="0"
+              max="75"
+              value={selectedRoof.tilt}
+              disabled={selectedRoof.roofType === 'flat'}
+              onChange={(e) => onChange({ ...selectedRoof, tilt: Math.min(75, Math.max(0, parseFloat(e.target.value) || 0)) })}
+              style={inputStyle}
+            />
+          </div>
+          <div>
+            <label style={labelStyle}>{t('roofPanel.azimuth')}</label>
+            <input
+              type="number"
+              min="0"
+              max="359"
+              value={selectedRoof.azimuth}
+              onChange={(e) => onChange({ ...selectedRoof, azimuth: ((parseFloat(e.target.value) || 0) % 360 + 360) % 360 })}
+              style={inputStyle}
+            />
+          </div>
+          <div style={{ gridColumn: '1 / span 2' }}>
+            <label style={labelStyle}>{t('roofPanel.height')}</label>
+            <input
+              type="number"
+              min="0"
+              max="500"
+              placeholder={t('roofPanel.heightAuto')}
+              value={typeof selectedRoof.height === 'number' ? selectedRoof.height : ''}
+              onChange={(e) => {
+                const value = parseFloat(e.target.value);
+                onChange({ ...selectedRoof, height: isNaN(value) ? null : Math.min(500, Math.max(0, value)) });
+              }}
+              style={inputStyle}
+            />
+          </div>
+          <button
+            onClick={() => onChange({ ...selectedRoof, azimuth: (selectedRoof.azimuth + 180) % 360 })}
+            title={t('roofPanel.flipHint')}
+            style={{
+              gridColumn: '1 / span 2',
+              padding: '0.5rem',
+              background: 'rgba(139, 92, 246, 0.1)',
+              border: '1px solid rgba(139, 92, 246, 0.3)',
+              borderRadius: '0.5rem',
+              cursor: 'pointer',
+              fontSize: '0.8rem',
+              color: darkMode ? '#c4b5fd' : '#6d28d9'
+            }}
+          >
+            ↻ {t('roofPanel.flip', { direction: t(`compass.${compassDirection((selectedRoof.azimuth + 180) % 360)}`) })}
+          </button>
+        </div>
+      )}
+
+      <button
+        onClick={onAnalyze}
+        disabled={roofs.length === 0 || isAnalyzing}
+        style={{
+          width: '100%',
+          padding: isMobile ? '0.75rem' : '0.85rem',
+          background: roofs.length === 0 || isAnalyzing
+            ? (darkMode ? '#374151' : '#9ca3af')
+            : 'linear-gradient(135deg, #8B5CF6 0%, #6D28D9 100%)',
+          color: 'white',
+          border: 'none',
+          borderRadius: '0.75rem',
+          cursor: roofs.length === 0 || isAnalyzing ? 'not-allowed' : 'pointer',
+          fontSize: '0.9rem',
+          fontWeight: '600',
+          boxShadow: '0 4px 6px -1px rgba(109, 40, 217, 0.3)'
+        }}
+      >
+        ⚡ {t('roofPanel.analyze', { count: roofs.length })}
+      </button>
+    </div>
+  );
+}
+
+export default RoofListPanel;
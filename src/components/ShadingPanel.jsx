@@ -0,0 +1,66 @@
+import React from 'react';
+
+const SHADING_SOURCES = ['map', 'file', 'none'];
+
+// Sidebar section for the surrounding buildings used in near-shading analysis
+function ShadingPanel({ source, onSourceChange, importedCount, onFileSelected, i18n, darkMode, isMobile }) {
+  const { t } = i18n;
+  return (
+    <div>
+      <h3 style={{
+        margin: '0 0 1rem',
+        color: darkMode ? '#f8fafc' : '#1e293b',
+        fontSize: isMobile ? '1rem' : '1.1rem',
+        fontWeight: '600'
+      }}>
+        🌆 {t('shadingPanel.title')}
+      </h3>
+      <select
+        value={source}
+        onChange={(e) => onSourceChange(e.target.value)}
+        style={{
+          width: '100%',
+          padding: '0.75rem',
+          border: darkMode ? '2px solid #4c1d95' : '2px solid #8b5cf6',
+          borderRadius: '0.75rem',
+          fontSize: '0.85rem',
+          background: darkMode ? '#1E1B4B' : '#ffffff',
+          color: darkMode ? '#f9fafb' : '#1f2937',
+          marginBottom: '0.75rem'
+        }}
+      >
+        {SHADING_SOURCES.map(id => (
+          <option key={id} value={id} disabled={id === 'file' && importedCount === 0}>{t(`shadingPanel.source.${id}`)}</option>
+        ))}
+      </select>
+      <label style={{
+        display: 'block',
+        padding: '0.75rem 1rem',
+        background: 'rgba(139, 92, 246, 0.1)',
+        border: '1px dashed rgba(139, 92, 246, 0.4)',
+        borderRadius: '0.5rem',
+        cursor: 'pointer',
+        fontSize: '0.85rem',
+        color: darkMode ? '#c4b5fd' : '#6d28d9',
+        textAlign: 'center',
+        fontWeight: '500'
+      }}>
+        📂 {t('shadingPanel.import')}
+        <input
+          type="file"
+          accept=".geojson,.json"
+          onChange={(e) => {
+            onFileSelected(e.target.files[0]);
+            e.target.value = '';
+          }}
+          style={{ display: 'none' }}
+        />
+      </label>
+      <div style={{ fontSize: '0.75rem', color: '#a78bfa', marginTop: '0.5rem', paddingInlineStart: '0.5rem' }}>
+        {t(`shadingPanel.hint.${source}`, { count: importedCount })}
+      </div>
+    </div>
+  );
+}
+
+export default ShadingPanel;
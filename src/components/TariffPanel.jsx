@@ -0,0 +1,103 @@
+import React from 'react';
+
+// Sidebar section for picking or importing the utility tariff
+function TariffPanel({ tariffs, settings, units, onChange, onFileSelected, i18n, darkMode, isMobile }) {
+  const { t } = i18n;
+  const tariff = tariffs.find(entry => entry.id === settings.tariffId);
+
+  const inputStyle = {
+    width: '100%',
+    padding: '0.5rem',
+    border: darkMode ? '1px solid #4c1d95' : '1px solid #c4b5fd',
+    borderRadius: '0.5rem',
+    fontSize: '0.85rem',
+    background: darkMode ? '#1E1B4B' : '#ffffff',
+    color: darkMode ? '#f9fafb' : '#1f2937',
+    boxSizing: 'border-box'
+  };
+  const labelStyle = {
+    display: 'block',
+    fontSize: '0.75rem',
+    color: darkMode ? '#d1d5db' : '#4b5563',
+    marginBottom: '0.25rem',
+    fontWeight: '500'
+  };
+  const specStyle = { fontSize: '0.75rem', color: '#a78bfa', marginTop: '0.35rem', paddingInlineStart: '0.5rem' };
+  const rateRange = (entry) => {
+    const rates = entry.periods.flatMap(period => period.tiers.map(tier => tier.rate));
+    const low = Math.min(...rates);
+    const high = Math.max(...rates);
+    return t('unit.perKwh', { value: low === high ? units.price(low) : `${units.price(low)}–${units.price(high)}` });
+  };
+  const exportRule = (entry) => entry.export.type === 'netBilling'
+    ? t('tariffPanel.exportAt', { type: t(`tariffPanel.exportTypes.${entry.export.type}`), rate: t('unit.perKwh', { value: units.price(entry.export.rate) }) })
+    : t(`tariffPanel.exportTypes.${entry.export.type}`);
+  const summary = (entry) => [
+    entry.utility,
+    rateRange(entry),
+    t('tariffPanel.fixedCharge', { value: units.price(entry.fixedMonthlyCharge) }),
+    entry.periods.length > 1 && t('tariffPanel.periods', { count: entry.periods.length }),
+    entry.demand.length > 0 && t('tariffPanel.demand', { rates: entry.demand.map(charge => t('unit.perKw', { value: units.price(charge.rate) })).join(' + ') }),
+    exportRule(entry)
+  ].filter(Boolean).join(' • ');
+
+  return (
+    <div>
+      <h3 style={{
+        margin: '0 0 1rem',
+        color: darkMode ? '#f8fafc' : '#1e293b',
+        fontSize: isMobile ? '1rem' : '1.1rem',
+        fontWeight: '600'
+      }}>
+        🧾 {t('tariffPanel.title')}
+      </h3>
+      <div style={{ display: 'grid', gap: '0.75rem' }}>
+        <div>
+          <label style={labelStyle}>{t('tariffPanel.tariff')}</label>
+          <select
+            value={settings.tariffId}
+            onChange={(e) => onChange({ ...settings, tariffId: e.target.value })}
+            style={inputStyle}
+          >
+            {tariffs.map(entry => (
+              <option key={entry.id} value={entry.id}>{entry.name}{entry.source === 'imported' ? ' •' : ''}</option>
+            ))}
+          </select>
+          {tariff && (
+            <div style={specStyle}>
+              {summary(tariff)}
+            </div>
+          )}
+        </div>
+        <label style={{
+          display: 'block',
+          padding: '0.75rem 1rem',
+          background: 'rgba(139, 92, 246, 0.1)',
+          border: '1px dashed rgba(139, 92, 246, 0.4)',
+          borderRadius: '0.5rem',
+          cursor: 'pointer',
+          fontSize: '0.85rem',
+          color: darkMode ? '#c4b5fd' : '#6d28d9',
+          textAlign: 'center',
+          fontWeight: '500'
+        }}>
+          📂 {t('tariffPanel.import')}
+          <input
+            type="file"
+            accept=".json"
+            onChange={(e) => {
+              onFileSelected(e.target.files[0]);
+              e.target.value = '';
+            }}
+            style={{ display: 'none' }}
+          />
+        </label>
+      </div>
+      <div style={specStyle}>
+        {t('tariffPanel.hint', { currency: units.currency })}
+      </div>
+    </div>
+  );
+}
+
+export default TariffPanel;
@@ -0,0 +1,112 @@
+import React from 'react';
+import { CURRENCIES, UNIT_SYSTEMS, exchangeRate } from '../units/units.js';
+
+// Sidebar section for the unit system, display currency and its exchange rate
+function UnitsPanel({ units, onChange, i18n, darkMode, isMobile }) {
+  const { t } = i18n;
+  const inputStyle = {
+    width: '100%',
+    padding: '0.5rem',
+    border: darkMode ? '1px solid #4c1d95' : '1px solid #c4b5fd',
+    borderRadius: '0.5rem',
+    fontSize: '0.85rem',
+    background: darkMode ? '#1E1B4B' : '#ffffff',
+    color: darkMode ? '#f9fafb' : '#1f2937',
+    boxSizing: 'border-box'
+  };
+  const labelStyle = {
+    display: 'block',
+    fontSize: '0.75rem',
+    color: darkMode ? '#d1d5db' : '#4b5563',
+    marginBottom: '0.25rem',
+    fontWeight: '500'
+  };
+  const specStyle = { fontSize: '0.75rem', color: '#a78bfa', marginTop: '0.35rem', paddingInlineStart: '0.5rem' };
+  const toggleStyle = (active) => ({
+    flex: 1,
+    padding: '0.45rem',
+    border: 'none',
+    borderRadius: '0.4rem',
+    cursor: 'pointer',
+    fontSize: '0.8rem',
+    fontWeight: '600',
+    background: active ? '#8B5CF6' : 'transparent',
+    color: active ? '#ffffff' : darkMode ? '#c4b5fd' : '#6d28d9'
+  });
+  const bundled = CURRENCIES.find(c => c.code === units.currency);
+  const overridden = units.exchangeRates[units.currency] !== undefined;
+
+  return (
+    <div>
+      <h3 style={{
+        margin: '0 0 1rem',
+        color: darkMode ? '#f8fafc' : '#1e293b',
+        fontSize: isMobile ? '1rem' : '1.1rem',
+        fontWeight: '600'
+      }}>
+        🌐 {t('unitsPanel.title')}
+      </h3>
+      <div style={{ display: 'grid', gap: '0.75rem' }}>
+        <div style={{ display: 'flex', gap: '0.25rem', padding: '0.2rem', background: 'rgba(139, 92, 246, 0.1)', borderRadius: '0.5rem' }}>
+          {UNIT_SYSTEMS.map(system => (
+            <button
+              key={system.id}
+              onClick={() => onChange({ ...units, unitSystem: system.id })}
+              style={toggleStyle(units.unitSystem === system.id)}
+            >
+              {t(`unitsPanel.systems.${system.id}`)}
+            </button>
+          ))}
+        </div>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.75rem' }}>
+          <div>
+            <label style={labelStyle}>{t('unitsPanel.currency')}</label>
+            <select
+              value={units.currency}
+              onChange={(e) => onChange({ ...units, currency: e.target.value })}
+              style={inputStyle}
+            >
+              {CURRENCIES.map(c => <option key={c.code} value={c.code}>{c.code} – {t(`unitsPanel.currencies.${c.code}`)}</option>)}
+            </select>
+          </div>
+          {units.currency !== 'USD' && (
+            <div>
+              <label style={labelStyle}>{t('unitsPanel.rate', { currency: units.currency })}</label>
+              <input
+                type="number"
+                min="0.0001"
+                step="0.01"
+                value={exchangeRate(units)}
+                onChange={(e) => {
+                  const value = parseFloat(e.target.value);
+                  if (!isNaN(value) && value > 0) {
+                    onChange({ ...units, exchangeRates: { ...units.exchangeRates, [units.currency]: value } });
+                  }
+                }}
+                style={inputStyle}
+              />
+            </div>
+          )}
+        </div>
+      </div>
+      {units.currency !== 'USD' && (
+        <div style={specStyle}>
+          {t(overridden ? 'unitsPanel.ownRate' : 'unitsPanel.bundledRate', { currency: units.currency })}
+          {overridden && (
+            <button
+              onClick={() => {
+                const { [units.currency]: removed, ...rest } = units.exchangeRates;
+                onChange({ ...units, exchangeRates: rest });
+              }}
+              style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#8B5CF6', fontSize: '0.75rem', textDecoration: 'underline' }}
+            >
+              {t('unitsPanel.reset', { rate: String(bundled.rate) })}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default UnitsPanel;
@@ -0,0 +1,75 @@
+import React from 'react';
+import { clearSkySource } from '../weather/sources.js';
+
+// Sidebar section for choosing the weather data behind the simulation
+function WeatherSourcePanel({ sources, selectedId, onSelect, onFileSelected, i18n, darkMode, isMobile }) {
+  const { t } = i18n;
+  const selected = sources.find(s => s.id === selectedId);
+
+  return (
+    <div>
+      <h3 style={{
+        margin: '0 0 1rem',
+        color: darkMode ? '#f8fafc' : '#1e293b',
+        fontSize: isMobile ? '1rem' : '1.1rem',
+        fontWeight: '600'
+      }}>
+        🌦️ {t('weatherPanel.title')}
+      </h3>
+      <select
+        value={selectedId}
+        onChange={(e) => onSelect(e.target.value)}
+        style={{
+          width: '100%',
+          padding: '0.75rem',
+          border: darkMode ? '2px solid #4c1d95' : '2px solid #8b5cf6',
+          borderRadius: '0.75rem',
+          fontSize: '0.85rem',
+          background: darkMode ? '#1E1B4B' : '#ffffff',
+          color: darkMode ? '#f9fafb' : '#1f2937',
+          marginBottom: '0.75rem'
+        }}
+      >
+        {sources.map(source => (
+          <option key={source.id} value={source.id}>
+            {source.id === clearSkySource.id ? t('weatherPanel.clearSky') : source.name}
+          </option>
+        ))}
+      </select>
+      <label style={{
+        display: 'block',
+        padding: '0.75rem 1rem',
+        background: 'rgba(139, 92, 246, 0.1)',
+        border: '1px dashed rgba(139, 92, 246, 0.4)',
+        borderRadius: '0.5rem',
+        cursor: 'pointer',
+        fontSize: '0.85rem',
+        color: darkMode ? '#c4b5fd' : '#6d28d9',
+        textAlign: 'center',
+        fontWeight: '500'
+      }}>
+        📂 {t('weatherPanel.import')}
+        <input
+          type="file"
+          accept=".epw,.csv"
+          onChange={(e) => {
+            onFileSelected(e.target.files[0]);
+            e.target.value = '';
+          }}
+          style={{ display: 'none' }}
+        />
+      </label>
+      {selected && selected.station && (
+        <div style={{ fontSize: '0.75rem', color: '#a78bfa', marginTop: '0.5rem', paddingInlineStart: '0.5rem' }}>
+          {t('weatherPanel.station', {
+            lat: selected.station.lat.toFixed(3),
+            lng: selected.station.lng.toFixed(3),
+            offset: `${selected.station.utcOffset >= 0 ? '+' : ''}${selected.station.utcOffset}`
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default WeatherSourcePanel;
@@ -0,0 +1,137 @@
+import bundledModules from './modules.json';
+import bundledInverters from './inverters.json';
+import { idbGet, idbPut } from '../storage/idb.js';
+
+// Module and inverter catalog. Entries use CEC-style field names (the same
+// ones as the bundled JSON) and are normalised to camelCase for the models.
+// User imports are kept in IndexedDB next to the bundled list.
+
+const CUSTOM_KEY = 'custom';
+
+// Typical crystalline warranty figures, used when a datasheet entry has none
+const DEFAULT_FIRST_YEAR_DEGRADATION = 2;
+const DEFAULT_ANNUAL_DEGRADATION = 0.5;
+
+const MODULE_FIELDS = {
+  Name: 'name',
+  Manufacturer: 'manufacturer',
+  STC: 'stc',
+  Length: 'length',
+  Width: 'width',
+  V_oc_ref: 'voc',
+  I_sc_ref: 'isc',
+  V_mp_ref: 'vmp',
+  I_mp_ref: 'imp',
+  alpha_sc: 'alphaIsc',
+  beta_oc: 'betaVoc',
+  gamma_r: 'gammaPmp',
+  T_NOCT: 'noct'
+};
+
+const INVERTER_FIELDS = {
+  Name: 'name',
+  Manufacturer: 'manufacturer',
+  Paco: 'paco',
+  Pdco: 'pdco',
+  Vdcmax: 'vdcMax',
+  Mppt_low: 'mpptLow',
+  Mppt_high: 'mpptHigh',
+  Efficiency_curve: 'efficiencyCurve'
+};
+
+function slug(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function pickFields(entry, fields, kind) {
+  const missing = Object.keys(fields).filter(key => entry[key] === undefined || entry[key] === null || entry[key] === '');
+  if (missing.length > 0) {
+    throw new Error(`${kind} "${entry.Name || 'unnamed'}" is missing ${missing.join(', ')}`);
+  }
+  const picked = {};
+  for (const [key, name] of Object.entries(fields)) {
+    picked[name] = typeof entry[key] === 'string' && name !== 'name' && name !== 'manufacturer'
+      ? parseFloat(entry[key])
+      : entry[key];
+  }
+  return picked;
+}
+
+export function normalizeModule(entry, source = 'bundled') {
+  const module = pickFields(entry, MODULE_FIELDS, 'Module');
+  return {
+    id: `module-${slug(module.name)}`,
+    ...module,
+    technology: entry.Technology || 'Unknown',
+    cells: entry.N_s || null,
+    firstYearDegradation: parseFloat(entry.Degradation_first_year ?? DEFAULT_FIRST_YEAR_DEGRADATION),
+    annualDegradation: parseFloat(entry.Degradation_annual ?? DEFAULT_ANNUAL_DEGRADATION),
+    source
+  };
+}
+
+export function normalizeInverter(entry, source = 'bundled') {
+  const inverter = pickFields(entry, INVERTER_FIELDS, 'Inverter');
+  const curve = inverter.efficiencyCurve;
+  if (!Array.isArray(curve) || curve.length < 2 || curve.some(point => !Array.isArray(point) || point.length !== 2)) {
+    throw new Error(`Inverter "${inverter.name}" needs an Efficiency_curve of [load fraction, efficiency %] pairs`);
+  }
+  return {
+    id: `inverter-${slug(inverter.name)}`,
+    ...inverter,
+    efficiencyCurve: [...curve].sort((a, b) => a[0] - b[0]),
+    topology: entry.Topology === 'micro' ? 'micro' : 'string',
+    vac: entry.Vac || null,
+    pso: entry.Pso || 0,
+    source
+  };
+}
+
+export const BUNDLED_CATALOG = {
+  modules: bundledModules.map(entry => normalizeModule(entry)),
+  inverters: bundledInverters.map(entry => normalizeInverter(entry))
+};
+
+// Accepts { modules: [...], inverters: [...] }, a bare array, or a single
+// entry; inverter entries are recognised by their Paco field
+export function parseCatalogFile(text) {
+  const data = JSON.parse(text);
+  const entries = Array.isArray(data) ? data
+    : data.modules || data.inverters ? [...(data.modules || []), ...(data.inverters || [])]
+      : [data];
+  const catalog = { modules: [], inverters: [] };
+  for (const entry of entries) {
+    if (entry.Paco !== undefined) {
+      catalog.inverters.push(normalizeInverter(entry, 'imported'));
+    } else {
+      catalog.modules.push(normalizeModule(entry, 'imported'));
+    }
+  }
+  if (catalog.modules.length + catalog.inverters.length === 0) {
+    throw new Error('No module or inverter entries were found in this file.');
+  }
+  return catalog;
+}
+
+// Imported entries replace bundled or earlier ones with the same name
+export function mergeCatalogs(base, extra) {
+  const merge = (a, b) => [...a.filter(item => !b.some(other => other.id === item.id)), ...b];
+  return { modules: merge(base.modules, extra.modules), inverters: merge(base.inverters, extra.inverters) };
+}
+
+export function searchCatalog(items, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return items.filter(item => {
+    const text = `${item.manufacturer} ${item.name}`.toLowerCase();
+    return terms.every(term => text.includes(term));
+  });
+}
+
+export async function loadCustomCatalog() {
+  const saved = await idbGet('equipment', CUSTOM_KEY);
+  return saved || { modules: [], inverters: [] };
+}
+
+export function saveCustomCatalog(catalog) {
+  return idbPut('equipment', CUSTOM_KEY, catalog);
+}
@@ -0,0 +1,87 @@
+// Electrical model for the chosen module and inverter: inverter sizing,
+// part-load efficiency, clipping and string sizing against the MPPT window.
+
+export const DEFAULT_DC_AC_RATIO = 1.2;
+
+// Design temperatures for string sizing: coldest ambient (Voc is highest)
+// and hottest cell temperature (Vmp is lowest)
+const MIN_DESIGN_TEMPERATURE = -10;
+const MAX_CELL_TEMPERATURE = 70;
+
+export function moduleEfficiency(module) {
+  return module.stc / (module.length * module.width * 1000) * 100;
+}
+
+// Efficiency (0-1) at a DC input given as a fraction of rated DC power,
+// interpolated along the datasheet curve and held flat beyond its ends
+export function inverterEfficiency(inverter, fraction) {
+  const curve = inverter.efficiencyCurve;
+  if (fraction <= curve[0][0]) return curve[0][1] / 100;
+  for (let i = 1; i < curve.length; i++) {
+    const [f1, e1] = curve[i];
+    if (fraction <= f1) {
+      const [f0, e0] = curve[i - 1];
+      return (e0 + (e1 - e0) * (fraction - f0) / (f1 - f0)) / 100;
+    }
+  }
+  return curve[curve.length - 1][1] / 100;
+}
+
+// AC output of one inverter for `dcPower` watts in, and the watts clipped
+export function inverterOutput(inverter, dcPower) {
+  if (dcPower <= inverter.pso) return { ac: 0, clipped: 0 };
+  const ac = dcPower * inverterEfficiency(inverter, dcPower / inverter.pdco);
+  return ac > inverter.paco
+    ? { ac: inverter.paco, clipped: ac - inverter.paco }
+    : { ac, clipped: 0 };
+}
+
+// Microinverters go one per module; string inverters are counted so the
+// DC/AC ratio lands as close to the target as whole units allow
+export function sizeInverters(module, moduleCount, inverter, targetRatio = DEFAULT_DC_AC_RATIO) {
+  const dcPower = module.stc * moduleCount;
+  const count = inverter.topology === 'micro'
+    ? moduleCount
+    : Math.max(1, Math.round(dcPower / (inverter.paco * targetRatio)));
+  return {
+    count,
+    dcAcRatio: count > 0 ? dcPower / (inverter.paco * count) : 0
+  };
+}
+
+// Modules per string that keep cold Voc under the inverter maximum and hot
+// Vmp inside the MPPT window
+export function stringLimits(module, inverter) {
+  const vocCold = module.voc + module.betaVoc * (MIN_DESIGN_TEMPERATURE - 25);
+  const vmpHot = module.vmp * (1 + module.betaVoc / module.voc * (MAX_CELL_TEMPERATURE - 25));
+  return {
+    min: Math.ceil(inverter.mpptLow / vmpHot),
+    max: Math.min(Math.floor(inverter.vdcMax / vocCold), Math.floor(inverter.mpptHigh / module.vmp)),
+    vocCold,
+    vmpHot
+  };
+}
+
+// Balanced string layout for the modules behind each inverter
+export function stringDesign(module, moduleCount, inverter, inverterCount) {
+  if (inverter.topology === 'micro') {
+    return { modulesPerString: 1, stringsPerInverter: 1, valid: true, note: 'One module per microinverter' };
+  }
+  const limits = stringLimits(module, inverter);
+  const perInverter = Math.ceil(moduleCount / inverterCount);
+  if (limits.max < limits.min) {
+    return { ...limits, valid: false, note: 'Module voltage does not fit this inverter\'s MPPT window' };
+  }
+  const stringsPerInverter = Math.max(1, Math.ceil(perInverter / limits.max));
+  const modulesPerString = Math.floor(perInverter / stringsPerInverter);
+  const valid = modulesPerString >= limits.min;
+  return {
+    ...limits,
+    modulesPerString,
+    stringsPerInverter,
+    valid,
+    note: valid
+      ? `${stringsPerInverter} × ${modulesPerString} modules per inverter (${limits.min}–${limits.max} allowed)`
+      : `Too few modules per inverter for a ${limits.min}-module minimum string`
+  };
+}
@@ -0,0 +1,180 @@
+import { closeRing } from '../geometry/geodesy.js';
+import { obstacleRing } from '../geometry/obstacles.js';
+import { toCsv } from '../util/csv.js';
+
+// Machine-readable exports of an analysis. Column names, property names and
+// number formats are fixed (not translated) so design tools can read them;
+// energy is in kWh, irradiance in W/m² and money in the display currency.
+
+export const EXPORT_FORMATS = [
+  { id: 'hourlyCsv', suffix: '_hourly.csv', type: 'text/csv' },
+  { id: 'monthlyCsv', suffix: '_monthly.csv', type: 'text/csv' },
+  { id: 'json', suffix: '.json', type: 'application/json' },
+  { id: 'geojson', suffix: '.geojson', type: 'application/geo+json' },
+  { id: 'kml', suffix: '.kml', type: 'application/vnd.google-earth.kml+xml' }
+];
+
+// Bumped whenever the shape of the JSON export changes
+export const ANALYSIS_FORMAT = 'solarvision-analysis';
+export const ANALYSIS_FORMAT_VERSION = 1;
+
+export function downloadBlob(blob, filename) {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+}
+
+export function hourlyCsv(data) {
+  return toCsv(
+    ['time_utc', 'month', 'day', 'hour', 'ghi_w_m2', 'ambient_c', 'dc_kwh', 'ac_kwh', 'load_kwh',
+      'battery_charge_kwh', 'battery_discharge_kwh', 'grid_import_kwh', 'grid_export_kwh'],
+    data.hourly.map(h => [h.time, h.month, h.day, h.hour, h.ghi, h.temperature, h.dc, h.ac, h.load,
+      h.batteryCharge, h.batteryDischarge, h.gridImport, h.gridExport])
+  );
+}
+
+// One row per month, with each roof face's production in its own column
+export function monthlyCsv(data, units) {
+  const currency = units.currency.toLowerCase();
+  const round = (value) => Math.round(units.toCurrency(value) * 100) / 100;
+  return toCsv(
+    ['month', 'production_kwh', ...data.faces.map((face, i) => `face_${i + 1}_kwh`),
+      'consumption_kwh', 'grid_import_kwh', 'grid_export_kwh', 'shade_loss_pct',
+      `bill_before_${currency}`, `bill_after_${currency}`],
+    data.monthlyProduction.map((production, m) => [
+      m + 1,
+      production,
+      ...data.faces.map(face => face.monthlyProduction[m]),
+      data.energy.monthlyConsumption[m],
+      data.energy.monthlyImport[m],
+      data.energy.monthlyExport[m],
+      data.monthlyShadeLoss[m],
+      round(data.bill.monthlyBefore[m]),
+      round(data.bill.monthlyAfter[m])
+    ])
+  );
+}
+
+// `input` is what the analysis ran on and `data` what it returned; amounts in
+// both are US dollars as the analysis works in them
+export function analysisJson(input, data) {
+  return JSON.stringify({
+    format: ANALYSIS_FORMAT,
+    version: ANALYSIS_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    currency: 'USD',
+    input,
+    output: data
+  }, null, 2);
+}
+
+// Roofs, modules and obstacles as one collection, told apart by `kind`
+export function layoutFeatures(roofs, obstacles, data) {
+  const faces = new Map(data.faces.map(face => [face.id, face]));
+  return {
+    type: 'FeatureCollection',
+    features: [
+      ...roofs.map(roof => {
+        const face = faces.get(roof.id);
+        return {
+          type: 'Feature',
+          properties: {
+            kind: 'roof',
+            id: roof.id,
+            name: roof.name,
+            roofType: roof.roofType,
+            tilt: roof.tilt,
+            azimuth: roof.azimuth,
+            moduleCount: face ? face.moduleCount : 0,
+            systemSizeKw: face ? face.systemSize : 0,
+            annualProductionKwh: face ? face.annualProduction : 0
+          },
+          geometry: { type: 'Polygon', coordinates: [closeRing(roof.coordinates)] }
+        };
+      }),
+      ...data.layouts.flatMap(layout => layout.modules.map((corners, index) => ({
+        type: 'Feature',
+        properties: {
+          kind: 'module',
+          roofId: layout.roofId,
+          index,
+          tilt: layout.tilt,
+          azimuth: layout.azimuth,
+          orientation: layout.orientation,
+          wattage: data.moduleWattage
+        },
+        geometry: { type: 'Polygon', coordinates: [closeRing(corners)] }
+      }))),
+      ...obstacles.map(obstacle => ({
+        type: 'Feature',
+        properties: { kind: 'obstacle', id: obstacle.id, name: obstacle.name, type: obstacle.type, height: obstacle.height },
+        geometry: { type: 'Polygon', coordinates: [closeRing(obstacleRing(obstacle))] }
+      }))
+    ]
+  };
+}
+
+export function layoutGeoJSON(roofs, obstacles, data) {
+  return JSON.stringify(layoutFeatures(roofs, obstacles, data), null, 2);
+}
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// KML colours are aabbggrr
+const KML_STYLES = {
+  roof: { line: 'fffdb5c4', poly: '59f65c8b' },
+  module: { line: 'fffdc593', poly: 'd98a3a1e' },
+  obstacle: { line: 'ff1c1cb9', poly: '994444ef' }
+};
+
+const KML_FOLDERS = [
+  { kind: 'roof', name: 'Roofs' },
+  { kind: 'module', name: 'Modules' },
+  { kind: 'obstacle', name: 'Obstacles' }
+];
+
+export function layoutKml(roofs, obstacles, data, name) {
+  const { features } = layoutFeatures(roofs, obstacles, data);
+  const placemark = (feature) => {
+    const { kind, ...properties } = feature.properties;
+    const title = properties.name ?? `Module ${properties.index + 1}`;
+    const coordinates = feature.geometry.coordinates[0].map(([lng, lat]) => `${lng},${lat},0`).join(' ');
+    return [
+      '      <Placemark>',
+      `        <name>${escapeXml(title)}</name>`,
+      `        <styleUrl>#${kind}</styleUrl>`,
+      '        <ExtendedData>',
+      ...Object.entries(properties).map(([key, value]) => `          <Data name="${key}"><value>${escapeXml(value ?? '')}</value></Data>`),
+      '        </ExtendedData>',
+      `        <Polygon><outerBoundaryIs><LinearRing><coordinates>${coordinates}</coordinates></LinearRing></outerBoundaryIs></Polygon>`,
+      '      </Placemark>'
+    ].join('\n');
+  };
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(name)}</name>`,
+    ...Object.entries(KML_STYLES).map(([kind, style]) =>
+      `    <Style id="${kind}"><LineStyle><color>${style.line}</color><width>${kind === 'module' ? 1 : 2}</width></LineStyle><PolyStyle><color>${style.poly}</color></PolyStyle></Style>`),
+    ...KML_FOLDERS.map(folder => [
+      '    <Folder>',
+      `      <name>${folder.name}</name>`,
+      ...features.filter(feature => feature.properties.kind === folder.kind).map(placemark),
+      '    </Folder>'
+    ].join('\n')),
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
@@ -0,0 +1,65 @@
+// Geodesic helpers on the WGS84 ellipsoid / mean-radius sphere.
+
+export const EARTH_RADIUS = 6371008.8;
+
+const DEG = Math.PI / 180;
+
+// Great-circle distance in metres
+export function haversineDistance(a, b) {
+  const dLat = (b.lat - a.lat) * DEG;
+  const dLng = (b.lng - a.lng) * DEG;
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(a.lat * DEG) * Math.cos(b.lat * DEG) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Area of a ring of [lng, lat] positions in m² on the sphere
+// (Chamberlain & Duquette, 2007). The ring may be open or closed.
+export function ringArea(ring) {
+  const points = ring.length > 1 && ring[0][0] === ring[ring.length - 1][0] &&
+    ring[0][1] === ring[ring.length - 1][1] ? ring.slice(0, -1) : ring;
+  const n = points.length;
+  if (n < 3) return 0;
+
+  let total = 0;
+  for (let i = 0; i < n; i++) {
+    const lower = points[i];
+    const middle = points[(i + 1) % n];
+    const upper = points[(i + 2) % n];
+    total += (upper[0] - lower[0]) * DEG * Math.sin(middle[1] * DEG);
+  }
+  return Math.abs(total * EARTH_RADIUS * EARTH_RADIUS / 2);
+}
+
+// Area of a polygon given as [outer, ...holes]
+export function polygonArea(rings) {
+  return rings.reduce((area, ring, i) => i === 0 ? area + ringArea(ring) : area - ringArea(ring), 0);
+}
+
+// Vertex average; good enough for roof-sized polygons
+export function ringCentroid(ring) {
+  const sum = ring.reduce((acc, [lng, lat]) => [acc[0] + lng, acc[1] + lat], [0, 0]);
+  return { lng: sum[0] / ring.length, lat: sum[1] / ring.length };
+}
+
+export function closeRing(ring) {
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+}
+
+// Equirectangular projection to metres around an origin; accurate to well
+// under 0.1% over a few hundred metres, which is all a roof needs
+export function createLocalProjection(origin) {
+  const cosLat = Math.cos(origin.lat * DEG);
+  return {
+    forward: ([lng, lat]) => [
+      (lng - origin.lng) * DEG * EARTH_RADIUS * cosLat,
+      (lat - origin.lat) * DEG * EARTH_RADIUS
+    ],
+    inverse: ([x, y]) => [
+      origin.lng + x / (EARTH_RADIUS * cosLat) / DEG,
+      origin.lat + y / EARTH_RADIUS / DEG
+    ]
+  };
+}
@@ -0,0 +1,129 @@
+import { createLocalProjection, ringCentroid } from './geodesy.js';
+import { pointInPolygon, outlineDistance, polygonBounds } from './planar.js';
+import { suggestAzimuth } from './roof.js';
+import { keepOutPolygon, obstaclesOnRoof } from './obstacles.js';
+
+// Automatic PV module placement on a roof face. Rows run across the slope
+// (or across the rack direction on flat roofs); layouts are computed in a
+// local metric frame and returned as lng/lat rectangles.
+
+const DEG = Math.PI / 180;
+const MODULE_GAP = 0.02;
+const GRID_PHASES = [0, 0.25, 0.5, 0.75];
+
+export const MODULE_ORIENTATIONS = [
+  { id: 'portrait', name: 'Portrait' },
+  { id: 'landscape', name: 'Landscape' }
+];
+
+export const LAYOUT_ALIGNMENTS = [
+  { id: 'edge', name: 'Roof edge' },
+  { id: 'azimuth', name: 'Roof azimuth' }
+];
+
+// Tilt and azimuth the modules actually face. Flat roofs carry racks at
+// rackTilt, pointed either square to the building or along the roof azimuth.
+export function effectiveOrientation(roof, settings) {
+  if (roof.roofType !== 'flat') return { tilt: roof.tilt, azimuth: roof.azimuth };
+  return {
+    tilt: settings.rackTilt,
+    azimuth: settings.layoutAlignment === 'edge' ? suggestAzimuth(roof.coordinates) : roof.azimuth
+  };
+}
+
+// Inter-row gap that keeps racks unshaded at solar noon on the winter
+// solstice, with the sun elevation floored at 15° for high latitudes
+export function shadeFreeRowGap(rackHeight, latitude) {
+  const elevation = Math.max(15, 90 - Math.abs(latitude) - 23.44);
+  return rackHeight / Math.tan(elevation * DEG);
+}
+
+function placeGrid(polygon, bounds, size, pitch, phase, fits) {
+  const placed = [];
+  for (let v = bounds.minY + phase[1] * pitch.row; v + size.along <= bounds.maxY; v += pitch.row) {
+    for (let u = bounds.minX + phase[0] * pitch.column; u + size.across <= bounds.maxX; u += pitch.column) {
+      const rect = [[u, v], [u + size.across, v], [u + size.across, v + size.along], [u, v + size.along]];
+      if (fits(rect)) placed.push(rect);
+    }
+  }
+  return placed;
+}
+
+// Packs modules into one roof face, keeping `edgeSetback` metres clear of
+// the outline and `obstacleBuffer` metres clear of each obstacle keep-out.
+export function layoutRoof(roof, settings, obstacles = []) {
+  const {
+    moduleLength,
+    moduleWidth,
+    moduleOrientation = 'portrait',
+    edgeSetback = 0.5,
+    obstacleBuffer = 0.3
+  } = settings;
+  const origin = ringCentroid(roof.coordinates);
+  const projection = createLocalProjection(origin);
+  const { tilt, azimuth } = effectiveOrientation(roof, settings);
+
+  // Local frame: v points downslope (or towards the rack face), u across it
+  const vHat = [Math.sin(azimuth * DEG), Math.cos(azimuth * DEG)];
+  const uHat = [Math.cos(azimuth * DEG), -Math.sin(azimuth * DEG)];
+  const toFrame = ([x, y]) => [x * uHat[0] + y * uHat[1], x * vHat[0] + y * vHat[1]];
+  const fromFrame = ([u, v]) => projection.inverse([u * uHat[0] + v * vHat[0], u * uHat[1] + v * vHat[1]]);
+
+  const polygon = roof.coordinates.map(p => toFrame(projection.forward(p)));
+  const keepOuts = obstaclesOnRoof(roof, obstacles)
+    .map(obstacle => keepOutPolygon(obstacle, projection, origin.lat).map(toFrame));
+
+  const slopeLength = moduleOrientation === 'portrait' ? moduleLength : moduleWidth;
+  const across = moduleOrientation === 'portrait' ? moduleWidth : moduleLength;
+  const along = slopeLength * Math.cos(tilt * DEG);
+  const isRacked = roof.roofType === 'flat' && tilt > 0;
+  const rowGap = isRacked
+    ? shadeFreeRowGap(slopeLength * Math.sin(tilt * DEG), origin.lat)
+    : MODULE_GAP * Math.cos(tilt * DEG);
+
+  const size = { along, across };
+  const pitch = { row: along + rowGap, column: across + MODULE_GAP };
+  const bounds = polygonBounds(polygon);
+
+  const fits = (rect) => {
+    if (!rect.every(corner => pointInPolygon(corner, polygon))) return false;
+    if (polygon.some(vertex => pointInPolygon(vertex, rect))) return false;
+    if (outlineDistance(rect, polygon) < edgeSetback) return false;
+    return keepOuts.every(zone =>
+      !zone.some(vertex => pointInPolygon(vertex, rect)) &&
+      !rect.some(corner => pointInPolygon(corner, zone)) &&
+      outlineDistance(rect, zone) >= obstacleBuffer
+    );
+  };
+
+  // Try a few grid offsets and keep whichever fits the most modules
+  let best = [];
+  for (const pu of GRID_PHASES) {
+    for (const pv of GRID_PHASES) {
+      const placed = placeGrid(polygon, bounds, size, pitch, [pu, pv], fits);
+      if (placed.length > best.length) best = placed;
+    }
+  }
+
+  return {
+    roofId: roof.id,
+    tilt,
+    azimuth,
+    orientation: moduleOrientation,
+    rowPitch: pitch.row,
+    moduleCount: best.length,
+    moduleArea: best.length * moduleLength * moduleWidth,
+    modules: best.map(rect => rect.map(fromFrame))
+  };
+}
+
+export function layoutToGeoJSON(layouts) {
+  return {
+    type: 'FeatureCollection',
+    features: layouts.flatMap(layout => layout.modules.map((corners, index) => ({
+      type: 'Feature',
+      properties: { roofId: layout.roofId, index },
+      geometry: { type: 'Polygon', coordinates: [[...corners, corners[0]]] }
+    })))
+  };
+}
@@ -0,0 +1,101 @@
+import { createLocalProjection, ringCentroid } from './geodesy.js';
+import { pointInPolygon, planarArea, edges } from './planar.js';
+import { createId } from '../util/id.js';
+
+// Rooftop obstacles are polygons or circles in lng/lat with an optional
+// height in metres. Each one becomes a convex keep-out zone; tall obstacles
+// also sweep their winter-noon shadow towards the pole.
+
+const DEG = Math.PI / 180;
+const CIRCLE_SEGMENTS = 24;
+
+export const OBSTACLE_TYPES = [
+  { id: 'chimney', name: 'Chimney', icon: '🧱', shape: 'polygon', height: 1.0 },
+  { id: 'vent', name: 'Vent', icon: '💨', shape: 'circle', height: 0.3 },
+  { id: 'skylight', name: 'Skylight', icon: '🪟', shape: 'polygon', height: 0.2 },
+  { id: 'hvac', name: 'HVAC unit', icon: '❄️', shape: 'polygon', height: 1.5 },
+  { id: 'hatch', name: 'Roof hatch', icon: '🚪', shape: 'polygon', height: 0.5 }
+];
+
+export function createObstacle(type, geometry, index) {
+  const definition = OBSTACLE_TYPES.find(t => t.id === type);
+  return {
+    id: createId('obstacle'),
+    name: `${definition.name} ${index + 1}`,
+    type,
+    height: definition.height,
+    ...geometry
+  };
+}
+
+// Outline as a lng/lat ring; circles ({ center, radius }) become polygons
+export function obstacleRing(obstacle) {
+  if (obstacle.shape !== 'circle') return obstacle.coordinates;
+  const projection = createLocalProjection({ lng: obstacle.center[0], lat: obstacle.center[1] });
+  return Array.from({ length: CIRCLE_SEGMENTS }, (_, i) => {
+    const angle = 2 * Math.PI * i / CIRCLE_SEGMENTS;
+    return projection.inverse([obstacle.radius * Math.cos(angle), obstacle.radius * Math.sin(angle)]);
+  });
+}
+
+export function obstacleCenter(obstacle) {
+  if (obstacle.shape === 'circle') return { lng: obstacle.center[0], lat: obstacle.center[1] };
+  return ringCentroid(obstacle.coordinates);
+}
+
+// Andrew's monotone chain
+export function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (sorted.length < 3) return sorted;
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const build = (list) => {
+    const hull = [];
+    for (const p of list) {
+      while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], p) <= 0) hull.pop();
+      hull.push(p);
+    }
+    hull.pop();
+    return hull;
+  };
+  return [...build(sorted), ...build([...sorted].reverse())];
+}
+
+// Length of the shadow an obstacle casts at winter-solstice noon, using the
+// same 15° floor as the rack row spacing
+export function shadowLength(height, latitude) {
+  if (!height) return 0;
+  const elevation = Math.max(15, 90 - Math.abs(latitude) - 23.44);
+  return height / Math.tan(elevation * DEG);
+}
+
+// Convex keep-out zone in the local metric frame of `projection`
+export function keepOutPolygon(obstacle, projection, latitude) {
+  const outline = obstacleRing(obstacle).map(projection.forward);
+  const reach = shadowLength(obstacle.height, latitude);
+  const towardsPole = latitude >= 0 ? 1 : -1;
+  const shadow = reach > 0 ? outline.map(([x, y]) => [x, y + towardsPole * reach]) : [];
+  return convexHull([...outline, ...shadow]);
+}
+
+// Area of a convex polygon grown by `buffer` metres (Steiner formula)
+export function bufferedArea(polygon, buffer) {
+  const perimeter = edges(polygon).reduce((sum, [a, b]) => sum + Math.hypot(b[0] - a[0], b[1] - a[1]), 0);
+  return planarArea(polygon) + perimeter * buffer + Math.PI * buffer * buffer;
+}
+
+export function obstaclesOnRoof(roof, obstacles) {
+  const projection = createLocalProjection(ringCentroid(roof.coordinates));
+  const outline = roof.coordinates.map(projection.forward);
+  return obstacles.filter(obstacle => {
+    const { lng, lat } = obstacleCenter(obstacle);
+    return pointInPolygon(projection.forward([lng, lat]), outline);
+  });
+}
+
+// Plan-view area lost to obstacles and their buffers on one roof, in m²
+export function excludedPlanArea(roof, obstacles, buffer) {
+  const origin = ringCentroid(roof.coordinates);
+  const projection = createLocalProjection(origin);
+  return obstaclesOnRoof(roof, obstacles).reduce((sum, obstacle) =>
+    sum + bufferedArea(keepOutPolygon(obstacle, projection, origin.lat), buffer), 0);
+}
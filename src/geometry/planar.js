@@ -0,0 +1,72 @@
+// Planar geometry on [x, y] points in metres
+
+export function pointInPolygon([x, y], polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function pointSegmentDistance([px, py], [ax, ay], [bx, by]) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq));
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+function cross(o, a, b) {
+  return (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+}
+
+function segmentsIntersect(a, b, c, d) {
+  const d1 = cross(c, d, a);
+  const d2 = cross(c, d, b);
+  const d3 = cross(a, b, c);
+  const d4 = cross(a, b, d);
+  return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+}
+
+export function segmentDistance(a, b, c, d) {
+  if (segmentsIntersect(a, b, c, d)) return 0;
+  return Math.min(
+    pointSegmentDistance(a, c, d),
+    pointSegmentDistance(b, c, d),
+    pointSegmentDistance(c, a, b),
+    pointSegmentDistance(d, a, b)
+  );
+}
+
+export function edges(polygon) {
+  return polygon.map((p, i) => [p, polygon[(i + 1) % polygon.length]]);
+}
+
+// Smallest distance between the outlines of two polygons (0 if they cross)
+export function outlineDistance(a, b) {
+  let min = Infinity;
+  for (const [p, q] of edges(a)) {
+    for (const [r, s] of edges(b)) {
+      min = Math.min(min, segmentDistance(p, q, r, s));
+      if (min === 0) return 0;
+    }
+  }
+  return min;
+}
+
+export function polygonBounds(polygon) {
+  const xs = polygon.map(p => p[0]);
+  const ys = polygon.map(p => p[1]);
+  return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+}
+
+// Shoelace area in m² (unsigned)
+export function planarArea(polygon) {
+  let sum = 0;
+  for (const [[x1, y1], [x2, y2]] of edges(polygon)) sum += x1 * y2 - x2 * y1;
+  return Math.abs(sum) / 2;
+}
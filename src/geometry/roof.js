@@ -0,0 +1,72 @@
+import { ringArea } from './geodesy.js';
+import { createId } from '../util/id.js';
+
+// Roof faces are drawn in plan view; tilt and azimuth describe the plane.
+// Azimuth is the downslope direction, clockwise from north.
+
+const DEG = Math.PI / 180;
+
+export const ROOF_TYPES = [
+  { id: 'flat', name: 'Flat' },
+  { id: 'pitched', name: 'Pitched face' }
+];
+
+const COMPASS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+export function compassDirection(azimuth) {
+  return COMPASS[Math.round((((azimuth % 360) + 360) % 360) / 45) % 8];
+}
+
+// Planar bearing of each edge, adequate at roof scale
+function edgeBearings(ring) {
+  const cosLat = Math.cos(ring[0][1] * DEG);
+  return ring.map((a, i) => {
+    const b = ring[(i + 1) % ring.length];
+    const dx = (b[0] - a[0]) * cosLat;
+    const dy = b[1] - a[1];
+    return { bearing: (Math.atan2(dx, dy) / DEG + 360) % 360, length: Math.hypot(dx, dy) };
+  });
+}
+
+// Downslope direction perpendicular to the longest edge, turned towards the equator
+export function suggestAzimuth(ring) {
+  if (ring.length < 2) return 180;
+  const longest = edgeBearings(ring).reduce((best, edge) => edge.length > best.length ? edge : best);
+  const equator = ring[0][1] >= 0 ? 180 : 0;
+  const candidates = [(longest.bearing + 90) % 360, (longest.bearing + 270) % 360];
+  const gap = (az) => Math.abs(((az - equator + 540) % 360) - 180);
+  return Math.round(gap(candidates[0]) <= gap(candidates[1]) ? candidates[0] : candidates[1]);
+}
+
+export function createRoof(coordinates, index) {
+  return {
+    id: createId('roof'),
+    name: `Roof ${index + 1}`,
+    coordinates,
+    roofType: 'flat',
+    tilt: 0,
+    azimuth: coordinates[0][1] >= 0 ? 180 : 0,
+    // Metres above ground; null takes it from the building under the roof
+    height: null
+  };
+}
+
+export function setRoofType(roof, roofType) {
+  if (roofType === 'flat') return { ...roof, roofType, tilt: 0 };
+  return {
+    ...roof,
+    roofType,
+    tilt: roof.tilt > 0 ? roof.tilt : 30,
+    azimuth: suggestAzimuth(roof.coordinates)
+  };
+}
+
+// Plan-view area in m²
+export function roofPlanArea(roof) {
+  return ringArea(roof.coordinates);
+}
+
+// True area of the sloped surface in m²
+export function roofSurfaceArea(roof) {
+  return ringArea(roof.coordinates) / Math.cos(Math.min(roof.tilt, 89) * DEG);
+}
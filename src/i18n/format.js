@@ -0,0 +1,37 @@
+// Labels for analysis results that are assembled from several figures, shared
+// by the results panel and the report. `t` is the translator's lookup.
+
+export function formatWeatherSource(source, units, t) {
+  let label = source.name;
+  if (source.stationDistance !== null) label += ` ${t('format.fromSite', { distance: units.distance(source.stationDistance) })}`;
+  if (source.cached) label += ` ${t('format.cached')}`;
+  return label;
+}
+
+// Payback and IRR are null when the investment does not pay back in the analysis period
+export function formatYears(years, period, t) {
+  return years === null ? t('format.notWithin', { count: period }) : t('format.years', { count: years });
+}
+
+export function formatLoadSource(energy, t) {
+  if (energy.source === 'measured') {
+    return energy.filledHours > 0
+      ? t('load.measuredFilled', { coverage: energy.coverage, count: energy.filledHours })
+      : t('load.measured', { coverage: energy.coverage });
+  }
+  const building = t(`building.${energy.buildingType}`);
+  return t(energy.source === 'monthly' ? 'load.typicalMonthly' : 'load.typicalAnnual', { building });
+}
+
+export function formatPercent(value, t) {
+  return value === null ? t('format.notApplicable') : t('format.percent', { value });
+}
+
+// The string layout note, rebuilt from the design's figures so it can be translated
+export function formatStringDesign(design, t) {
+  if (design.min === undefined) return t('strings.micro');
+  if (design.modulesPerString === undefined) return t('strings.voltage');
+  return design.valid
+    ? t('strings.layout', { strings: design.stringsPerInverter, modules: design.modulesPerString, min: design.min, max: design.max })
+    : t('strings.tooFew', { min: design.min });
+}
@@ -0,0 +1,73 @@
+import { idbGet, idbPut } from '../storage/idb.js';
+import en from './locales/en.json';
+
+// Message catalogs are flat maps of keys to messages with `{name}`
+// placeholders. A message may instead be an object of plural forms keyed by
+// the Intl.PluralRules categories (zero, one, two, few, many, other), chosen
+// by the `count` parameter. English is bundled and backs up any key another
+// catalog lacks; the other catalogs are loaded when first selected.
+
+export const LOCALES = [
+  { id: 'en', name: 'English', dir: 'ltr' },
+  { id: 'ar', name: 'العربية', dir: 'rtl' },
+  { id: 'ur', name: 'اردو', dir: 'rtl' }
+];
+
+export const DEFAULT_LOCALE = 'en';
+
+const loaders = {
+  ar: () => import('./locales/ar.json'),
+  ur: () => import('./locales/ur.json')
+};
+const catalogs = { en };
+const PREFERENCES_KEY = 'locale';
+
+export async function loadCatalog(locale) {
+  if (!catalogs[locale]) catalogs[locale] = (await loaders[locale]()).default;
+  return catalogs[locale];
+}
+
+// The saved choice, else the browser's language when there is a catalog for it
+export async function loadLocale() {
+  const saved = await idbGet('preferences', PREFERENCES_KEY);
+  if (LOCALES.some(l => l.id === saved)) return saved;
+  const browser = (navigator.language || '').split('-')[0];
+  return LOCALES.some(l => l.id === browser) ? browser : DEFAULT_LOCALE;
+}
+
+export function saveLocale(locale) {
+  return idbPut('preferences', PREFERENCES_KEY, locale);
+}
+
+// Returns what components translate and format with. Numbers passed as
+// parameters are formatted for the locale; pass years and other identifiers
+// as strings to keep them ungrouped.
+export function createTranslator(locale, messages = catalogs[locale] || en) {
+  const plurals = new Intl.PluralRules(locale);
+  const numberFormat = new Intl.NumberFormat(locale, { maximumFractionDigits: 2 });
+  const dateFormat = new Intl.DateTimeFormat(locale, { dateStyle: 'long' });
+  const monthFormat = new Intl.DateTimeFormat(locale, { month: 'short', timeZone: 'UTC' });
+
+  const t = (key, params = {}) => {
+    let message = messages[key] ?? en[key] ?? key;
+    if (typeof message === 'object') {
+      message = message[plurals.select(params.count)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+      if (!(name in params)) return match;
+      const value = params[name];
+      return typeof value === 'number' ? numberFormat.format(value) : value;
+    });
+  };
+
+  return {
+    locale,
+    dir: LOCALES.find(l => l.id === locale)?.dir || 'ltr',
+    t,
+    // Whether a key has a message, for codes that come from outside the app
+    has: (key) => Object.hasOwn(messages, key) || Object.hasOwn(en, key),
+    number: (value, digits = 0) => value.toLocaleString(locale, { maximumFractionDigits: digits }),
+    date: (value) => dateFormat.format(value),
+    months: Array.from({ length: 12 }, (_, i) => monthFormat.format(Date.UTC(2000, i, 1)))
+  };
+}
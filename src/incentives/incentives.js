@@ -0,0 +1,195 @@
+import bundledRules from './incentives.json';
+import { idbGet, idbPut } from '../storage/idb.js';
+import { exchangeRate } from '../units/units.js';
+
+// Incentive programs applied inside the investment appraisal.
+//
+// Rule sets are keyed by region; each region has bounding boxes used to pick
+// it from the site coordinates, less the `exclude` boxes cut out where they
+// cross a border, an optional parent region whose programs also apply (a
+// state inherits the national ones) and its programs:
+//   percentCredit       - percent of the eligible cost, optionally capped,
+//                         received in `year` (tax credits arrive with the
+//                         first return)
+//   capacityRebate      - $/kW DC paid at purchase, optionally capped
+//   storageRebate       - $/kWh of battery capacity paid at purchase
+//   productionIncentive - $/kWh generated (SRECs, generation credits)
+//   feedInTariff        - $/kWh exported, or generated with basis
+//                         'generation', paid on top of the tariff
+// Recurring payments last `years` from installation and stop after the
+// calendar year `expires`; `availableUntil` is the last installation year a
+// program accepts. Amounts are held in US dollars; a region may name the
+// `currency` its programs are priced in and is converted on import.
+
+export const INCENTIVE_TYPES = [
+  { id: 'percentCredit', name: 'Tax credit' },
+  { id: 'capacityRebate', name: 'Rebate per kW' },
+  { id: 'storageRebate', name: 'Storage rebate per kWh' },
+  { id: 'productionIncentive', name: 'Generation credit' },
+  { id: 'feedInTariff', name: 'Feed-in tariff' }
+];
+
+// Paid yearly on energy rather than once against the cost
+export const RECURRING_TYPES = ['productionIncentive', 'feedInTariff'];
+
+const UPFRONT_TYPES = ['capacityRebate', 'storageRebate'];
+const CUSTOM_KEY = 'custom';
+
+// `scale` converts the program's amounts to dollars
+function normalizeProgram(program, regionName, scale) {
+  if (!program.id || !program.name) throw new Error(`A program in "${regionName}" is missing an id or name`);
+  if (!INCENTIVE_TYPES.some(type => type.id === program.type)) {
+    throw new Error(`Program "${program.id}" has type "${program.type}"; use ${INCENTIVE_TYPES.map(t => t.id).join(', ')}`);
+  }
+  const amount = program.type === 'percentCredit' ? program.percent : program.rate;
+  if (typeof amount !== 'number') {
+    throw new Error(`Program "${program.id}" needs a ${program.type === 'percentCredit' ? 'percent' : 'rate'}`);
+  }
+  return {
+    id: program.id,
+    name: program.name,
+    type: program.type,
+    percent: program.percent ?? null,
+    rate: program.rate === undefined ? null : program.rate * scale,
+    cap: program.cap === undefined ? null : program.cap * scale,
+    includesBattery: program.includesBattery ?? false,
+    year: program.year ?? 1,
+    basis: program.basis || 'export',
+    years: program.years ?? null,
+    expires: program.expires ?? null,
+    availableUntil: program.availableUntil ?? null
+  };
+}
+
+// `data` is an object keyed by region id; `toDollars(currency)` gives the
+// factor for regions priced in another currency
+export function normalizeRuleSet(data, source = 'bundled', toDollars = () => 1) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('An incentive rule set is an object keyed by region id');
+  }
+  return Object.entries(data).map(([id, region]) => {
+    const name = region.name || id;
+    return {
+      id,
+      name,
+      parent: region.parent || null,
+      bounds: region.bounds || [],
+      exclude: region.exclude || [],
+      programs: (region.programs || []).map(program => normalizeProgram(program, name, toDollars(region.currency))),
+      source
+    };
+  });
+}
+
+export const BUNDLED_INCENTIVES = normalizeRuleSet(bundledRules);
+
+// Regions without a `currency` are taken to be priced in the one selected in
+// `units`
+export function parseIncentiveFile(text, units) {
+  const regions = normalizeRuleSet(JSON.parse(text), 'imported', (currency) => 1 / exchangeRate(units, currency || units.currency));
+  if (regions.length === 0) throw new Error('No regions were found in this file.');
+  return regions;
+}
+
+// Imported regions replace bundled ones with the same id
+export function mergeRuleSets(base, extra) {
+  const ids = new Set(extra.map(region => region.id));
+  return [...extra, ...base.filter(region => !ids.has(region.id))];
+}
+
+export async function loadCustomIncentives() {
+  return (await idbGet('incentives', CUSTOM_KEY)) || [];
+}
+
+export function saveCustomIncentives(regions) {
+  return idbPut('incentives', CUSTOM_KEY, regions);
+}
+
+function ancestors(regions, region) {
+  const chain = [];
+  for (let r = region; r && !chain.includes(r); r = regions.find(p => p.id === r.parent)) chain.push(r);
+  return chain;
+}
+
+function inBox(box, lat, lng) {
+  return lat >= box.south && lat <= box.north && lng >= box.west && lng <= box.east;
+}
+
+// Regions without bounds place no limit on their children
+function contains(region, lat, lng) {
+  if (region.bounds.length === 0) return true;
+  return region.bounds.some(box => inBox(box, lat, lng)) &&
+    !(region.exclude || []).some(box => inBox(box, lat, lng));
+}
+
+// The most specific region containing the point, inside its parents too so a
+// state box reaching over the national border does not claim the neighbour.
+// The boxes follow the borders only to a few kilometres; the settings have a
+// manual override for towns along them.
+export function regionAt(regions, lat, lng) {
+  const matches = regions.filter(region => region.bounds.length > 0 &&
+    ancestors(regions, region).every(r => contains(r, lat, lng)));
+  if (matches.length === 0) return null;
+  return matches.reduce((best, region) =>
+    ancestors(regions, region).length > ancestors(regions, best).length ? region : best
+  );
+}
+
+// Programs of the region and its parents, the region's own first
+export function programsFor(regions, regionId) {
+  const region = regions.find(r => r.id === regionId);
+  return region ? ancestors(regions, region).flatMap(r => r.programs) : [];
+}
+
+// Spreads each program's payments over the analysis years (year 0 is the
+// purchase). `projection` is the output of projectLifetime; `exportShare` is
+// the fraction of production sent to the grid. Rebates are counted before the
+// tax credits, which apply to the cost net of them.
+export function evaluateIncentives(programs, { startYear, projection, pvCost, batteryCost, systemSize, batteryCapacity, exportShare }) {
+  const lifetime = projection.years.length;
+  const byYear = new Array(lifetime + 1).fill(0);
+  const ordered = [...programs].sort((a, b) =>
+    UPFRONT_TYPES.includes(b.type) - UPFRONT_TYPES.includes(a.type)
+  );
+  let rebates = 0;
+  let rebatesPv = 0;
+  const results = [];
+  for (const program of ordered) {
+    const payments = new Array(lifetime + 1).fill(0);
+    if (program.availableUntil === null || startYear <= program.availableUntil) {
+      const capped = (amount) => program.cap === null ? amount : Math.min(program.cap, amount);
+      if (program.type === 'capacityRebate') {
+        payments[0] = capped(program.rate * systemSize);
+        rebates += payments[0];
+        rebatesPv += payments[0];
+      } else if (program.type === 'storageRebate') {
+        payments[0] = capped(program.rate * batteryCapacity);
+        rebates += payments[0];
+      } else if (program.type === 'percentCredit') {
+        const eligible = program.includesBattery ? pvCost + batteryCost - rebates : pvCost - rebatesPv;
+        payments[Math.min(lifetime, program.year)] = capped(Math.max(0, eligible) * program.percent / 100);
+      } else {
+        const share = program.type === 'feedInTariff' && program.basis === 'export' ? exportShare : 1;
+        for (const y of projection.years) {
+          if (program.years !== null && y.year > program.years) break;
+          if (program.expires !== null && startYear + y.year - 1 > program.expires) break;
+          payments[y.year] = program.rate * y.production * share;
+        }
+      }
+    }
+    payments.forEach((amount, year) => { byYear[year] += amount; });
+    results.push({
+      id: program.id,
+      name: program.name,
+      type: program.type,
+      payments,
+      total: payments.reduce((sum, amount) => sum + amount, 0)
+    });
+  }
+  return {
+    byYear,
+    // Back in the original order for display
+    programs: programs.map(program => results.find(result => result.id === program.id)),
+    total: byYear.reduce((sum, amount) => sum + amount, 0)
+  };
+}
@@ -0,0 +1,231 @@
+import { splitCsvLine } from '../util/csv.js';
+
+// Parsers for customer interval consumption data. Both formats are
+// normalised to a list of intervals { start, local, minutes, kwh }: `start`
+// is a UTC instant when the source says which zone it is in, otherwise
+// `local` holds the wall-clock fields and the site's zone is applied later.
+
+const MIN_INTERVAL = 5;
+const MAX_INTERVAL = 60;
+
+// ISO dates (2023-01-31) or slash dates, read as month/day unless the first
+// number cannot be a month
+function parseDate(text) {
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) return { year: +match[1], month: +match[2], day: +match[3] };
+  match = text.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{2,4})/);
+  if (!match) return null;
+  const year = match[3].length === 2 ? 2000 + +match[3] : +match[3];
+  return +match[1] > 12
+    ? { year, month: +match[2], day: +match[1] }
+    : { year, month: +match[1], day: +match[2] };
+}
+
+function parseTime(text) {
+  const match = text.match(/(\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?\s*([AaPp][Mm])?/);
+  if (!match) return { hour: 0, minute: 0 };
+  let hour = +match[1];
+  if (match[3]) {
+    const pm = match[3].toLowerCase() === 'pm';
+    if (hour === 12) hour = pm ? 12 : 0;
+    else if (pm) hour += 12;
+  }
+  return { hour, minute: +match[2] };
+}
+
+// Timestamps with Z or a UTC offset, or in a column marked UTC, become
+// instants; the rest stay local
+function parseTimestamp(dateText, timeText = '', utc = false) {
+  const text = `${dateText} ${timeText}`.trim();
+  if (/^\d{4}-\d{2}-\d{2}[T ].*(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+    const date = new Date(text.replace(' ', 'T'));
+    return isNaN(date.getTime()) ? null : { start: date, local: null };
+  }
+  const date = parseDate(dateText);
+  if (!date) return null;
+  const time = parseTime(timeText || dateText.slice(dateText.search(/[T\s]/) + 1));
+  if (utc) {
+    return { start: new Date(Date.UTC(date.year, date.month - 1, date.day, time.hour, time.minute)), local: null };
+  }
+  return { start: null, local: { ...date, ...time } };
+}
+
+// Minutes since the epoch of either form, only for spacing and ordering
+function sortKey(stamp) {
+  if (stamp.start) return stamp.start.getTime() / 60000;
+  const { year, month, day, hour, minute } = stamp.local;
+  return Date.UTC(year, month - 1, day, hour, minute) / 60000;
+}
+
+function medianSpacing(keys) {
+  const gaps = [];
+  for (let i = 1; i < keys.length; i++) {
+    if (keys[i] > keys[i - 1]) gaps.push(keys[i] - keys[i - 1]);
+  }
+  gaps.sort((a, b) => a - b);
+  return gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : null;
+}
+
+// Interval CSV from a utility portal or meter: one row per interval with a
+// timestamp (or date and time columns) and a kWh, Wh or kW value
+export function parseConsumptionCSV(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  const delimiter = lines.length > 0 && lines[0].split(';').length > lines[0].split(',').length ? ';' : ',';
+  const headerIndex = lines.findIndex(line => /date|time|start|interval/i.test(line) && /kwh|wh|kw|usage|consumption|energy|value|import/i.test(line));
+  if (headerIndex === -1) {
+    throw new Error('No header row with a date/time column and a kWh, kW or usage column was found');
+  }
+  const header = splitCsvLine(lines[headerIndex], delimiter).map(h => h.toLowerCase());
+  const find = (pattern, exclude = -1) => header.findIndex((h, i) => i !== exclude && pattern.test(h));
+
+  const dateCol = find(/timestamp|datetime|date|start|interval/);
+  const timeCol = find(/^(start )?time$|start time/, dateCol);
+  let valueCol = find(/kwh|usage|consumption|import/);
+  if (valueCol === -1) valueCol = find(/\bwh\b|\bkw\b|energy|value/);
+  if (valueCol === -1 || valueCol === dateCol) {
+    throw new Error('No consumption column (kWh, Wh, kW or usage) was found');
+  }
+  const unitsCol = find(/^units?$/);
+  const utc = /utc|gmt/.test(header[dateCol]);
+  const unitOf = (row) => (unitsCol !== -1 ? row[unitsCol] : header[valueCol]).toLowerCase();
+
+  const rows = [];
+  let skipped = 0;
+  for (const line of lines.slice(headerIndex + 1)) {
+    const f = splitCsvLine(line, delimiter);
+    const stamp = parseTimestamp(f[dateCol] || '', timeCol !== -1 ? f[timeCol] : '', utc);
+    const value = parseFloat((f[valueCol] || '').replace(/,/g, ''));
+    if (!stamp || isNaN(value)) {
+      skipped++;
+      continue;
+    }
+    rows.push({ ...stamp, value, unit: unitOf(f) });
+  }
+  if (rows.length < 24) {
+    throw new Error(`Only ${rows.length} readable rows were found`);
+  }
+
+  rows.sort((a, b) => sortKey(a) - sortKey(b));
+  const minutes = medianSpacing(rows.map(sortKey));
+  if (!minutes || minutes < MIN_INTERVAL || minutes > MAX_INTERVAL) {
+    throw new Error(`Intervals of ${minutes} minutes are not supported; use 5 to 60 minute data`);
+  }
+  // Some exports label intervals by their end, running 00:15 ... 24:00
+  const endLabelled = rows.some(r => r.local && r.local.hour === 24);
+
+  const intervals = rows.map(r => {
+    let { start, local } = r;
+    if (endLabelled && local) {
+      const shifted = new Date(Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute - minutes));
+      local = {
+        year: shifted.getUTCFullYear(),
+        month: shifted.getUTCMonth() + 1,
+        day: shifted.getUTCDate(),
+        hour: shifted.getUTCHours(),
+        minute: shifted.getUTCMinutes()
+      };
+    }
+    const kwh = /kwh/.test(r.unit) ? r.value
+      : /\bwh\b|^wh/.test(r.unit) ? r.value / 1000
+        : /kw/.test(r.unit) ? r.value * minutes / 60
+          : r.value;
+    return { start, local, minutes, kwh };
+  });
+
+  const negative = intervals.filter(i => i.kwh < 0).length;
+  if (negative > intervals.length * 0.05) {
+    throw new Error('More than 5% of readings are negative; this looks like net or export data, not consumption');
+  }
+
+  return {
+    format: 'CSV',
+    intervalMinutes: minutes,
+    skippedRows: skipped,
+    intervals: intervals.map(i => ({ ...i, kwh: Math.max(0, i.kwh) }))
+  };
+}
+
+// ESPI unit of measure codes
+const UOM_WATT_HOURS = 72;
+const UOM_WATTS = 38;
+const FLOW_REVERSE = 19;
+
+function childText(element, name) {
+  const child = element.getElementsByTagNameNS('*', name)[0];
+  return child ? child.textContent.trim() : null;
+}
+
+function entryLinks(entry) {
+  return Array.from(entry.getElementsByTagNameNS('*', 'link')).map(link => ({
+    rel: link.getAttribute('rel'),
+    href: link.getAttribute('href') || ''
+  }));
+}
+
+// Green Button (NAESB ESPI) Atom feed. IntervalBlocks are matched to their
+// ReadingType through the MeterReading links; reverse-flow (export) readings
+// are ignored.
+export function parseGreenButton(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Green Button file is not valid XML');
+  }
+
+  const readingTypes = new Map();
+  const meterReadingTypes = new Map();
+  const blocks = [];
+  for (const entry of Array.from(doc.getElementsByTagNameNS('*', 'entry'))) {
+    const links = entryLinks(entry);
+    const self = (links.find(l => l.rel === 'self') || {}).href;
+    const readingType = entry.getElementsByTagNameNS('*', 'ReadingType')[0];
+    if (readingType) {
+      readingTypes.set(self, {
+        multiplier: parseInt(childText(readingType, 'powerOfTenMultiplier') || '0'),
+        uom: parseInt(childText(readingType, 'uom') || String(UOM_WATT_HOURS)),
+        flowDirection: parseInt(childText(readingType, 'flowDirection') || '1')
+      });
+    }
+    if (entry.getElementsByTagNameNS('*', 'MeterReading')[0]) {
+      const related = links.find(l => l.rel === 'related' && /ReadingType/.test(l.href));
+      if (related) meterReadingTypes.set(self, related.href);
+    }
+    for (const block of Array.from(entry.getElementsByTagNameNS('*', 'IntervalBlock'))) {
+      const up = (links.find(l => l.rel === 'up') || {}).href || '';
+      blocks.push({ block, meterReading: up.replace(/\/IntervalBlock\/?$/, '') });
+    }
+  }
+  if (blocks.length === 0) throw new Error('Green Button file has no IntervalBlock readings');
+
+  const fallbackType = readingTypes.values().next().value || { multiplier: 0, uom: UOM_WATT_HOURS, flowDirection: 1 };
+  const intervals = [];
+  for (const { block, meterReading } of blocks) {
+    const type = readingTypes.get(meterReadingTypes.get(meterReading)) || fallbackType;
+    if (type.flowDirection === FLOW_REVERSE) continue;
+    for (const reading of Array.from(block.getElementsByTagNameNS('*', 'IntervalReading'))) {
+      const start = parseInt(childText(reading, 'start'));
+      const duration = parseInt(childText(reading, 'duration'));
+      const value = parseFloat(childText(reading, 'value'));
+      if (isNaN(start) || isNaN(duration) || isNaN(value)) continue;
+      const scaled = value * 10 ** type.multiplier;
+      const kwh = type.uom === UOM_WATTS ? scaled * duration / 3600 / 1000 : scaled / 1000;
+      intervals.push({ start: new Date(start * 1000), local: null, minutes: duration / 60, kwh: Math.max(0, kwh) });
+    }
+  }
+  if (intervals.length < 24) {
+    throw new Error(`Only ${intervals.length} consumption readings were found`);
+  }
+  intervals.sort((a, b) => a.start - b.start);
+  const minutes = medianSpacing(intervals.map(i => i.start.getTime() / 60000));
+  if (!minutes || minutes < MIN_INTERVAL || minutes > MAX_INTERVAL) {
+    throw new Error(`Intervals of ${minutes} minutes are not supported; use 5 to 60 minute data`);
+  }
+
+  return { format: 'Green Button', intervalMinutes: minutes, skippedRows: 0, intervals };
+}
+
+export function parseConsumptionFile(text, fileName = '') {
+  if (fileName.toLowerCase().endsWith('.xml') || /^\s*<\?xml|<feed[\s>]/.test(text)) {
+    return parseGreenButton(text);
+  }
+  return parseConsumptionCSV(text);
+}
@@ -0,0 +1,139 @@
+import loadShapes from './shapes.json';
+
+// Consumption profiles for the bill calculation: a typical shape for the
+// building type scaled to monthly or annual totals, or measured interval
+// data lined up with the simulation hours.
+
+// Each shape has relative demand by local hour for weekdays and weekends,
+// and relative monthly use (northern-hemisphere seasons)
+export const BUILDING_TYPES = loadShapes;
+export const DEFAULT_BUILDING_TYPE = 'residential';
+
+// Relative use for January to December at the latitude: south of the
+// equator the seasons, and so the monthly shape, are six months apart
+export function monthlyShape(shape, lat) {
+  return lat < 0 ? shape.monthly.map((_, m) => shape.monthly[(m + 6) % 12]) : shape.monthly;
+}
+
+// Spreads consumption over the simulation hours (local month, weekday and
+// hour) with the building type's shape. With `monthlyConsumption` (12 kWh
+// totals, e.g. from bills) each month is scaled to its own total; otherwise
+// `annualConsumption` is split by the monthly shape for the site's hemisphere.
+export function typicalLoad(hours, { lat, annualConsumption, monthlyConsumption = null, buildingType = DEFAULT_BUILDING_TYPE }) {
+  const shape = BUILDING_TYPES.find(type => type.id === buildingType) || BUILDING_TYPES[0];
+  const months = monthlyShape(shape, lat);
+  const weights = hours.map(h => {
+    const weekend = h.weekday === 0 || h.weekday === 6;
+    return (weekend ? shape.weekend : shape.weekday)[h.hour] * (monthlyConsumption ? 1 : months[h.month - 1]);
+  });
+  if (monthlyConsumption) {
+    const monthTotals = new Array(12).fill(0);
+    hours.forEach((h, i) => { monthTotals[h.month - 1] += weights[i]; });
+    return weights.map((w, i) => monthlyConsumption[hours[i].month - 1] * w / monthTotals[hours[i].month - 1]);
+  }
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  return weights.map(w => annualConsumption * w / total);
+}
+
+const SHORT_GAP_HOURS = 6;
+const MIN_COVERAGE_DAYS = 14;
+const HOUR_KEYS = 8760;
+const DAYS_BEFORE_MONTH = [0, 31, 59, 90, 120, 151, 181, 212, 243, 273, 304, 334];
+
+function hourKey(month, day, hour) {
+  return (DAYS_BEFORE_MONTH[month - 1] + day - 1) * 24 + hour;
+}
+
+function monthOfKey(key) {
+  return DAYS_BEFORE_MONTH.filter(days => days <= Math.floor(key / 24)).length;
+}
+
+const dayType = (weekday, hour) => `${weekday === 0 || weekday === 6 ? 'weekend' : 'weekday'}-${hour}`;
+
+// Lines imported intervals up with the simulation hours by local calendar
+// position (month, day, hour), so data from any year maps onto the reference
+// year. Hours measured in several years are averaged. Gaps of up to six hours
+// are interpolated; longer ones take the measured average for the same
+// day type and hour, from the same month where there is one.
+// `localParts(date)` gives the wall-clock fields of an instant in the site zone.
+export function alignConsumption(consumption, hours, localParts) {
+  const sums = new Float64Array(HOUR_KEYS);
+  const covered = new Float64Array(HOUR_KEYS);
+  const measuredType = new Array(HOUR_KEYS).fill(null);
+  for (const interval of consumption.intervals) {
+    const local = interval.local || localParts(interval.start);
+    if (local.month === 2 && local.day === 29) continue;
+    const key = hourKey(local.month, local.day, local.hour);
+    sums[key] += interval.kwh;
+    covered[key] += interval.minutes;
+    if (measuredType[key] === null) {
+      const weekday = interval.local
+        ? new Date(Date.UTC(local.year, local.month - 1, local.day)).getUTCDay()
+        : local.weekday;
+      measuredType[key] = dayType(weekday, local.hour);
+    }
+  }
+
+  // Hours with at least half their minutes measured, scaled up to a full hour
+  const measured = Array.from(sums, (sum, key) => covered[key] >= 30 ? sum * 60 / covered[key] : null);
+  const measuredCount = measured.filter(v => v !== null).length;
+  if (measuredCount < MIN_COVERAGE_DAYS * 24) {
+    throw new Error(`Consumption data covers only ${Math.round(measuredCount / 24)} days; at least ${MIN_COVERAGE_DAYS} are needed`);
+  }
+
+  // Average by month, day type and hour, and by day type and hour overall
+  const monthly = new Map();
+  const overall = new Map();
+  const add = (map, id, value) => {
+    const entry = map.get(id) || { sum: 0, count: 0 };
+    entry.sum += value;
+    entry.count++;
+    map.set(id, entry);
+  };
+  measured.forEach((value, key) => {
+    if (value === null) return;
+    add(monthly, `${monthOfKey(key)}-${measuredType[key]}`, value);
+    add(overall, measuredType[key], value);
+    add(overall, `any-${key % 24}`, value);
+  });
+  const average = (map, id) => {
+    const entry = map.get(id);
+    return entry ? entry.sum / entry.count : null;
+  };
+
+  // Day types of the reference year, for filling
+  const referenceType = new Array(HOUR_KEYS).fill(null);
+  for (const h of hours) {
+    if (!(h.month === 2 && h.day === 29)) referenceType[hourKey(h.month, h.day, h.hour)] = dayType(h.weekday, h.hour);
+  }
+
+  const filled = measured.slice();
+  let filledHours = 0;
+  for (let key = 0; key < HOUR_KEYS; key++) {
+    if (filled[key] !== null) continue;
+    let end = key;
+    while (end < HOUR_KEYS && measured[end] === null) end++;
+    const before = key > 0 ? measured[key - 1] : null;
+    const after = end < HOUR_KEYS ? measured[end] : null;
+    for (let gap = key; gap < end; gap++) {
+      if (end - key <= SHORT_GAP_HOURS && before !== null && after !== null) {
+        filled[gap] = before + (after - before) * (gap - key + 1) / (end - key + 1);
+      } else {
+        const type = referenceType[gap] || dayType(1, gap % 24);
+        filled[gap] = average(monthly, `${monthOfKey(gap)}-${type}`) ??
+          average(overall, type) ??
+          average(overall, `any-${gap % 24}`) ?? 0;
+      }
+      filledHours++;
+    }
+    key = end - 1;
+  }
+
+  const load = hours.map(h => h.month === 2 && h.day === 29 ? filled[hourKey(2, 28, h.hour)] : filled[hourKey(h.month, h.day, h.hour)]);
+  return {
+    load,
+    coverage: measuredCount / HOUR_KEYS * 100,
+    filledHours,
+    annualConsumption: load.reduce((sum, kwh) => sum + kwh, 0)
+  };
+}
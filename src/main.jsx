@@ -1,5 +1,62 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import ReactDOM from 'react-dom/client';
+import { analyzeSite } from './analysis/analyzeSite.js';
+import { resolveTimeZone } from './solar/timeZone.js';
+import { clearSkySource, createFileWeatherSource, getConfiguredSources } from './weather/sources.js';
+import { haversineDistance, ringCentroid } from './geometry/geodesy.js';
+import { createRoof, compassDirection } from './geometry/roof.js';
+import { TRANSPOSITION_MODELS } from './solar/transposition.js';
+import { TEMPERATURE_MODELS } from './solar/temperature.js';
+import { DEFAULT_LOSS_PRESET, presetLosses } from './solar/losses.js';
+import { layoutRoof, layoutToGeoJSON } from './geometry/layout.js';
+import { createObstacle, obstacleRing } from './geometry/obstacles.js';
+import { parseBuildingsGeoJSON } from './shading/horizon.js';
+import { BUNDLED_CATALOG, loadCustomCatalog, mergeCatalogs, parseCatalogFile, saveCustomCatalog } from './equipment/catalog.js';
+import { DEFAULT_DC_AC_RATIO } from './equipment/electrical.js';
+import { DEFAULT_LIFETIME, DEFAULT_RATE_ESCALATION } from './analysis/projection.js';
+import { DEFAULT_FINANCE_SETTINGS } from './analysis/finance.js';
+import { DEFAULT_FINANCING } from './analysis/financing.js';
+import { DEFAULT_UNITS, createFormatter, loadUnitSettings, saveUnitSettings } from './units/units.js';
+import { DEFAULT_LOCALE, LOCALES, createTranslator, loadCatalog, loadLocale, saveLocale } from './i18n/i18n.js';
+import { formatLoadSource, formatPercent, formatStringDesign, formatWeatherSource, formatYears } from './i18n/format.js';
+import { createReport } from './report/report.js';
+import { EXPORT_FORMATS, analysisJson, downloadBlob, hourlyCsv, layoutGeoJSON, layoutKml, monthlyCsv } from './export/exports.js';
+import {
+  PROJECT_VERSION, createProjectId, deleteProject, loadProjects, parseProjectFile, projectFile, saveProject, withDefaults
+} from './projects/projects.js';
+import { paybackBand, portfolioSites } from './portfolio/portfolio.js';
+import { analyzeBatchRow, batchCsv, describeBatchError, parseBatchFile, rowError } from './batch/batch.js';
+import { parseConsumptionFile } from './load/parsers.js';
+import { DEFAULT_BUILDING_TYPE } from './load/profile.js';
+import { DEFAULT_BATTERY } from './battery/battery.js';
+import { BUNDLED_TARIFFS, DEFAULT_TARIFF_ID, loadCustomTariffs, parseTariffFile, saveCustomTariffs } from './tariff/tariff.js';
+import { BUNDLED_INCENTIVES, loadCustomIncentives, mergeRuleSets, parseIncentiveFile, regionAt, saveCustomIncentives } from './incentives/incentives.js';
+import {
+  addRoofLayers, draftToGeoJSON, obstaclesToGeoJSON, roofsToGeoJSON, setSourceData,
+  DRAFT_SOURCE, OBSTACLE_SOURCE, PANEL_SOURCE, ROOF_SOURCE
+} from './map/roofLayers.js';
+import { geocode, parseCoordinates } from './map/geocode.js';
+import { addBuildingLayers, buildingsToGeoJSON, queryMapBuildings, IMPORTED_BUILDING_SOURCE } from './map/buildingLayers.js';
+import WeatherSourcePanel from './components/WeatherSourcePanel.jsx';
+import RoofListPanel from './components/RoofListPanel.jsx';
+import LayoutSettingsPanel from './components/LayoutSettingsPanel.jsx';
+import ObstaclePanel from './components/ObstaclePanel.jsx';
+import ShadingPanel from './components/ShadingPanel.jsx';
+import EquipmentPanel from './components/EquipmentPanel.jsx';
+import LossesPanel from './components/LossesPanel.jsx';
+import ProjectionPanel from './components/ProjectionPanel.jsx';
+import ProjectionChart from './components/ProjectionChart.jsx';
+import FinancePanel from './components/FinancePanel.jsx';
+import CashFlowTable from './components/CashFlowTable.jsx';
+import FinancingComparison from './components/FinancingComparison.jsx';
+import TariffPanel from './components/TariffPanel.jsx';
+import ConsumptionPanel from './components/ConsumptionPanel.jsx';
+import BatteryPanel from './components/BatteryPanel.jsx';
+import IncentivesPanel from './components/IncentivesPanel.jsx';
+import UnitsPanel from './components/UnitsPanel.jsx';
+import ProjectsPanel from './components/ProjectsPanel.jsx';
+import PortfolioDashboard from './components/PortfolioDashboard.jsx';
+import BatchPanel from './components/BatchPanel.jsx';
 
 // Mobile detection hook
 function useIsMobile() {
@@ -17,25 +74,151 @@ function useIsMobile() {
   return isMobile;
 }
 
+// Settings for a new site; saved projects are filled in from these too
+function defaultSettings() {
+  return {
+    moduleId: BUNDLED_CATALOG.modules[0].id,
+    inverterId: BUNDLED_CATALOG.inverters[0].id,
+    dcAcRatio: DEFAULT_DC_AC_RATIO,
+    lossPreset: DEFAULT_LOSS_PRESET,
+    losses: presetLosses(DEFAULT_LOSS_PRESET),
+    tariffId: DEFAULT_TARIFF_ID,
+    annualConsumption: 10000,
+    monthlyConsumption: null,
+    buildingType: DEFAULT_BUILDING_TYPE,
+    battery: DEFAULT_BATTERY,
+    transpositionModel: 'perez',
+    temperatureModel: 'noct',
+    moduleOrientation: 'portrait',
+    rackTilt: 10,
+    layoutAlignment: 'edge',
+    edgeSetback: 0.5,
+    obstacleBuffer: 0.3,
+    lifetime: DEFAULT_LIFETIME,
+    firstYearDegradation: null,
+    annualDegradation: null,
+    rateEscalation: DEFAULT_RATE_ESCALATION,
+    inverterReplacementYear: 12,
+    inverterReplacementCost: 300,
+    ...DEFAULT_FINANCE_SETTINGS,
+    incentiveRegion: 'auto',
+    disabledIncentives: [],
+    installYear: new Date().getFullYear(),
+    financing: DEFAULT_FINANCING
+  };
+}
+
 function SolarVisionApp() {
   const [mapLoaded, setMapLoaded] = useState(false);
   const [selectedLocation, setSelectedLocation] = useState(null);
   const [solarData, setSolarData] = useState(null);
+  // What the current results were computed from, for the exports
+  const [analysisInput, setAnalysisInput] = useState(null);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [isGeneratingReport, setIsGeneratingReport] = useState(false);
   const [userLocation, setUserLocation] = useState({ lat: 40.7128, lng: -74.0060 }); 
   const [tokenStatus, setTokenStatus] = useState('checking');
   const [searchQuery, setSearchQuery] = useState('');
   const [isSearching, setIsSearching] = useState(false);
   const [darkMode, setDarkMode] = useState(false);
-  const [solarSettings, setSolarSettings] = useState({
-    panelEfficiency: 20,
-    systemLosses: 14,
-    electricityRate: 0.12
-  });
+  const [solarSettings, setSolarSettings] = useState(defaultSettings);
+  const [weatherSources, setWeatherSources] = useState(() => [clearSkySource, ...getConfiguredSources()]);
+  const [weatherSourceId, setWeatherSourceId] = useState(clearSkySource.id);
+  const [roofs, setRoofs] = useState([]);
+  const [selectedRoofId, setSelectedRoofId] = useState(null);
+  const [obstacles, setObstacles] = useState([]);
+  const [selectedObstacleId, setSelectedObstacleId] = useState(null);
+  const [shadingSource, setShadingSource] = useState('map');
+  const [importedBuildings, setImportedBuildings] = useState([]);
+  const mapRef = useRef(null);
+  const [customCatalog, setCustomCatalog] = useState({ modules: [], inverters: [] });
+  const catalog = useMemo(() => mergeCatalogs(BUNDLED_CATALOG, customCatalog), [customCatalog]);
+  const selectedModule = catalog.modules.find(m => m.id === solarSettings.moduleId) || catalog.modules[0];
+  const selectedInverter = catalog.inverters.find(i => i.id === solarSettings.inverterId) || catalog.inverters[0];
+  const [customTariffs, setCustomTariffs] = useState([]);
+  const tariffs = useMemo(() => [
+    ...BUNDLED_TARIFFS.filter(t => !customTariffs.some(custom => custom.id === t.id)),
+    ...customTariffs
+  ], [customTariffs]);
+  const selectedTariff = tariffs.find(t => t.id === solarSettings.tariffId) || tariffs[0];
+  const [consumption, setConsumption] = useState(null);
+  const [customIncentives, setCustomIncentives] = useState([]);
+  const [unitSettings, setUnitSettings] = useState(DEFAULT_UNITS);
+  const [locale, setLocale] = useState(DEFAULT_LOCALE);
+  const [projects, setProjects] = useState([]);
+  const [currentProjectId, setCurrentProjectId] = useState(null);
+  const [showPortfolio, setShowPortfolio] = useState(false);
+  const [batch, setBatch] = useState(null);
+  const batchPaused = useRef(false);
+  const i18n = useMemo(() => createTranslator(locale), [locale]);
+  const { t } = i18n;
+  const units = useMemo(() => createFormatter(unitSettings, locale), [unitSettings, locale]);
+  const incentiveRules = useMemo(() => mergeRuleSets(BUNDLED_INCENTIVES, customIncentives), [customIncentives]);
+  // Where incentives are detected before an analysis has run: the roofs drawn so far, else the map position
+  const siteLocation = roofs.length > 0 ? ringCentroid(roofs.flatMap(roof => roof.coordinates)) : selectedLocation || userLocation;
   
   // Add mobile detection
   const isMobile = useIsMobile();
 
+  // Roofs and obstacles share one selection on the map
+  const selectRoof = (id) => {
+    setSelectedRoofId(id);
+    if (id) setSelectedObstacleId(null);
+  };
+  const selectObstacle = (id) => {
+    setSelectedObstacleId(id);
+    if (id) setSelectedRoofId(null);
+  };
+
+  // Live module layout preview while roofs, obstacles and layout settings are edited
+  const { moduleOrientation, rackTilt, layoutAlignment, edgeSetback, obstacleBuffer } = solarSettings;
+  const { length: moduleLength, width: moduleWidth } = selectedModule;
+  const panelLayout = useMemo(() => layoutToGeoJSON(roofs.map(roof => layoutRoof(roof, {
+    moduleLength, moduleWidth, moduleOrientation, rackTilt, layoutAlignment, edgeSetback, obstacleBuffer
+  }, obstacles))), [roofs, obstacles, moduleLength, moduleWidth, moduleOrientation, rackTilt, layoutAlignment, edgeSetback, obstacleBuffer]);
+
+  useEffect(() => {
+    loadCustomCatalog()
+      .then(setCustomCatalog)
+      .catch(error => console.error('Could not load imported equipment:', error));
+    loadCustomTariffs()
+      .then(setCustomTariffs)
+      .catch(error => console.error('Could not load imported tariffs:', error));
+    loadCustomIncentives()
+      .then(setCustomIncentives)
+      .catch(error => console.error('Could not load imported incentives:', error));
+    loadUnitSettings()
+      .then(setUnitSettings)
+      .catch(error => console.error('Could not load unit settings:', error));
+    loadLocale()
+      .then(saved => loadCatalog(saved).then(() => setLocale(saved)))
+      .catch(error => console.error('Could not load the language:', error));
+    loadProjects()
+      .then(setProjects)
+      .catch(error => console.error('Could not load projects:', error));
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = i18n.dir;
+  }, [locale, i18n.dir]);
+
+  const changeUnits = (updated) => {
+    setUnitSettings(updated);
+    saveUnitSettings(updated).catch(error => console.error('Could not save unit settings:', error));
+  };
+
+  const changeLocale = async (updated) => {
+    try {
+      await loadCatalog(updated);
+      setLocale(updated);
+      saveLocale(updated).catch(error => console.error('Could not save the language:', error));
+    } catch (error) {
+      console.error('Could not load the language:', error);
+      alert(t('alert.languageFailed', { error: error.message }));
+    }
+  };
+
   const MAPBOX_TOKEN = import.meta.env.VITE_MAPBOX_TOKEN || 'pk.eyJ1IjoiZ2lzLWRldmVsb3BlciIsImEiOiJjbWRwYjM4eTgwYWcxMm1xdXdkMng0MXB3In0.xAeE2WPjWTKvH--oBmeLug';
 
   useEffect(() => {
@@ -83,133 +266,415 @@ function SolarVisionApp() {
     };
   }, [tokenStatus, MAPBOX_TOKEN]);
 
-  const analyzeSolar = async (lat, lng) => {
+  const analyzeSolar = async () => {
+    if (roofs.length === 0) {
+      alert(t('alert.noRoofs'));
+      return;
+    }
+
+    const { lat, lng } = ringCentroid(roofs.flatMap(roof => roof.coordinates));
     setIsAnalyzing(true);
     setSelectedLocation({ lat, lng });
     
-    await new Promise(resolve => setTimeout(resolve, 3000));
-    
-    const roofArea = Math.round(120 + Math.random() * 80);
-    const usableArea = Math.round(roofArea * 0.8);
-    const systemSize = Math.round(usableArea * solarSettings.panelEfficiency / 100);
-    const annualProduction = Math.round(systemSize * 1300 * (1 - solarSettings.systemLosses / 100));
-    const monthlySavings = Math.round(annualProduction * solarSettings.electricityRate / 12);
+    // Let the analysis overlay paint before the simulation blocks the thread
+    await new Promise(resolve => setTimeout(resolve, 50));
     
-    const mockData = {
-      roofArea,
-      usableArea,
-      annualSolarIrradiance: 1500 + Math.round(Math.random() * 300),
-      systemSize,
-      annualProduction,
-      co2Savings: Math.round(annualProduction * 0.4),
-      monthlySavings,
-      paybackPeriod: Math.round((systemSize * 2500) / (monthlySavings * 12) * 10) / 10
-    };
-    
-    setSolarData(mockData);
-    setIsAnalyzing(false);
+    const timeZone = resolveTimeZone(lat, lng);
+
+    let weatherSource = weatherSources.find(s => s.id === weatherSourceId) || clearSkySource;
+    let weather = null;
+    try {
+      weather = await weatherSource.getWeather({ lat, lng });
+    } catch (error) {
+      console.error('Weather source failed:', error);
+      alert(t('alert.weatherFallback', { source: weatherSource.name, error: error.message }));
+      weatherSource = clearSkySource;
+    }
+
+    const buildings = shadingSource === 'map' ? queryMapBuildings(mapRef.current)
+      : shadingSource === 'file' ? importedBuildings
+        : [];
+
+    try {
+      const analysis = {
+        ...analyzeSite({
+          lat,
+          lng,
+          roofs,
+          obstacles,
+          buildings,
+          equipment: { module: selectedModule, inverter: selectedInverter },
+          tariff: selectedTariff,
+          consumption,
+          incentiveRules,
+          settings: solarSettings,
+          weather,
+          timeZone
+        }),
+        weatherSource: {
+          name: weatherSource.name,
+          stationDistance: weather ? Math.round(haversineDistance({ lat, lng }, weather.station) / 1000) : null,
+          cached: Boolean(weather && weather.cached)
+        }
+      };
+      setSolarData(analysis);
+      setAnalysisInput({
+        location: { lat, lng },
+        timeZone,
+        roofs,
+        obstacles,
+        buildings,
+        equipment: { module: selectedModule, inverter: selectedInverter },
+        tariff: selectedTariff,
+        consumption,
+        settings: solarSettings,
+        weatherSource: { id: weatherSource.id, name: weatherSource.name }
+      });
+    } catch (error) {
+      console.error('Analysis failed:', error);
+      // Only our own codes have messages; a DOMException or storage error
+      // code is shown through its message
+      alert(typeof error.code === 'string' && i18n.has(`alert.${error.code}`)
+        ? t(`alert.${error.code}`)
+        : t('alert.analysisFailed', { error: error.message }));
+      setSelectedLocation(null);
+    } finally {
+      setIsAnalyzing(false);
+    }
+  };
+
+  const loadWeatherFile = async (file) => {
+    if (!file) return;
+    try {
+      const source = createFileWeatherSource(file.name, await file.text());
+      setWeatherSources(sources => [...sources.filter(s => s.id !== source.id), source]);
+      setWeatherSourceId(source.id);
+    } catch (error) {
+      console.error('Weather file import failed:', error);
+      alert(t('alert.weatherFile', { error: error.message }));
+    }
+  };
+
+  const loadCatalogFile = async (file) => {
+    if (!file) return;
+    try {
+      const imported = parseCatalogFile(await file.text());
+      const updated = mergeCatalogs(customCatalog, imported);
+      setCustomCatalog(updated);
+      setSolarSettings({
+        ...solarSettings,
+        moduleId: imported.modules.length > 0 ? imported.modules[0].id : solarSettings.moduleId,
+        inverterId: imported.inverters.length > 0 ? imported.inverters[0].id : solarSettings.inverterId
+      });
+      saveCustomCatalog(updated).catch(error => console.error('Could not save imported equipment:', error));
+    } catch (error) {
+      console.error('Equipment import failed:', error);
+      alert(t('alert.equipmentFile', { error: error.message }));
+    }
+  };
+
+  const loadTariffFile = async (file) => {
+    if (!file) return;
+    try {
+      const imported = parseTariffFile(await file.text(), unitSettings);
+      const updated = [...customTariffs.filter(t => !imported.some(other => other.id === t.id)), ...imported];
+      setCustomTariffs(updated);
+      setSolarSettings({ ...solarSettings, tariffId: imported[0].id });
+      saveCustomTariffs(updated).catch(error => console.error('Could not save imported tariffs:', error));
+    } catch (error) {
+      console.error('Tariff import failed:', error);
+      alert(t('alert.tariffFile', { error: error.message }));
+    }
+  };
+
+  const loadIncentiveFile = async (file) => {
+    if (!file) return;
+    try {
+      const imported = parseIncentiveFile(await file.text(), unitSettings);
+      const updated = mergeRuleSets(customIncentives, imported);
+      setCustomIncentives(updated);
+      saveCustomIncentives(updated).catch(error => console.error('Could not save imported incentives:', error));
+    } catch (error) {
+      console.error('Incentive import failed:', error);
+      alert(t('alert.incentiveFile', { error: error.message }));
+    }
+  };
+
+  const loadConsumptionFile = async (file) => {
+    if (!file) return;
+    try {
+      setConsumption({ name: file.name, ...parseConsumptionFile(await file.text(), file.name) });
+    } catch (error) {
+      console.error('Consumption import failed:', error);
+      alert(t('alert.consumptionFile', { error: error.message }));
+    }
+  };
+
+  const loadBuildingFile = async (file) => {
+    if (!file) return;
+    try {
+      setImportedBuildings(parseBuildingsGeoJSON(await file.text()));
+      setShadingSource('file');
+    } catch (error) {
+      console.error('Building import failed:', error);
+      alert(t('alert.buildingFile', { error: error.message }));
+    }
   };
 
   const searchLocation = async () => {
     if (!searchQuery.trim()) return;
     
+    // Direct coordinate input (latitude, longitude)
+    const coordinates = parseCoordinates(searchQuery);
+    if (coordinates) {
+      setUserLocation(coordinates);
+      setSearchQuery('');
+      return;
+    }
+
     setIsSearching(true);
     try {
-      // Check if input is coordinates format (latitude, longitude)
-      const coordsRegex = /^(-?\d+(\.\d+)?),\s*(-?\d+(\.\d+)?)$/;
-      const coordsMatch = searchQuery.match(coordsRegex);
-      
-      if (coordsMatch) {
-        // Direct coordinate input
-        const lat = parseFloat(coordsMatch[1]);
-        const lng = parseFloat(coordsMatch[3]);
-        
-        if (!isNaN(lat) && !isNaN(lng) && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180) {
-          setUserLocation({ lat, lng });
-          setSearchQuery('');
-          setIsSearching(false);
-          return;
-        }
-      }
-      
-      // If not coordinates, use Mapbox geocoding
-      const response = await fetch(
-        `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(searchQuery)}.json?access_token=${MAPBOX_TOKEN}&limit=1`
-      );
-      const data = await response.json();
-      
-      if (data.features && data.features.length > 0) {
-        const [lng, lat] = data.features[0].center;
-        setUserLocation({ lat, lng });
+      const place = await geocode(searchQuery, MAPBOX_TOKEN);
+      if (place) {
+        setUserLocation({ lat: place.lat, lng: place.lng });
         setSearchQuery('');
       } else {
-        alert('Location not found. Please try a different search term.');
+        alert(t('alert.locationNotFound'));
       }
     } catch (error) {
       console.error('Search failed:', error);
-      alert('Search failed. Please check your connection and try again.');
+      alert(t('alert.searchFailed'));
     } finally {
       setIsSearching(false);
     }
   };
 
-  const generatePDFReport = () => {
-    if (!solarData || !selectedLocation) return;
-
-    const reportContent = `SOLAR ANALYSIS REPORT
-Generated by SolarVision AI
-
-LOCATION DETAILS
-Coordinates: ${selectedLocation.lat.toFixed(6)}, ${selectedLocation.lng.toFixed(6)}
-Analysis Date: ${new Date().toLocaleDateString()}
-
-ROOF ANALYSIS
-Total Roof Area: ${solarData.roofArea} m²
-Usable Area: ${solarData.usableArea} m²
-Roof Utilization: ${Math.round((solarData.usableArea / solarData.roofArea) * 100)}%
-
-SYSTEM SPECIFICATIONS
-Recommended System Size: ${solarData.systemSize} kW
-Panel Efficiency: ${solarSettings.panelEfficiency}%
-System Losses: ${solarSettings.systemLosses}%
-Solar Irradiance: ${solarData.annualSolarIrradiance} kWh/m²/year
-
-ENERGY PRODUCTION
-Annual Production: ${solarData.annualProduction.toLocaleString()} kWh
-Monthly Average: ${Math.round(solarData.annualProduction / 12).toLocaleString()} kWh
-Daily Average: ${Math.round(solarData.annualProduction / 365)} kWh
-
-FINANCIAL ANALYSIS
-Monthly Savings: $${solarData.monthlySavings}
-Annual Savings: $${solarData.monthlySavings * 12}
-Payback Period: ${solarData.paybackPeriod} years
-Electricity Rate: $${solarSettings.electricityRate}/kWh
-
-ENVIRONMENTAL IMPACT
-Annual CO₂ Savings: ${solarData.co2Savings} kg
-Equivalent Trees Planted: ${Math.round(solarData.co2Savings / 22)} trees
-Carbon Footprint Reduction: ${Math.round(solarData.co2Savings / 1000 * 100) / 100} tons
-
-RECOMMENDATIONS
-• Install ${solarData.systemSize} kW solar system
-• Expected ROI: ${Math.round(10000 / solarData.paybackPeriod)}% annually
-• Optimal panel orientation: South-facing
-• Consider battery storage for maximum efficiency
-
-Report generated by SolarVision AI
-Professional Solar Analysis Platform`;
-
-    const blob = new Blob([reportContent], { type: 'text/plain' });
-    const url = window.URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `Solar_Report_${selectedLocation.lat.toFixed(4)}_${selectedLocation.lng.toFixed(4)}_${new Date().toISOString().split('T')[0]}.txt`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    window.URL.revokeObjectURL(url);
-
-    alert('📄 Solar report downloaded successfully!');
+  const generatePDFReport = async () => {
+    if (!solarData || !selectedLocation || isGeneratingReport) return;
+
+    setIsGeneratingReport(true);
+    try {
+      const blob = await createReport({
+        data: solarData,
+        location: selectedLocation,
+        roofs: analysisInput.roofs,
+        obstacles: analysisInput.obstacles,
+        settings: analysisInput.settings,
+        units,
+        i18n,
+        token: MAPBOX_TOKEN
+      });
+      downloadBlob(blob, `Solar_Report_${selectedLocation.lat.toFixed(4)}_${selectedLocation.lng.toFixed(4)}_${new Date().toISOString().split('T')[0]}.pdf`);
+
+      alert(t('alert.reportDownloaded'));
+    } catch (error) {
+      console.error('Report failed:', error);
+      alert(t('alert.reportFailed', { error: error.message }));
+    } finally {
+      setIsGeneratingReport(false);
+    }
+  };
+
+  const exportAnalysis = (formatId) => {
+    if (!solarData || !analysisInput) return;
+
+    const format = EXPORT_FORMATS.find(f => f.id === formatId);
+    const { roofs: analysedRoofs, obstacles: analysedObstacles } = analysisInput;
+    const name = `Solar_Analysis_${selectedLocation.lat.toFixed(4)}_${selectedLocation.lng.toFixed(4)}_${new Date().toISOString().split('T')[0]}`;
+    const content = {
+      hourlyCsv: () => hourlyCsv(solarData),
+      monthlyCsv: () => monthlyCsv(solarData, units),
+      json: () => analysisJson(analysisInput, solarData),
+      geojson: () => layoutGeoJSON(analysedRoofs, analysedObstacles, solarData),
+      kml: () => layoutKml(analysedRoofs, analysedObstacles, solarData, name)
+    }[format.id]();
+    downloadBlob(new Blob([content], { type: `${format.type};charset=utf-8` }), `${name}${format.suffix}`);
+  };
+
+  // Projects hold copies of the equipment and tariff they use, so they open
+  // in a browser that has not imported them
+  const buildProject = (base, name) => {
+    const now = new Date().toISOString();
+    return {
+      version: PROJECT_VERSION,
+      id: base ? base.id : createProjectId(),
+      name,
+      createdAt: base ? base.createdAt : now,
+      updatedAt: now,
+      location: userLocation,
+      roofs,
+      obstacles,
+      settings: solarSettings,
+      equipment: { module: selectedModule, inverter: selectedInverter },
+      tariff: selectedTariff,
+      consumption,
+      buildings: importedBuildings,
+      shadingSource,
+      weatherSourceId,
+      results: solarData ? { data: solarData, input: analysisInput, location: selectedLocation } : null
+    };
+  };
+
+  const storeProject = async (project) => {
+    try {
+      await saveProject(project);
+      setProjects(list => [project, ...list.filter(p => p.id !== project.id)]);
+      return true;
+    } catch (error) {
+      console.error('Could not save the project:', error);
+      alert(t('alert.projectSaveFailed', { error: error.message }));
+      return false;
+    }
+  };
+
+  const saveCurrentProject = async (name) => {
+    const base = projects.find(p => p.id === currentProjectId);
+    const project = buildProject(base, name || (base ? base.name : t('projectsPanel.defaultName', { count: projects.length + 1 })));
+    if (await storeProject(project)) setCurrentProjectId(project.id);
+  };
+
+  const newProject = () => {
+    setRoofs([]);
+    setObstacles([]);
+    setSelectedRoofId(null);
+    setSelectedObstacleId(null);
+    setConsumption(null);
+    setImportedBuildings([]);
+    setSolarData(null);
+    setAnalysisInput(null);
+    setSelectedLocation(null);
+    setCurrentProjectId(null);
+  };
+
+  const openProject = (project) => {
+    const { module, inverter } = project.equipment;
+    const missing = {
+      modules: catalog.modules.some(m => m.id === module.id) ? [] : [module],
+      inverters: catalog.inverters.some(i => i.id === inverter.id) ? [] : [inverter]
+    };
+    if (missing.modules.length + missing.inverters.length > 0) {
+      const updated = mergeCatalogs(customCatalog, missing);
+      setCustomCatalog(updated);
+      saveCustomCatalog(updated).catch(error => console.error('Could not save imported equipment:', error));
+    }
+    if (!tariffs.some(tariff => tariff.id === project.tariff.id)) {
+      const updated = [...customTariffs, project.tariff];
+      setCustomTariffs(updated);
+      saveCustomTariffs(updated).catch(error => console.error('Could not save imported tariffs:', error));
+    }
+
+    setUserLocation(project.location);
+    setRoofs(project.roofs);
+    setObstacles(project.obstacles);
+    setSelectedRoofId(null);
+    setSelectedObstacleId(null);
+    setSolarSettings(withDefaults(defaultSettings(), project.settings));
+    setConsumption(project.consumption);
+    setImportedBuildings(project.buildings);
+    setShadingSource(project.shadingSource);
+    // Weather files are not kept between sessions
+    setWeatherSourceId(weatherSources.some(s => s.id === project.weatherSourceId) ? project.weatherSourceId : clearSkySource.id);
+    setSolarData(project.results ? project.results.data : null);
+    setAnalysisInput(project.results ? project.results.input : null);
+    setSelectedLocation(project.results ? project.results.location : null);
+    setCurrentProjectId(project.id);
+  };
+
+  const portfolio = useMemo(() => portfolioSites(projects), [projects]);
+
+  const openSite = (id) => openProject(projects.find(p => p.id === id));
+
+  const renameProject = (id, name) => {
+    const project = projects.find(p => p.id === id);
+    storeProject({ ...project, name, updatedAt: new Date().toISOString() });
+  };
+
+  const duplicateProject = (id) => {
+    const project = projects.find(p => p.id === id);
+    const now = new Date().toISOString();
+    storeProject({ ...project, id: createProjectId(), name: t('projectsPanel.copyName', { name: project.name }), createdAt: now, updatedAt: now });
+  };
+
+  const removeProject = async (id) => {
+    try {
+      await deleteProject(id);
+      setProjects(list => list.filter(p => p.id !== id));
+      if (currentProjectId === id) setCurrentProjectId(null);
+    } catch (error) {
+      console.error('Could not delete the project:', error);
+      alert(t('alert.projectSaveFailed', { error: error.message }));
+    }
+  };
+
+  const exportProject = (id) => {
+    const project = projects.find(p => p.id === id);
+    const filename = `${project.name.replace(/[\\/:*?"<>|]+/g, '_')}.solarvision.json`;
+    downloadBlob(new Blob([projectFile(project)], { type: 'application/json;charset=utf-8' }), filename);
+  };
+
+  // Imports always get a new id so they never overwrite a saved project
+  const loadProjectFile = async (file) => {
+    if (!file) return;
+    try {
+      const imported = parseProjectFile(await file.text());
+      const project = { ...imported, id: createProjectId(), updatedAt: new Date().toISOString() };
+      if (await storeProject(project)) openProject(project);
+    } catch (error) {
+      console.error('Project import failed:', error);
+      alert(t('alert.projectFile', { error: error.message }));
+    }
+  };
+
+  const loadBatchFile = async (file) => {
+    if (!file) return;
+    try {
+      setBatch({ fileName: file.name, ...parseBatchFile(await file.text()), running: false, pausing: false, current: null });
+    } catch (error) {
+      console.error('Batch file failed:', error);
+      alert(t('alert.batchFile', { error: error.code ? describeBatchError(error, t) : error.message }));
+    }
+  };
+
+  // Sites run one after another with the current equipment, tariff and
+  // settings; pausing lets the site in progress finish first
+  const runBatch = async () => {
+    const context = {
+      token: MAPBOX_TOKEN,
+      equipment: { module: selectedModule, inverter: selectedInverter },
+      tariff: selectedTariff,
+      incentiveRules,
+      settings: solarSettings,
+      weatherSource: weatherSources.find(s => s.id === weatherSourceId) || clearSkySource
+    };
+    batchPaused.current = false;
+    setBatch(current => ({ ...current, running: true, pausing: false }));
+
+    for (const row of batch.rows.filter(r => r.status === 'pending')) {
+      if (batchPaused.current) break;
+      setBatch(current => ({ ...current, current: row.index }));
+      // Let the progress paint before the simulation blocks the thread
+      await new Promise(resolve => setTimeout(resolve, 50));
+      let update;
+      try {
+        update = { status: 'done', result: await analyzeBatchRow(row, context) };
+      } catch (error) {
+        console.error(`Batch row ${row.index + 1} failed:`, error);
+        update = { status: 'failed', error: rowError(error) };
+      }
+      setBatch(current => ({ ...current, rows: current.rows.map(r => r.index === row.index ? { ...r, ...update } : r) }));
+    }
+
+    setBatch(current => ({ ...current, running: false, pausing: false, current: null }));
+  };
+
+  const pauseBatch = () => {
+    batchPaused.current = true;
+    setBatch(current => ({ ...current, pausing: true }));
+  };
+
+  const downloadBatch = () => {
+    const name = `${batch.fileName.replace(/\.[^.]+$/, '')}_results.csv`;
+    downloadBlob(new Blob([batchCsv(batch, units, t)], { type: 'text/csv;charset=utf-8' }), name);
   };
 
   const toggleDarkMode = () => {
@@ -237,16 +702,16 @@ Professional Solar Analysis Platform`;
         }}>
           <div style={{ fontSize: '4rem', marginBottom: '1.5rem' }}>🔑</div>
           <h2 style={{ color: '#6D28D9', marginBottom: '1rem', fontSize: '1.8rem', fontWeight: 'bold' }}>
-            Mapbox Token {tokenStatus === 'missing' ? 'Missing' : 'Invalid'}
+            {t(tokenStatus === 'missing' ? 'token.missing' : 'token.invalid')}
           </h2>
           <p style={{ color: '#6b7280', marginBottom: '2rem' }}>
-            Your Mapbox access token is required to load satellite imagery and maps.
+            {t('token.required')}
           </p>
-          <div style={{ background: '#f9fafb', padding: '1rem', borderRadius: '0.75rem', marginBottom: '2rem', textAlign: 'left' }}>
+          <div style={{ background: '#f9fafb', padding: '1rem', borderRadius: '0.75rem', marginBottom: '2rem', textAlign: 'start' }}>
             <p style={{ margin: 0, fontSize: '0.9rem', color: '#374151' }}>
-              <strong>Current token:</strong><br />
+              <strong>{t('token.current')}</strong><br />
               <code style={{ fontSize: '0.8rem', color: '#6b7280' }}>
-                {MAPBOX_TOKEN || 'Not found in .env file'}
+                {MAPBOX_TOKEN || t('token.notFound')}
               </code>
             </p>
           </div>
@@ -307,7 +772,7 @@ Professional Solar Analysis Platform`;
               fontSize: '0.875rem',
               fontWeight: '500'
             }}>
-              Professional Solar Analysis Platform
+              {t('app.tagline')}
             </p>
           </div>
         </div>
@@ -316,11 +781,28 @@ Professional Solar Analysis Platform`;
           <div style={{ 
             fontSize: '0.8rem', 
             color: darkMode ? '#94a3b8' : '#64748b',
-            textAlign: 'right'
+            textAlign: 'end'
           }}>
             <div>📍 {userLocation.lat.toFixed(4)}, {userLocation.lng.toFixed(4)}</div>
-            <div>🔑 Token: {tokenStatus === 'valid' ? '✅ Active' : '❌ Invalid'}</div>
+            <div>🔑 {t(tokenStatus === 'valid' ? 'header.tokenActive' : 'header.tokenInvalid')}</div>
           </div>
+
+          <select
+            value={locale}
+            onChange={(e) => changeLocale(e.target.value)}
+            title={t('header.language')}
+            style={{
+              padding: '0.4rem 0.5rem',
+              borderRadius: '0.5rem',
+              border: darkMode ? '1px solid #4c1d95' : '1px solid #c4b5fd',
+              background: darkMode ? '#1E1B4B' : '#ffffff',
+              color: darkMode ? '#f9fafb' : '#1f2937',
+              fontSize: '0.85rem',
+              cursor: 'pointer'
+            }}
+          >
+            {LOCALES.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+          </select>
           
           <button
             onClick={toggleDarkMode}
@@ -354,7 +836,7 @@ Professional Solar Analysis Platform`;
             ? 'rgba(30, 27, 75, 0.95)' 
             : 'rgba(255, 255, 255, 0.95)',
           backdropFilter: 'blur(20px)',
-          borderRight: !isMobile && (darkMode ? '1px solid rgba(148, 163, 184, 0.1)' : '1px solid rgba(255, 255, 255, 0.2)'),
+          borderInlineEnd: !isMobile && (darkMode ? '1px solid rgba(148, 163, 184, 0.1)' : '1px solid rgba(255, 255, 255, 0.2)'),
           borderBottom: isMobile && (darkMode ? '1px solid rgba(148, 163, 184, 0.1)' : '1px solid rgba(255, 255, 255, 0.2)'),
           padding: isMobile ? '1rem' : '1.75rem',
           overflowY: 'auto',
@@ -365,6 +847,34 @@ Professional Solar Analysis Platform`;
           zIndex: 10
         }}>
           
+          <ProjectsPanel
+            projects={projects}
+            currentProjectId={currentProjectId}
+            onSave={saveCurrentProject}
+            onNew={newProject}
+            onOpen={(id) => openProject(projects.find(p => p.id === id))}
+            onRename={renameProject}
+            onDuplicate={duplicateProject}
+            onDelete={removeProject}
+            onExport={exportProject}
+            onFileSelected={loadProjectFile}
+            i18n={i18n}
+            darkMode={darkMode}
+            isMobile={isMobile}
+          />
+
+          <BatchPanel
+            batch={batch}
+            onFileSelected={loadBatchFile}
+            onStart={runBatch}
+            onPause={pauseBatch}
+            onDownload={downloadBatch}
+            onClear={() => setBatch(null)}
+            i18n={i18n}
+            darkMode={darkMode}
+            isMobile={isMobile}
+          />
+
           {/* Location Search */}
           <div>
             <h3 style={{ 
@@ -373,12 +883,12 @@ Professional Solar Analysis Platform`;
               fontSize: isMobile ? '1.1rem' : '1.25rem',
               fontWeight: '700'
             }}>
-              🔍 Search Location
+              🔍 {t('search.title')}
             </h3>
             <div style={{ display: 'flex', gap: '0.75rem' }}>
               <input
                 type="text"
-                placeholder="Address, city, or coordinates..."
+                placeholder={t('search.placeholder')}
                 value={searchQuery}
                 onChange={(e) => setSearchQuery(e.target.value)}
                 onKeyPress={(e) => e.key === 'Enter' && !isSearching && searchLocation()}
@@ -412,11 +922,11 @@ Professional Solar Analysis Platform`;
                   boxShadow: '0 4px 6px -1px rgba(109, 40, 217, 0.3)'
                 }}
               >
-                {isSearching ? '⏳' : 'Go'}
+                {isSearching ? '⏳' : t('search.go')}
               </button>
             </div>
-            <div style={{ fontSize: '0.75rem', color: '#a78bfa', marginTop: '0.5rem', paddingLeft: '0.5rem' }}>
-              Examples: "New York" or "28.2995, 70.1142"
+            <div style={{ fontSize: '0.75rem', color: '#a78bfa', marginTop: '0.5rem', paddingInlineStart: '0.5rem' }}>
+              {t('search.examples')}
             </div>
           </div>
 
@@ -431,7 +941,7 @@ Professional Solar Analysis Platform`;
                   fontSize: isMobile ? '1rem' : '1.1rem',
                   fontWeight: '600'
                 }}>
-                  📍 Quick Locations
+                  📍 {t('quick.title')}
                 </h3>
                 <div style={{ 
                   display: 'grid', 
@@ -439,15 +949,15 @@ Professional Solar Analysis Platform`;
                   gap: '0.75rem' 
                 }}>
                   {[
-                    { name: '🗽 New York', lat: 40.7128, lng: -74.0060 },
-                    { name: '🌴 Los Angeles', lat: 34.0522, lng: -118.2437 },
-                    { name: '🏰 London', lat: 51.5074, lng: -0.1278 },
-                    { name: '🗼 Tokyo', lat: 35.6762, lng: 139.6503 },
-                    { name: isMobile ? '🦘 Sydney' : '🦘 Sydney, AU', lat: -33.8688, lng: 151.2093 },
-                    { name: '🕌 Dubai', lat: 25.2048, lng: 55.2708 }
+                    { id: 'newYork', icon: '🗽', lat: 40.7128, lng: -74.0060 },
+                    { id: 'losAngeles', icon: '🌴', lat: 34.0522, lng: -118.2437 },
+                    { id: 'london', icon: '🏰', lat: 51.5074, lng: -0.1278 },
+                    { id: 'tokyo', icon: '🗼', lat: 35.6762, lng: 139.6503 },
+                    { id: isMobile ? 'sydney' : 'sydneyAu', icon: '🦘', lat: -33.8688, lng: 151.2093 },
+                    { id: 'dubai', icon: '🕌', lat: 25.2048, lng: 55.2708 }
                   ].map((location) => (
                     <button
-                      key={location.name}
+                      key={location.id}
                       onClick={() => setUserLocation({ lat: location.lat, lng: location.lng })}
                       style={{
                         padding: '0.75rem 1rem',
@@ -459,7 +969,7 @@ Professional Solar Analysis Platform`;
                         cursor: 'pointer',
                         fontSize: '0.85rem',
                         color: darkMode ? '#c4b5fd' : '#6d28d9',
-                        textAlign: 'left',
+                        textAlign: 'start',
                         fontWeight: '500',
                         transition: 'all 0.2s ease'
                       }}
@@ -468,7 +978,7 @@ Professional Solar Analysis Platform`;
                           e.target.style.background = darkMode 
                             ? 'rgba(139, 92, 246, 0.2)' 
                             : 'rgba(139, 92, 246, 0.2)';
-                          e.target.style.transform = 'translateX(5px)';
+                          e.target.style.transform = `translateX(${i18n.dir === 'rtl' ? -5 : 5}px)`;
                         }
                       }}
                       onMouseLeave={(e) => {
@@ -480,12 +990,20 @@ Professional Solar Analysis Platform`;
                         }
                       }}
                     >
-                      {location.name}
+                      {location.icon} {t(`quick.${location.id}`)}
                     </button>
                   ))}
                 </div>
               </div>
 
+              <UnitsPanel
+                units={unitSettings}
+                onChange={changeUnits}
+                i18n={i18n}
+                darkMode={darkMode}
+                isMobile={isMobile}
+              />
+
               {/* Solar Settings */}
               <div>
                 <h3 style={{ 
@@ -494,7 +1012,7 @@ Professional Solar Analysis Platform`;
                   fontSize: isMobile ? '1rem' : '1.1rem',
                   fontWeight: '600'
                 }}>
-                  ⚙️ Solar Configuration
+                  ⚙️ {t('config.title')}
                 </h3>
                 <div style={{ display: 'grid', gap: '1.5rem' }}>
                   
@@ -506,46 +1024,25 @@ Professional Solar Analysis Platform`;
                       marginBottom: '0.75rem',
                       fontWeight: '500'
                     }}>
-                      Panel Efficiency: {solarSettings.panelEfficiency}%
-                    </label>
-                    <input
-                      type="range"
-                      min="15"
-                      max="25"
-                      value={solarSettings.panelEfficiency}
-                      onChange={(e) => setSolarSettings({...solarSettings, panelEfficiency: parseInt(e.target.value)})}
-                      style={{ 
-                        width: '100%',
-                        height: '6px',
-                        borderRadius: '3px',
-                        background: `linear-gradient(90deg, #8B5CF6 0%, #8B5CF6 ${((solarSettings.panelEfficiency - 15) / 10) * 100}%, #DDD6FE ${((solarSettings.panelEfficiency - 15) / 10) * 100}%, #DDD6FE 100%)`,
-                      }}
-                    />
-                  </div>
-
-                  <div>
-                    <label style={{ 
-                      display: 'block', 
-                      fontSize: '0.875rem', 
-                      color: darkMode ? '#d1d5db' : '#4b5563', 
-                      marginBottom: '0.75rem',
-                      fontWeight: '500'
-                    }}>
-                      System Losses: {solarSettings.systemLosses}%
+                      {t('config.transposition')}
                     </label>
-                    <input
-                      type="range"
-                      min="10"
-                      max="20"
-                      value={solarSettings.systemLosses}
-                      onChange={(e) => setSolarSettings({...solarSettings, systemLosses: parseInt(e.target.value)})}
-                      style={{ 
+                    <select
+                      value={solarSettings.transpositionModel}
+                      onChange={(e) => setSolarSettings({...solarSettings, transpositionModel: e.target.value})}
+                      style={{
                         width: '100%',
-                        height: '6px',
-                        borderRadius: '3px',
-                        background: `linear-gradient(90deg, #8B5CF6 0%, #8B5CF6 ${((20 - solarSettings.systemLosses) / 10) * 100}%, #DDD6FE ${((20 - solarSettings.systemLosses) / 10) * 100}%, #DDD6FE 100%)`,
+                        padding: '0.6rem',
+                        border: darkMode ? '2px solid #4c1d95' : '2px solid #8b5cf6',
+                        borderRadius: '0.75rem',
+                        fontSize: '0.85rem',
+                        background: darkMode ? '#1E1B4B' : '#ffffff',
+                        color: darkMode ? '#f9fafb' : '#1f2937'
                       }}
-                    />
+                    >
+                      {TRANSPOSITION_MODELS.map(model => (
+                        <option key={model.id} value={model.id}>{model.name}</option>
+                      ))}
+                    </select>
                   </div>
 
                   <div>
@@ -556,26 +1053,172 @@ Professional Solar Analysis Platform`;
                       marginBottom: '0.75rem',
                       fontWeight: '500'
                     }}>
-                      Electricity Rate: ${solarSettings.electricityRate.toFixed(2)}/kWh
+                      {t('config.temperature')}
                     </label>
-                    <input
-                      type="range"
-                      min="0.08"
-                      max="0.30"
-                      step="0.01"
-                      value={solarSettings.electricityRate}
-                      onChange={(e) => setSolarSettings({...solarSettings, electricityRate: parseFloat(e.target.value)})}
-                      style={{ 
+                    <select
+                      value={solarSettings.temperatureModel}
+                      onChange={(e) => setSolarSettings({...solarSettings, temperatureModel: e.target.value})}
+                      style={{
                         width: '100%',
-                        height: '6px',
-                        borderRadius: '3px',
-                        background: `linear-gradient(90deg, #8B5CF6 0%, #8B5CF6 ${((solarSettings.electricityRate - 0.08) / 0.22) * 100}%, #DDD6FE ${((solarSettings.electricityRate - 0.08) / 0.22) * 100}%, #DDD6FE 100%)`,
+                        padding: '0.6rem',
+                        border: darkMode ? '2px solid #4c1d95' : '2px solid #8b5cf6',
+                        borderRadius: '0.75rem',
+                        fontSize: '0.85rem',
+                        background: darkMode ? '#1E1B4B' : '#ffffff',
+                        color: darkMode ? '#f9fafb' : '#1f2937'
                       }}
-                    />
+                    >
+                      {TEMPERATURE_MODELS.map(model => (
+                        <option key={model.id} value={model.id}>{model.name}</option>
+                      ))}
+                    </select>
                   </div>
                 </div>
               </div>
 
+              <RoofListPanel
+                roofs={roofs}
+                selectedRoofId={selectedRoofId}
+                onSelect={selectRoof}
+                onDelete={(id) => {
+                  setRoofs(roofs.filter(roof => roof.id !== id));
+                  if (selectedRoofId === id) setSelectedRoofId(null);
+                }}
+                onChange={(updated) => setRoofs(roofs.map(roof => roof.id === updated.id ? updated : roof))}
+                onAnalyze={analyzeSolar}
+                isAnalyzing={isAnalyzing}
+                units={units}
+                i18n={i18n}
+                darkMode={darkMode}
+                isMobile={isMobile}
+              />
+
+              <ObstaclePanel
+                obstacles={obstacles}
+                selectedObstacleId={selectedObstacleId}
+                onSelect={selectObstacle}
+                onDelete={(id) => {
+                  setObstacles(obstacles.filter(obstacle => obstacle.id !== id));
+                  if (selectedObstacleId === id) setSelectedObstacleId(null);
+                }}
+                onChange={(updated) => setObstacles(obstacles.map(obstacle => obstacle.id === updated.id ? updated : obstacle))}
+                buffer={solarSettings.obstacleBuffer}
+                onBufferChange={(value) => setSolarSettings({ ...solarSettings, obstacleBuffer: value })}
+                i18n={i18n}
+                darkMode={darkMode}
+                isMobile={isMobile}
+              />
+
+              <LossesPanel
+                preset={solarSettings.lossPreset}
+                losses={solarSettings.losses}
+                onChange={(lossPreset, losses) => setSolarSettings({ ...solarSettings, lossPreset, losses })}
+                i18n={i18n}
+                darkMode={darkMode}
+                isMobile={isMobile}
+              />
+
+              <ConsumptionPanel
+                consumption={consumption}
+                settings={solarSettings}
+                lat={siteLocation.lat}
+                onChange={setSolarSettings}
+                onFileSelected={loadConsumptionFile}
+                onClear={() => setConsumption(null)}
+                i18n={i18n}
+                darkMode={darkMode}
+                isMobile={isMobile}
+              />
+
+              <BatteryPanel
+                battery={solarSettings.battery}
+                units={units}
+                onChange={(battery) => setSolarSettings({ ...solarSettings, battery })}
+                i18n={i18n}
+                darkMode={darkMode}
+                isMobile={isMobile}
+              />
+
+              <TariffPanel
+                tariffs={tariffs}
+                settings={solarSettings}
+                units={units}
+                onChange={setSolarSettings}
+                onFileSelected={loadTariffFile}
+                i18n={i18n}
+                darkMode={darkMode}
+                isMobile={isMobile}
+              />
+
+              <ProjectionPanel
+                settings={solarSettings}
+                module={selectedModule}
+                units={units}
+                onChange={setSolarSettings}
+                i18n={i18n}
+                darkMode={darkMode}
+                isMobile={isMobile}
+              />
+
+              <FinancePanel
+                settings={solarSettings}
+                units={units}
+                onChange={setSolarSettings}
+                i18n={i18n}
+                darkMode={darkMode}
+                isMobile={isMobile}
+              />
+
+              <IncentivesPanel
+                regions={incentiveRules}
+                detectedRegion={siteLocation && regionAt(incentiveRules, siteLocation.lat, siteLocation.lng)}
+                settings={solarSettings}
+                units={units}
+                onChange={setSolarSettings}
+                onFileSelected={loadIncentiveFile}
+                i18n={i18n}
+                darkMode={darkMode}
+                isMobile={isMobile}
+              />
+
+              <EquipmentPanel
+                catalog={catalog}
+                settings={solarSettings}
+                onChange={setSolarSettings}
+                onFileSelected={loadCatalogFile}
+                i18n={i18n}
+                darkMode={darkMode}
+                isMobile={isMobile}
+              />
+
+              <LayoutSettingsPanel
+                settings={solarSettings}
+                onChange={setSolarSettings}
+                i18n={i18n}
+                darkMode={darkMode}
+                isMobile={isMobile}
+              />
+
+              <ShadingPanel
+                source={shadingSource}
+                onSourceChange={setShadingSource}
+                importedCount={importedBuildings.length}
+                onFileSelected={loadBuildingFile}
+                i18n={i18n}
+                darkMode={darkMode}
+                isMobile={isMobile}
+              />
+
+              <WeatherSourcePanel
+                sources={weatherSources}
+                selectedId={weatherSourceId}
+                onSelect={setWeatherSourceId}
+                onFileSelected={loadWeatherFile}
+                i18n={i18n}
+                darkMode={darkMode}
+                isMobile={isMobile}
+              />
+
               {/* Instructions - Only show on desktop or if not analyzing */}
               <div style={{
                 background: darkMode 
@@ -591,20 +1234,20 @@ Professional Solar Analysis Platform`;
                   fontSize: '1rem',
                   fontWeight: '600'
                 }}>
-                  🎯 How to Use
+                  🎯 {t('help.title')}
                 </h4>
                 <ul style={{ 
                   margin: 0, 
-                  paddingLeft: '1.25rem', 
+                  paddingInlineStart: '1.25rem', 
                   fontSize: '0.875rem', 
                   color: darkMode ? '#d1d5db' : '#374151',
                   lineHeight: '1.6'
                 }}>
-                  <li>Search for any location using the search bar</li>
-                  <li>Click on buildings in the satellite map</li>
-                  <li>Adjust solar panel settings for accuracy</li>
-                  <li>View detailed analysis in the results panel</li>
-                  <li>Download professional PDF reports</li>
+                  <li>{t('help.search')}</li>
+                  <li>{t('help.draw')}</li>
+                  <li>{t('help.adjust')}</li>
+                  <li>{t('help.results')}</li>
+                  <li>{t('help.report')}</li>
                 </ul>
               </div>
             </>
@@ -621,9 +1264,24 @@ Professional Solar Analysis Platform`;
           {mapLoaded ? (
             <MapComponent 
               userLocation={userLocation}
-              onLocationSelect={analyzeSolar}
+              roofs={roofs}
+              obstacles={obstacles}
+              importedBuildings={importedBuildings}
+              mapRef={mapRef}
+              panelLayout={panelLayout}
+              selectedRoofId={selectedRoofId}
+              selectedObstacleId={selectedObstacleId}
+              onRoofsChange={setRoofs}
+              onObstaclesChange={setObstacles}
+              onRoofSelect={selectRoof}
+              onObstacleSelect={selectObstacle}
               selectedLocation={selectedLocation}
+              portfolioSites={portfolio}
+              showPortfolio={showPortfolio}
+              onPortfolioToggle={() => setShowPortfolio(!showPortfolio)}
+              onSiteSelect={openSite}
               mapboxToken={MAPBOX_TOKEN}
+              i18n={i18n}
               darkMode={darkMode}
               isMobile={isMobile}
             />
@@ -648,15 +1306,27 @@ Professional Solar Analysis Platform`;
                   margin: '0 auto 1.5rem'
                 }}></div>
                 <h3 style={{ fontSize: isMobile ? '1.1rem' : '1.25rem', fontWeight: '600', marginBottom: '0.5rem' }}>
-                  Loading Satellite Imagery
+                  {t('loading.title')}
                 </h3>
                 <p style={{ opacity: 0.8, fontSize: isMobile ? '0.8rem' : '0.9rem' }}>
-                  Initializing high-resolution maps...
+                  {t('loading.detail')}
                 </p>
               </div>
             </div>
           )}
 
+          {showPortfolio && (
+            <PortfolioDashboard
+              sites={portfolio}
+              onOpen={openSite}
+              onClose={() => setShowPortfolio(false)}
+              units={units}
+              i18n={i18n}
+              darkMode={darkMode}
+              isMobile={isMobile}
+            />
+          )}
+
           {/* Analysis Overlay */}
           {isAnalyzing && (
             <div style={{
@@ -698,7 +1368,7 @@ Professional Solar Analysis Platform`;
                   fontSize: isMobile ? '1.25rem' : '1.5rem',
                   fontWeight: '700'
                 }}>
-                  Analyzing Solar Potential
+                  {t('analyzing.title')}
                 </h3>
                 <p style={{ 
                   margin: 0, 
@@ -706,7 +1376,7 @@ Professional Solar Analysis Platform`;
                   fontSize: isMobile ? '0.9rem' : '1rem',
                   lineHeight: '1.6'
                 }}>
-                  Processing satellite imagery and calculating optimal solar configuration...
+                  {t('analyzing.detail')}
                 </p>
               </div>
             </div>
@@ -722,24 +1392,31 @@ Professional Solar Analysis Platform`;
               ? 'rgba(30, 27, 75, 0.95)' 
               : 'rgba(255, 255, 255, 0.95)',
             backdropFilter: 'blur(20px)',
-            borderLeft: !isMobile && (darkMode ? '1px solid rgba(148, 163, 184, 0.1)' : '1px solid rgba(255, 255, 255, 0.2)'),
+            borderInlineStart: !isMobile && (darkMode ? '1px solid rgba(148, 163, 184, 0.1)' : '1px solid rgba(255, 255, 255, 0.2)'),
             borderTop: isMobile && (darkMode ? '1px solid rgba(148, 163, 184, 0.1)' : '1px solid rgba(255, 255, 255, 0.2)'),
             overflowY: 'auto',
             boxShadow: darkMode ? 'none' : (isMobile ? '0 -4px 6px -1px rgba(0, 0, 0, 0.1)' : '-4px 0 6px -1px rgba(0, 0, 0, 0.1)'),
-            animation: isMobile ? 'slideInUp 0.3s ease-out' : 'slideInRight 0.3s ease-out',
+            animation: isMobile ? 'slideInUp 0.3s ease-out' : i18n.dir === 'rtl' ? 'slideInLeft 0.3s ease-out' : 'slideInRight 0.3s ease-out',
             maxHeight: isMobile ? '60vh' : 'none',
             zIndex: 20
           }}>
             <SolarResults 
               data={solarData} 
               location={selectedLocation} 
+              units={units}
+              i18n={i18n}
               darkMode={darkMode}
               isMobile={isMobile}
               onClose={() => {
                 setSolarData(null);
+                setAnalysisInput(null);
                 setSelectedLocation(null);
               }}
               onDownloadReport={generatePDFReport}
+              isGeneratingReport={isGeneratingReport}
+              onExport={exportAnalysis}
+              financing={solarSettings.financing}
+              onFinancingChange={(financing) => setSolarSettings({ ...solarSettings, financing })}
             />
           </div>
         )}
@@ -755,6 +1432,10 @@ Professional Solar Analysis Platform`;
           from { transform: translateX(100%); }
           to { transform: translateX(0); }
         }
+        @keyframes slideInLeft {
+          from { transform: translateX(-100%); }
+          to { transform: translateX(0); }
+        }
         @keyframes slideInUp {
           from { transform: translateY(100%); }
           to { transform: translateY(0); }
@@ -773,9 +1454,65 @@ Professional Solar Analysis Platform`;
 }
 
 // Map Component
-function MapComponent({ userLocation, onLocationSelect, selectedLocation, mapboxToken, darkMode, isMobile }) {
+function MapComponent({
+  userLocation, roofs, obstacles, importedBuildings, mapRef, panelLayout, selectedRoofId, selectedObstacleId,
+  onRoofsChange, onObstaclesChange, onRoofSelect, onObstacleSelect,
+  selectedLocation, portfolioSites, showPortfolio, onPortfolioToggle, onSiteSelect,
+  mapboxToken, i18n, darkMode, isMobile
+}) {
+  const { t } = i18n;
   const mapContainer = React.useRef(null);
   const map = React.useRef(null);
+  const vertexMarkers = React.useRef([]);
+  const analysisMarker = React.useRef(null);
+  const siteMarkers = React.useRef([]);
+  const [styleReady, setStyleReady] = React.useState(false);
+  // null, 'roof', 'obstacle' (polygon) or 'circle' (round obstacle)
+  const [drawMode, setDrawMode] = React.useState(null);
+  const [draftVertices, setDraftVertices] = React.useState([]);
+  const isDrawing = drawMode !== null;
+
+  const stopDrawing = () => {
+    setDraftVertices([]);
+    setDrawMode(null);
+  };
+
+  const finishDrawing = (vertices) => {
+    if (vertices.length >= 3 && drawMode === 'roof') {
+      const roof = createRoof(vertices, roofs.length);
+      onRoofsChange([...roofs, roof]);
+      onRoofSelect(roof.id);
+    } else if (vertices.length >= 3 && drawMode === 'obstacle') {
+      const obstacle = createObstacle('chimney', { shape: 'polygon', coordinates: vertices }, obstacles.length);
+      onObstaclesChange([...obstacles, obstacle]);
+      onObstacleSelect(obstacle.id);
+    }
+    stopDrawing();
+  };
+
+  const finishCircle = (center, edge) => {
+    const radius = haversineDistance({ lng: center[0], lat: center[1] }, { lng: edge[0], lat: edge[1] });
+    if (radius > 0.05) {
+      const obstacle = createObstacle('vent', { shape: 'circle', center, radius }, obstacles.length);
+      onObstaclesChange([...obstacles, obstacle]);
+      onObstacleSelect(obstacle.id);
+    }
+    stopDrawing();
+  };
+
+  const deleteSelected = () => {
+    if (selectedObstacleId) {
+      onObstaclesChange(obstacles.filter(obstacle => obstacle.id !== selectedObstacleId));
+      onObstacleSelect(null);
+    } else if (selectedRoofId) {
+      onRoofsChange(roofs.filter(roof => roof.id !== selectedRoofId));
+      onRoofSelect(null);
+    }
+  };
+
+  // Map event handlers are bound once, so they read current state through this ref
+  const latest = React.useRef({});
+  latest.current = { drawMode, draftVertices, finishDrawing, finishCircle, onRoofSelect, onObstacleSelect, onSiteSelect };
 
   React.useEffect(() => {
     if (map.current || !mapContainer.current || !window.mapboxgl) return;
@@ -810,9 +1547,18 @@ function MapComponent({ userLocation, onLocationSelect, selectedLocation, mapbox
       .setLngLat([userLocation.lng, userLocation.lat])
       .addTo(map.current);
 
+      mapRef.current = map.current;
+
+      map.current.on('load', () => {
+        addBuildingLayers(map.current);
+        addRoofLayers(map.current);
+        setStyleReady(true);
+      });
+
       // Enhanced map click handler
       map.current.on('click', (e) => {
         const { lng, lat } = e.lngLat;
+        const { drawMode, draftVertices, finishDrawing, finishCircle, onRoofSelect, onObstacleSelect } = latest.current;
         
         // Add visual feedback
         const ripple = document.createElement('div');
@@ -840,8 +1586,60 @@ function MapComponent({ userLocation, onLocationSelect, selectedLocation, mapbox
             ripple.parentNode.removeChild(ripple);
           }
         }, 1500);
-        
-        onLocationSelect(lat, lng);
+
+        if (!drawMode) {
+          const obstacleHits = map.current.queryRenderedFeatures(e.point, { layers: ['obstacles-fill'] });
+          const roofHits = map.current.queryRenderedFeatures(e.point, { layers: ['roofs-fill'] });
+          if (obstacleHits.length > 0) {
+            onObstacleSelect(obstacleHits[0].properties.id);
+          } else {
+            onRoofSelect(roofHits.length > 0 ? roofHits[0].properties.id : null);
+          }
+          return;
+        }
+
+        // Round obstacles: first click is the centre, second sets the radius
+        if (drawMode === 'circle') {
+          if (draftVertices.length === 0) {
+            setDraftVertices([[lng, lat]]);
+          } else {
+            finishCircle(draftVertices[0], [lng, lat]);
+          }
+          return;
+        }
+
+        // Clicking the first vertex closes the outline; repeated clicks on
+        // the last vertex (e.g. the two halves of a double-click) are ignored
+        const pixelDistance = (position) => {
+          const p = map.current.project(position);
+          return Math.hypot(p.x - e.point.x, p.y - e.point.y);
+        };
+        if (draftVertices.length >= 3 && pixelDistance(draftVertices[0]) < 10) {
+          finishDrawing(draftVertices);
+        } else if (draftVertices.length === 0 || pixelDistance(draftVertices[draftVertices.length - 1]) > 3) {
+          setDraftVertices([...draftVertices, [lng, lat]]);
+        }
+      });
+
+      map.current.on('dblclick', (e) => {
+        const { drawMode, draftVertices, finishDrawing } = latest.current;
+        if (!drawMode || drawMode === 'circle') return;
+        e.preventDefault();
+        finishDrawing(draftVertices);
+      });
+
+      map.current.on('mousemove', (e) => {
+        const { drawMode, draftVertices } = latest.current;
+        if (!drawMode || draftVertices.length === 0) return;
+        const cursor = [e.lngLat.lng, e.lngLat.lat];
+        if (drawMode === 'circle') {
+          const [center] = draftVertices;
+          const radius = haversineDistance({ lng: center[0], lat: center[1] }, { lng: cursor[0], lat: cursor[1] });
+          const ring = obstacleRing({ shape: 'circle', center, radius });
+          setSourceData(map.current, DRAFT_SOURCE, draftToGeoJSON([...ring, ring[0]]));
+        } else {
+          setSourceData(map.current, DRAFT_SOURCE, draftToGeoJSON(draftVertices, cursor));
+        }
       });
 
       map.current.on('mouseenter', () => {
@@ -858,7 +1656,7 @@ function MapComponent({ userLocation, onLocationSelect, selectedLocation, mapbox
       console.error('❌ Map initialization failed:', error);
     }
 
-  }, [userLocation, onLocationSelect, mapboxToken, darkMode]);
+  }, [userLocation, mapboxToken, darkMode]);
 
   React.useEffect(() => {
     if (map.current && userLocation) {
@@ -871,6 +1669,117 @@ function MapComponent({ userLocation, onLocationSelect, selectedLocation, mapbox
   }, [userLocation]);
 
   React.useEffect(() => {
+    if (!styleReady) return;
+    setSourceData(map.current, ROOF_SOURCE, roofsToGeoJSON(roofs, selectedRoofId));
+  }, [roofs, selectedRoofId, styleReady]);
+
+  React.useEffect(() => {
+    if (!styleReady) return;
+    setSourceData(map.current, PANEL_SOURCE, panelLayout);
+  }, [panelLayout, styleReady]);
+
+  React.useEffect(() => {
+    if (!styleReady) return;
+    setSourceData(map.current, IMPORTED_BUILDING_SOURCE, buildingsToGeoJSON(importedBuildings));
+  }, [importedBuildings, styleReady]);
+
+  React.useEffect(() => {
+    if (!styleReady) return;
+    setSourceData(map.current, OBSTACLE_SOURCE, obstaclesToGeoJSON(obstacles, selectedObstacleId));
+  }, [obstacles, selectedObstacleId, styleReady]);
+
+  React.useEffect(() => {
+    if (!styleReady) return;
+    setSourceData(map.current, DRAFT_SOURCE, draftToGeoJSON(draftVertices));
+  }, [draftVertices, styleReady]);
+
+  React.useEffect(() => {
+    if (!map.current) return;
+    map.current.getCanvas().style.cursor = isDrawing ? 'crosshair' : '';
+    if (isDrawing) {
+      map.current.doubleClickZoom.disable();
+    } else {
+      map.current.doubleClickZoom.enable();
+    }
+
+    const handleKeyDown = (e) => {
+      // Keys typed into a field or editable text are not map shortcuts
+      if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName) || e.target.isContentEditable) return;
+      if (e.key === 'Escape' && isDrawing) {
+        stopDrawing();
+      } else if (e.key === 'Enter' && isDrawing) {
+        finishDrawing(draftVertices);
+      } else if ((e.key === 'Delete' || e.key === 'Backspace') && !isDrawing) {
+        deleteSelected();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  // Draggable handles for the selected roof's corners, or the selected
+  // obstacle's corners (polygon) or centre (circle)
+  React.useEffect(() => {
+    vertexMarkers.current.forEach(marker => marker.remove());
+    vertexMarkers.current = [];
+    if (!map.current || !styleReady || isDrawing) return;
+
+    const roof = roofs.find(r => r.id === selectedRoofId);
+    const obstacle = obstacles.find(o => o.id === selectedObstacleId);
+    let handles = [];
+    if (roof) {
+      const moved = (index, position) => roofs.map(r => r.id !== roof.id ? r : {
+        ...r,
+        coordinates: r.coordinates.map((p, i) => i === index ? position : p)
+      });
+      handles = roof.coordinates.map((position, index) => ({
+        position,
+        preview: (p) => setSourceData(map.current, ROOF_SOURCE, roofsToGeoJSON(moved(index, p), selectedRoofId)),
+        commit: (p) => onRoofsChange(moved(index, p))
+      }));
+    } else if (obstacle) {
+      const moved = (index, position) => obstacles.map(o => {
+        if (o.id !== obstacle.id) return o;
+        if (o.shape === 'circle') return { ...o, center: position };
+        return { ...o, coordinates: o.coordinates.map((p, i) => i === index ? position : p) };
+      });
+      const positions = obstacle.shape === 'circle' ? [obstacle.center] : obstacle.coordinates;
+      handles = positions.map((position, index) => ({
+        position,
+        preview: (p) => setSourceData(map.current, OBSTACLE_SOURCE, obstaclesToGeoJSON(moved(index, p), selectedObstacleId)),
+        commit: (p) => onObstaclesChange(moved(index, p))
+      }));
+    }
+
+    vertexMarkers.current = handles.map(({ position, preview, commit }) => {
+      const handle = document.createElement('div');
+      handle.style.cssText = `
+        width: 12px;
+        height: 12px;
+        background: white;
+        border: 2px solid #F59E0B;
+        border-radius: 50%;
+        cursor: move;
+      `;
+      const marker = new window.mapboxgl.Marker({ element: handle, draggable: true })
+        .setLngLat(position)
+        .addTo(map.current);
+
+      const markerPosition = () => {
+        const { lng, lat } = marker.getLngLat();
+        return [lng, lat];
+      };
+      marker.on('drag', () => preview(markerPosition()));
+      marker.on('dragend', () => commit(markerPosition()));
+      return marker;
+    });
+  }, [roofs, obstacles, selectedRoofId, selectedObstacleId, isDrawing, styleReady]);
+
+  React.useEffect(() => {
+    if (analysisMarker.current) {
+      analysisMarker.current.remove();
+      analysisMarker.current = null;
+    }
     if (selectedLocation && map.current) {
       // Enhanced selected location marker
       const analysisMarkerEl = document.createElement('div');
@@ -884,7 +1793,7 @@ function MapComponent({ userLocation, onLocationSelect, selectedLocation, mapbox
         animation: pulse 2s infinite;
       `;
       
-      new window.mapboxgl.Marker({
+      analysisMarker.current = new window.mapboxgl.Marker({
         element: analysisMarkerEl
       })
       .setLngLat([selectedLocation.lng, selectedLocation.lat])
@@ -892,9 +1801,142 @@ function MapComponent({ userLocation, onLocationSelect, selectedLocation, mapbox
     }
   }, [selectedLocation]);
 
+  // One marker per portfolio site, numbered by rank and coloured by payback
+  React.useEffect(() => {
+    siteMarkers.current.forEach(marker => marker.remove());
+    siteMarkers.current = [];
+    if (!map.current) return;
+
+    siteMarkers.current = portfolioSites.filter(site => site.location).map(site => {
+      const element = document.createElement('div');
+      element.textContent = site.rank;
+      element.title = site.name;
+      element.style.cssText = `
+        width: 26px;
+        height: 26px;
+        background: ${paybackBand(site.paybackPeriod).color};
+        border: 2px solid white;
+        border-radius: 50%;
+        box-shadow: 0 4px 8px rgba(0, 0, 0, 0.35);
+        color: white;
+        font-size: 12px;
+        font-weight: 700;
+        line-height: 22px;
+        text-align: center;
+        cursor: pointer;
+      `;
+      element.addEventListener('click', (e) => {
+        e.stopPropagation();
+        latest.current.onSiteSelect(site.id);
+      });
+      return new window.mapboxgl.Marker({ element })
+        .setLngLat([site.location.lng, site.location.lat])
+        .addTo(map.current);
+    });
+  }, [portfolioSites, styleReady]);
+
+  const toolButtonStyle = (color) => ({
+    padding: isMobile ? '0.5rem 0.75rem' : '0.6rem 1rem',
+    background: color,
+    color: 'white',
+    border: 'none',
+    borderRadius: '0.5rem',
+    cursor: 'pointer',
+    fontSize: isMobile ? '0.75rem' : '0.85rem',
+    fontWeight: '600',
+    boxShadow: '0 4px 6px rgba(0, 0, 0, 0.2)'
+  });
+
   return (
     <div style={{ position: 'relative', width: '100%', height: '100%' }}>
       <div ref={mapContainer} style={{ width: '100%', height: '100%' }} />
+
+      {/* Roof drawing toolbar */}
+      <div style={{
+        position: 'absolute',
+        top: isMobile ? '10px' : '20px',
+        left: isMobile ? '10px' : '20px',
+        display: 'flex',
+        gap: '0.5rem',
+        flexWrap: 'wrap'
+      }}>
+        {isDrawing ? (
+          <>
+            {drawMode !== 'circle' && (
+              <>
+                <button
+                  onClick={() => finishDrawing(draftVertices)}
+                  disabled={draftVertices.length < 3}
+                  style={{ ...toolButtonStyle('linear-gradient(135deg, #10B981 0%, #059669 100%)'), opacity: draftVertices.length < 3 ? 0.5 : 1 }}
+                >
+                  ✅ {t('map.finish')}
+                </button>
+                <button
+                  onClick={() => setDraftVertices(draftVertices.slice(0, -1))}
+                  disabled={draftVertices.length === 0}
+                  style={toolButtonStyle('linear-gradient(135deg, #6B7280 0%, #4B5563 100%)')}
+                >
+                  ↩️ {t('map.undo')}
+                </button>
+              </>
+            )}
+            <button
+              onClick={stopDrawing}
+              style={toolButtonStyle('linear-gradient(135deg, #EF4444 0%, #DC2626 100%)')}
+            >
+              ✕ {t('map.cancel')}
+            </button>
+          </>
+        ) : (
+          <>
+            <button
+              onClick={() => {
+                onRoofSelect(null);
+                setDrawMode('roof');
+              }}
+              style={toolButtonStyle('linear-gradient(135deg, #8B5CF6 0%, #6D28D9 100%)')}
+            >
+              ✏️ {t('map.drawRoof')}
+            </button>
+            <button
+              onClick={() => {
+                onObstacleSelect(null);
+                setDrawMode('obstacle');
+              }}
+              disabled={roofs.length === 0}
+              style={{ ...toolButtonStyle('linear-gradient(135deg, #F97316 0%, #EA580C 100%)'), opacity: roofs.length === 0 ? 0.5 : 1 }}
+            >
+              ⬛ {t('map.obstacle')}
+            </button>
+            <button
+              onClick={() => {
+                onObstacleSelect(null);
+                setDrawMode('circle');
+              }}
+              disabled={roofs.length === 0}
+              style={{ ...toolButtonStyle('linear-gradient(135deg, #F97316 0%, #EA580C 100%)'), opacity: roofs.length === 0 ? 0.5 : 1 }}
+            >
+              ⚪ {t('map.roundObstacle')}
+            </button>
+            {(selectedRoofId || selectedObstacleId) && (
+              <button
+                onClick={deleteSelected}
+                style={toolButtonStyle('linear-gradient(135deg, #EF4444 0%, #DC2626 100%)')}
+              >
+                🗑️ {t(selectedObstacleId ? 'map.deleteObstacle' : 'map.deleteRoof')}
+              </button>
+            )}
+            <button
+              onClick={onPortfolioToggle}
+              style={toolButtonStyle(showPortfolio
+                ? 'linear-gradient(135deg, #F59E0B 0%, #D97706 100%)'
+                : 'linear-gradient(135deg, #6B7280 0%, #4B5563 100%)')}
+            >
+              📊 {t('map.portfolio', { count: portfolioSites.length })}
+            </button>
+          </>
+        )}
+      </div>
       
       {/* Map Instructions Overlay - Smaller on mobile */}
       <div style={{
@@ -922,7 +1964,7 @@ function MapComponent({ userLocation, onLocationSelect, selectedLocation, mapbox
           fontSize: isMobile ? '0.85rem' : '1rem',
           fontWeight: '600'
         }}>
-          🎯 Map Instructions
+          🎯 {t('map.instructions')}
         </h4>
         <p style={{ 
           margin: 0, 
@@ -930,7 +1972,10 @@ function MapComponent({ userLocation, onLocationSelect, selectedLocation, mapbox
           lineHeight: '1.5',
           fontSize: isMobile ? '0.75rem' : '0.8rem'
         }}>
-          Click any building to analyze solar potential.
+          {t(drawMode === 'circle' ? 'map.hintCircle'
+            : drawMode === 'roof' ? 'map.hintRoof'
+              : drawMode === 'obstacle' ? 'map.hintObstacle'
+                : 'map.hintIdle')}
         </p>
       </div>
     </div>
@@ -938,7 +1983,8 @@ function MapComponent({ userLocation, onLocationSelect, selectedLocation, mapbox
 }
 
 // SolarResults Component
-function SolarResults({ data, location, darkMode, isMobile, onClose, onDownloadReport }) {
+function SolarResults({ data, location, units, i18n, darkMode, isMobile, onClose, onDownloadReport, isGeneratingReport, onExport, financing, onFinancingChange }) {
+  const { t } = i18n;
   return (
     <div style={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
       {/* Header with Close Button */}
@@ -959,7 +2005,7 @@ function SolarResults({ data, location, darkMode, isMobile, onClose, onDownloadR
             fontSize: isMobile ? '1.1rem' : '1.3rem',
             fontWeight: '700'
           }}>
-            ⚡ Solar Analysis Results
+            ⚡ {t('results.title')}
           </h2>
           <div style={{ 
             fontSize: isMobile ? '0.7rem' : '0.8rem', 
@@ -968,6 +2014,13 @@ function SolarResults({ data, location, darkMode, isMobile, onClose, onDownloadR
           }}>
             📍 {location.lat.toFixed(6)}, {location.lng.toFixed(6)}
           </div>
+          <div style={{ 
+            fontSize: isMobile ? '0.65rem' : '0.75rem', 
+            color: darkMode ? '#94a3b8' : '#64748b',
+            marginTop: '0.25rem'
+          }}>
+            🕒 {data.timeZone} • 🌦️ {formatWeatherSource(data.weatherSource, units, t)}
+          </div>
         </div>
         
         <button
@@ -997,7 +2050,7 @@ function SolarResults({ data, location, darkMode, isMobile, onClose, onDownloadR
               e.target.style.transform = 'scale(1)';
             }
           }}
-          title="Close Results Panel"
+          title={t('results.close')}
         >
           ✕
         </button>
@@ -1016,49 +2069,481 @@ function SolarResults({ data, location, darkMode, isMobile, onClose, onDownloadR
         }}>
           <ResultCard 
             icon="🏠" 
-            title="Roof Analysis" 
-            value={`${data.roofArea} m²`}
-            subtitle={`${data.usableArea} m² usable (${Math.round((data.usableArea / data.roofArea) * 100)}% efficiency)`}
+            title={t('results.roofAnalysis')}
+            value={units.area(data.roofArea)}
+            subtitle={t('results.roofSubtitle', { area: units.area(data.usableArea), percent: Math.round((data.usableArea / data.roofArea) * 100) })}
             darkMode={darkMode}
             isMobile={isMobile}
           />
           
           <ResultCard 
             icon="⚡" 
-            title="System Capacity" 
-            value={`${data.systemSize} kW`}
-            subtitle={`${data.annualSolarIrradiance} kWh/m²/year solar irradiance`}
+            title={t('results.systemCapacity')}
+            value={t('unit.kw', { value: data.systemSize })}
+            subtitle={t('results.systemSubtitle', { count: data.moduleCount, wattage: data.moduleWattage, ac: data.acCapacity, ratio: data.dcAcRatio })}
             darkMode={darkMode}
             isMobile={isMobile}
           />
           
           <ResultCard 
             icon="🔋" 
-            title="Annual Production" 
-            value={`${data.annualProduction.toLocaleString()} kWh`}
-            subtitle={`${Math.round(data.annualProduction / 12).toLocaleString()} kWh/month average`}
+            title={t('results.annualProduction')}
+            value={t('unit.kwh', { value: data.annualProduction })}
+            subtitle={t('results.productionSubtitle', { kwh: Math.round(data.annualProduction / 12) })}
             darkMode={darkMode}
             isMobile={isMobile}
           />
           
           <ResultCard 
             icon="💰" 
-            title="Financial Benefits" 
-            value={`${data.monthlySavings}/month`}
-            subtitle={`${(data.monthlySavings * 12).toLocaleString()}/year • ${data.paybackPeriod} year ROI`}
+            title={t('results.financialBenefits')}
+            value={t('unit.perMonth', { value: units.money(data.monthlySavings) })}
+            subtitle={t('results.benefitsSubtitle', { amount: units.money(data.monthlySavings * 12), payback: formatYears(data.paybackPeriod, data.projection.lifetime, t) })}
             darkMode={darkMode}
             isMobile={isMobile}
           />
           
           <ResultCard 
             icon="🌍" 
-            title="Environmental Impact" 
-            value={`${(data.co2Savings / 1000).toFixed(1)} tons CO₂/year`}
-            subtitle={`Equivalent to planting ${Math.round(data.co2Savings / 22)} trees annually`}
+            title={t('results.environmentalImpact')}
+            value={t('results.co2', { tons: units.tons(data.co2Savings) })}
+            subtitle={t('results.trees', { count: Math.round(data.co2Savings / 22) })}
             darkMode={darkMode}
             isMobile={isMobile}
           />
 
+          {/* Per-face production */}
+          <div style={{
+            gridColumn: isMobile ? '1 / span 2' : 'auto',
+            background: darkMode 
+              ? 'linear-gradient(135deg, rgba(139, 92, 246, 0.15) 0%, rgba(124, 58, 237, 0.15) 100%)'
+              : 'linear-gradient(135deg, rgba(139, 92, 246, 0.1) 0%, rgba(124, 58, 237, 0.1) 100%)',
+            border: darkMode ? '1px solid rgba(139, 92, 246, 0.2)' : '1px solid rgba(139, 92, 246, 0.2)',
+            borderRadius: '1rem',
+            padding: isMobile ? '1rem' : '1.25rem'
+          }}>
+            <h4 style={{
+              margin: '0 0 0.75rem',
+              color: darkMode ? '#c4b5fd' : '#7c3aed',
+              fontSize: isMobile ? '0.9rem' : '1rem',
+              fontWeight: '600'
+            }}>
+              🧭 {t('results.faces')}
+            </h4>
+            <div style={{ display: 'grid', gap: '0.75rem', fontSize: isMobile ? '0.8rem' : '0.875rem' }}>
+              {data.faces.map(face => (
+                <div key={face.id}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                    <span style={{ color: darkMode ? '#d1d5db' : '#374151' }}>
+                      {face.name} • {face.tilt}° {t(`compass.${compassDirection(face.azimuth)}`)}
+                    </span>
+                    <strong style={{ color: darkMode ? '#f8fafc' : '#1f2937' }}>
+                      {t('unit.kwh', { value: face.annualProduction })}
+                    </strong>
+                  </div>
+                  <div style={{ fontSize: '0.75rem', color: darkMode ? '#a5b4fc' : '#7c3aed' }}>
+                    {t('results.faceDetail', { count: face.moduleCount, size: face.systemSize, irradiance: face.annualIrradiance, yield: face.specificYield })}
+                    {data.buildingCount > 0 && ` • ${t('results.faceShaded', { percent: face.annualShadeLoss })}`}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Chosen hardware */}
+          <div style={{
+            gridColumn: isMobile ? '1 / span 2' : 'auto',
+            background: darkMode 
+              ? 'linear-gradient(135deg, rgba(139, 92, 246, 0.15) 0%, rgba(124, 58, 237, 0.15) 100%)'
+              : 'linear-gradient(135deg, rgba(139, 92, 246, 0.1) 0%, rgba(124, 58, 237, 0.1) 100%)',
+            border: darkMode ? '1px solid rgba(139, 92, 246, 0.2)' : '1px solid rgba(139, 92, 246, 0.2)',
+            borderRadius: '1rem',
+            padding: isMobile ? '1rem' : '1.25rem'
+          }}>
+            <h4 style={{
+              margin: '0 0 0.75rem',
+              color: darkMode ? '#c4b5fd' : '#7c3aed',
+              fontSize: isMobile ? '0.9rem' : '1rem',
+              fontWeight: '600'
+            }}>
+              🔌 {t('results.equipment')}
+            </h4>
+            <div style={{ display: 'grid', gap: '0.75rem', fontSize: isMobile ? '0.8rem' : '0.875rem' }}>
+              <div>
+                <div style={{ color: darkMode ? '#f8fafc' : '#1f2937', fontWeight: '600' }}>
+                  {data.moduleCount} × {data.module.name}
+                </div>
+                <div style={{ fontSize: '0.75rem', color: darkMode ? '#a5b4fc' : '#7c3aed' }}>
+                  {t('results.moduleDetail', { wattage: data.moduleWattage, efficiency: data.module.efficiency })}
+                </div>
+              </div>
+              <div>
+                <div style={{ color: darkMode ? '#f8fafc' : '#1f2937', fontWeight: '600' }}>
+                  {data.inverter.count} × {data.inverter.name}
+                </div>
+                <div style={{ fontSize: '0.75rem', color: data.stringDesign.valid ? (darkMode ? '#a5b4fc' : '#7c3aed') : '#EF4444' }}>
+                  {formatStringDesign(data.stringDesign, t)}
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {/* Loss waterfall from nominal DC to AC energy */}
+          <div style={{
+            gridColumn: isMobile ? '1 / span 2' : 'auto',
+            background: darkMode 
+              ? 'linear-gradient(135deg, rgba(139, 92, 246, 0.15) 0%, rgba(124, 58, 237, 0.15) 100%)'
+              : 'linear-gradient(135deg, rgba(139, 92, 246, 0.1) 0%, rgba(124, 58, 237, 0.1) 100%)',
+            border: darkMode ? '1px solid rgba(139, 92, 246, 0.2)' : '1px solid rgba(139, 92, 246, 0.2)',
+            borderRadius: '1rem',
+            padding: isMobile ? '1rem' : '1.25rem'
+          }}>
+            <h4 style={{
+              margin: '0 0 0.75rem',
+              color: darkMode ? '#c4b5fd' : '#7c3aed',
+              fontSize: isMobile ? '0.9rem' : '1rem',
+              fontWeight: '600'
+            }}>
+              📉 {t('results.lossWaterfall', { percent: data.totalLoss })}
+            </h4>
+            <div style={{ display: 'grid', gap: '0.35rem', fontSize: '0.75rem' }}>
+              {[
+                { id: 'nominal', name: t('results.nominalDc'), remaining: data.nominalEnergy, loss: 0 },
+                ...data.losses.filter(step => step.loss > 0).map(step => ({ ...step, name: t(`loss.${step.id}`) })),
+                { id: 'ac', name: t('results.acEnergy'), remaining: data.annualProduction, loss: 0 }
+              ].map(step => {
+                const isTotal = step.id === 'nominal' || step.id === 'ac';
+                return (
+                  <div key={step.id}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', color: darkMode ? '#d1d5db' : '#374151' }}>
+                      <span style={{ fontWeight: isTotal ? '600' : '400' }}>{step.name}</span>
+                      <strong style={{ color: darkMode ? '#f8fafc' : '#1f2937' }}>
+                        {isTotal ? t('unit.kwh', { value: step.remaining }) : t('results.lossStep', { kwh: step.loss, percent: step.percent })}
+                      </strong>
+                    </div>
+                    <div style={{ position: 'relative', height: '0.5rem', background: darkMode ? '#312e81' : '#ede9fe', borderRadius: '0.25rem' }}>
+                      <div style={{
+                        position: 'absolute',
+                        insetInlineStart: 0,
+                        width: `${step.remaining / data.nominalEnergy * 100}%`,
+                        height: '100%',
+                        background: isTotal ? '#8B5CF6' : '#C4B5FD',
+                        borderRadius: '0.25rem'
+                      }} />
+                      {!isTotal && (
+                        <div style={{
+                          position: 'absolute',
+                          insetInlineStart: `${step.remaining / data.nominalEnergy * 100}%`,
+                          width: `${step.loss / data.nominalEnergy * 100}%`,
+                          height: '100%',
+                          background: '#EF4444'
+                        }} />
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+            {data.temperatureModelled && (
+              <div style={{ fontSize: '0.75rem', color: darkMode ? '#a5b4fc' : '#7c3aed', marginTop: '0.5rem' }}>
+                {t('results.cellTemperature', { model: TEMPERATURE_MODELS.find(m => m.id === data.temperatureModel).name, temperature: data.averageCellTemperature })}
+                {data.temperatureEstimated && ` • ${t('results.ambientEstimated')}`}
+              </div>
+            )}
+          </div>
+
+          {/* Near shading by month */}
+          {data.buildingCount > 0 && (
+            <div style={{
+              gridColumn: isMobile ? '1 / span 2' : 'auto',
+              background: darkMode 
+                ? 'linear-gradient(135deg, rgba(139, 92, 246, 0.15) 0%, rgba(124, 58, 237, 0.15) 100%)'
+                : 'linear-gradient(135deg, rgba(139, 92, 246, 0.1) 0%, rgba(124, 58, 237, 0.1) 100%)',
+              border: darkMode ? '1px solid rgba(139, 92, 246, 0.2)' : '1px solid rgba(139, 92, 246, 0.2)',
+              borderRadius: '1rem',
+              padding: isMobile ? '1rem' : '1.25rem'
+            }}>
+              <h4 style={{
+                margin: '0 0 0.75rem',
+                color: darkMode ? '#c4b5fd' : '#7c3aed',
+                fontSize: isMobile ? '0.9rem' : '1rem',
+                fontWeight: '600'
+              }}>
+                🌆 {t('results.nearShading', { percent: data.annualShadeLoss })}
+              </h4>
+              <div style={{ display: 'grid', gap: '0.35rem', fontSize: '0.75rem' }}>
+                {data.monthlyShadeLoss.map((loss, month) => (
+                  <div key={month} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    <span style={{ width: '2rem', color: darkMode ? '#d1d5db' : '#374151' }}>{i18n.months[month]}</span>
+                    <div style={{ flex: 1, height: '0.5rem', background: darkMode ? '#312e81' : '#ede9fe', borderRadius: '0.25rem' }}>
+                      <div style={{ width: `${Math.min(100, loss)}%`, height: '100%', background: '#F97316', borderRadius: '0.25rem' }} />
+                    </div>
+                    <strong style={{ width: '3rem', textAlign: 'end', color: darkMode ? '#f8fafc' : '#1f2937' }}>{t('format.percent', { value: loss })}</strong>
+                  </div>
+                ))}
+              </div>
+              <div style={{ fontSize: '0.75rem', color: darkMode ? '#a5b4fc' : '#7c3aed', marginTop: '0.5rem' }}>
+                {t('results.shadingBuildings', { count: data.buildingCount })}
+              </div>
+            </div>
+          )}
+
+          {/* Lifetime production and cumulative savings */}
+          <div style={{
+            gridColumn: isMobile ? '1 / span 2' : 'auto',
+            background: darkMode 
+              ? 'linear-gradient(135deg, rgba(139, 92, 246, 0.15) 0%, rgba(124, 58, 237, 0.15) 100%)'
+              : 'linear-gradient(135deg, rgba(139, 92, 246, 0.1) 0%, rgba(124, 58, 237, 0.1) 100%)',
+            border: darkMode ? '1px solid rgba(139, 92, 246, 0.2)' : '1px solid rgba(139, 92, 246, 0.2)',
+            borderRadius: '1rem',
+            padding: isMobile ? '1rem' : '1.25rem'
+          }}>
+            <h4 style={{
+              margin: '0 0 0.75rem',
+              color: darkMode ? '#c4b5fd' : '#7c3aed',
+              fontSize: isMobile ? '0.9rem' : '1rem',
+              fontWeight: '600'
+            }}>
+              📆 {t('results.projection', { count: data.projection.lifetime, kwh: data.projection.totalProduction })}
+            </h4>
+            <ProjectionChart projection={data.projection} units={units} i18n={i18n} darkMode={darkMode} isMobile={isMobile} />
+            <div style={{ fontSize: '0.75rem', color: darkMode ? '#a5b4fc' : '#7c3aed', marginTop: '0.5rem' }}>
+              {t('results.projectionNote', {
+                first: data.projection.firstYearDegradation,
+                annual: data.projection.annualDegradation,
+                capacity: data.projection.finalCapacity,
+                year: data.projection.lifetime,
+                escalation: data.projection.rateEscalation
+              })}
+            </div>
+          </div>
+
+          {/* Energy balance against the building's consumption */}
+          <div style={{
+            gridColumn: isMobile ? '1 / span 2' : 'auto',
+            background: darkMode 
+              ? 'linear-gradient(135deg, rgba(139, 92, 246, 0.15) 0%, rgba(124, 58, 237, 0.15) 100%)'
+              : 'linear-gradient(135deg, rgba(139, 92, 246, 0.1) 0%, rgba(124, 58, 237, 0.1) 100%)',
+            border: darkMode ? '1px solid rgba(139, 92, 246, 0.2)' : '1px solid rgba(139, 92, 246, 0.2)',
+            borderRadius: '1rem',
+            padding: isMobile ? '1rem' : '1.25rem'
+          }}>
+            <h4 style={{
+              margin: '0 0 0.75rem',
+              color: darkMode ? '#c4b5fd' : '#7c3aed',
+              fontSize: isMobile ? '0.9rem' : '1rem',
+              fontWeight: '600'
+            }}>
+              🏠 {t('results.energyBalance', { percent: data.energy.solarFraction })}
+            </h4>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem 1rem', fontSize: isMobile ? '0.8rem' : '0.875rem', marginBottom: '0.75rem' }}>
+              {[
+                [t('energy.consumption'), t('unit.kwh', { value: data.energy.consumption })],
+                [t('energy.selfConsumed'), t('unit.kwh', { value: data.energy.selfConsumed })],
+                [t('energy.gridImport'), t('unit.kwh', { value: data.energy.imported })],
+                [t('energy.gridExport'), t('unit.kwh', { value: data.energy.exported })],
+                [t('energy.selfConsumption'), t('format.percent', { value: data.energy.selfConsumption })],
+                [t('energy.solarFraction'), t('format.percent', { value: data.energy.solarFraction })]
+              ].map(([label, value]) => (
+                <div key={label} style={{ display: 'flex', justifyContent: 'space-between' }}>
+                  <span style={{ color: darkMode ? '#d1d5db' : '#374151' }}>{label}:</span>
+                  <strong style={{ color: darkMode ? '#f8fafc' : '#1f2937' }}>{value}</strong>
+                </div>
+              ))}
+            </div>
+            <div style={{ display: 'grid', gap: '0.35rem', fontSize: '0.75rem' }}>
+              {data.energy.monthlyConsumption.map((used, month) => {
+                const scale = Math.max(1, ...data.energy.monthlyConsumption.map((kwh, m) => kwh + data.energy.monthlyExport[m]));
+                const selfConsumed = used - data.energy.monthlyImport[month];
+                return (
+                  <div key={month} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    <span style={{ width: '2rem', color: darkMode ? '#d1d5db' : '#374151' }}>{i18n.months[month]}</span>
+                    <div style={{ flex: 1, display: 'flex', height: '0.5rem', background: darkMode ? '#312e81' : '#ede9fe', borderRadius: '0.25rem', overflow: 'hidden' }}>
+                      <div title={t('energy.selfConsumedSolar')} style={{ width: `${selfConsumed / scale * 100}%`, background: '#8B5CF6' }} />
+                      <div title={t('energy.gridImport')} style={{ width: `${data.energy.monthlyImport[month] / scale * 100}%`, background: darkMode ? '#6b7280' : '#9ca3af' }} />
+                      <div title={t('energy.gridExport')} style={{ width: `${data.energy.monthlyExport[month] / scale * 100}%`, background: '#10B981' }} />
+                    </div>
+                    <strong style={{ width: '4.5rem', textAlign: 'end', color: darkMode ? '#f8fafc' : '#1f2937' }}>{t('unit.kwh', { value: used })}</strong>
+                  </div>
+                );
+              })}
+            </div>
+            <div style={{ fontSize: '0.75rem', color: darkMode ? '#a5b4fc' : '#7c3aed', marginTop: '0.5rem' }}>
+              <span style={{ color: '#8B5CF6' }}>■</span> {t('energy.legendSelfConsumed')} <span style={{ color: '#9ca3af' }}>■</span> {t('energy.legendImported')} <span style={{ color: '#10B981' }}>■</span> {t('energy.legendExported')} •{' '}
+              {formatLoadSource(data.energy, t)}
+            </div>
+          </div>
+
+          {/* Battery dispatch results */}
+          {data.battery && (
+            <div style={{
+              gridColumn: isMobile ? '1 / span 2' : 'auto',
+              background: darkMode 
+                ? 'linear-gradient(135deg, rgba(139, 92, 246, 0.15) 0%, rgba(124, 58, 237, 0.15) 100%)'
+                : 'linear-gradient(135deg, rgba(139, 92, 246, 0.1) 0%, rgba(124, 58, 237, 0.1) 100%)',
+              border: darkMode ? '1px solid rgba(139, 92, 246, 0.2)' : '1px solid rgba(139, 92, 246, 0.2)',
+              borderRadius: '1rem',
+              padding: isMobile ? '1rem' : '1.25rem'
+            }}>
+              <h4 style={{
+                margin: '0 0 0.75rem',
+                color: darkMode ? '#c4b5fd' : '#7c3aed',
+                fontSize: isMobile ? '0.9rem' : '1rem',
+                fontWeight: '600'
+              }}>
+                🔋 {t('results.battery', { capacity: data.battery.capacity, power: data.battery.power })}
+              </h4>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem 1rem', fontSize: isMobile ? '0.8rem' : '0.875rem' }}>
+                {[
+                  [t('battery.selfConsumption'), t('battery.selfConsumptionChange', { before: data.battery.selfConsumptionBefore, after: data.battery.selfConsumptionAfter })],
+                  [t('battery.extraSavings'), t('unit.perYear', { value: units.money(data.battery.extraSavings) })],
+                  [t('battery.cycles'), t('unit.perYear', { value: i18n.number(data.battery.cycles, 1) })],
+                  [t('battery.delivered'), t('unit.kwhPerYear', { value: data.battery.delivered })],
+                  [t('battery.backupAverage'), t('unit.hours', { value: data.battery.averageBackupHours })],
+                  [t('battery.backupWorst'), t('unit.hours', { value: data.battery.minimumBackupHours })]
+                ].map(([label, value]) => (
+                  <div key={label} style={{ display: 'flex', justifyContent: 'space-between' }}>
+                    <span style={{ color: darkMode ? '#d1d5db' : '#374151' }}>{label}:</span>
+                    <strong style={{ color: darkMode ? '#f8fafc' : '#1f2937' }}>{value}</strong>
+                  </div>
+                ))}
+              </div>
+              <div style={{ fontSize: '0.75rem', color: darkMode ? '#a5b4fc' : '#7c3aed', marginTop: '0.5rem' }}>
+                {t('results.batteryNote', {
+                  strategy: t(`strategy.${data.battery.strategy}`),
+                  efficiency: data.battery.roundTripEfficiency,
+                  load: data.battery.criticalLoad,
+                  cost: units.money(data.battery.cost)
+                })}
+              </div>
+            </div>
+          )}
+
+          {/* Monthly bills with and without solar */}
+          <div style={{
+            gridColumn: isMobile ? '1 / span 2' : 'auto',
+            background: darkMode 
+              ? 'linear-gradient(135deg, rgba(139, 92, 246, 0.15) 0%, rgba(124, 58, 237, 0.15) 100%)'
+              : 'linear-gradient(135deg, rgba(139, 92, 246, 0.1) 0%, rgba(124, 58, 237, 0.1) 100%)',
+            border: darkMode ? '1px solid rgba(139, 92, 246, 0.2)' : '1px solid rgba(139, 92, 246, 0.2)',
+            borderRadius: '1rem',
+            padding: isMobile ? '1rem' : '1.25rem'
+          }}>
+            <h4 style={{
+              margin: '0 0 0.75rem',
+              color: darkMode ? '#c4b5fd' : '#7c3aed',
+              fontSize: isMobile ? '0.9rem' : '1rem',
+              fontWeight: '600'
+            }}>
+              🧾 {t('results.bill', { before: units.money(data.bill.before), after: units.money(data.bill.after) })}
+            </h4>
+            <div style={{ display: 'grid', gap: '0.35rem', fontSize: '0.75rem' }}>
+              {data.bill.monthlyBefore.map((before, month) => {
+                const scale = Math.max(1, ...data.bill.monthlyBefore);
+                const after = data.bill.monthlyAfter[month];
+                return (
+                  <div key={month} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    <span style={{ width: '2rem', color: darkMode ? '#d1d5db' : '#374151' }}>{i18n.months[month]}</span>
+                    <div style={{ flex: 1, display: 'grid', gap: '2px' }}>
+                      <div style={{ width: `${Math.max(0, before) / scale * 100}%`, height: '0.35rem', background: darkMode ? '#6b7280' : '#d1d5db', borderRadius: '0.25rem' }} />
+                      <div style={{ width: `${Math.max(0, after) / scale * 100}%`, height: '0.35rem', background: '#8B5CF6', borderRadius: '0.25rem' }} />
+                    </div>
+                    <strong style={{ width: '5.5rem', textAlign: 'end', color: darkMode ? '#f8fafc' : '#1f2937' }}>{units.money(before)} → {units.money(after)}</strong>
+                  </div>
+                );
+              })}
+            </div>
+            <div style={{ fontSize: '0.75rem', color: darkMode ? '#a5b4fc' : '#7c3aed', marginTop: '0.5rem' }}>
+              {t('results.billNote', { tariff: data.tariff.name, rule: t(`export.${data.tariff.exportType}`), price: units.price(data.bill.valuePerKwh) })}
+            </div>
+          </div>
+
+          {/* Investment appraisal */}
+          <div style={{
+            gridColumn: isMobile ? '1 / span 2' : 'auto',
+            background: darkMode 
+              ? 'linear-gradient(135deg, rgba(139, 92, 246, 0.15) 0%, rgba(124, 58, 237, 0.15) 100%)'
+              : 'linear-gradient(135deg, rgba(139, 92, 246, 0.1) 0%, rgba(124, 58, 237, 0.1) 100%)',
+            border: darkMode ? '1px solid rgba(139, 92, 246, 0.2)' : '1px solid rgba(139, 92, 246, 0.2)',
+            borderRadius: '1rem',
+            padding: isMobile ? '1rem' : '1.25rem'
+          }}>
+            <h4 style={{
+              margin: '0 0 0.75rem',
+              color: darkMode ? '#c4b5fd' : '#7c3aed',
+              fontSize: isMobile ? '0.9rem' : '1rem',
+              fontWeight: '600'
+            }}>
+              💵 {t('results.financial', { amount: units.money(data.financial.capex) })}
+            </h4>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem 1rem', fontSize: isMobile ? '0.8rem' : '0.875rem', marginBottom: '0.75rem' }}>
+              {[
+                [t('finance.npv'), units.money(data.financial.npv)],
+                [t('finance.irr'), formatPercent(data.financial.irr, t)],
+                [t('finance.lcoe'), t('unit.perKwh', { value: units.price(data.financial.lcoe) })],
+                [t('finance.costPerWatt'), t('unit.perWatt', { value: units.price(data.financial.costPerWatt) })],
+                [t('finance.incentives'), units.money(data.incentives.total)],
+                [t('finance.netCost'), units.money(data.incentives.netCost)],
+                [t('finance.payback'), formatYears(data.paybackPeriod, data.projection.lifetime, t)],
+                [t('finance.discountedPayback'), formatYears(data.financial.discountedPayback, data.projection.lifetime, t)]
+              ].map(([label, value]) => (
+                <div key={label} style={{ display: 'flex', justifyContent: 'space-between' }}>
+                  <span style={{ color: darkMode ? '#d1d5db' : '#374151' }}>{label}:</span>
+                  <strong style={{ color: darkMode ? '#f8fafc' : '#1f2937' }}>{value}</strong>
+                </div>
+              ))}
+            </div>
+            {data.incentives.programs.length > 0 && (
+              <div style={{ fontSize: isMobile ? '0.75rem' : '0.8rem', color: darkMode ? '#d1d5db' : '#374151', marginBottom: '0.75rem' }}>
+                {data.incentives.programs.map(program => (
+                  <div key={program.id} style={{ display: 'flex', justifyContent: 'space-between', gap: '0.5rem' }}>
+                    <span>🎁 {program.name}</span>
+                    <span>{program.recurring ? `${t('unit.perYear', { value: units.money(program.firstYear) })} • ` : ''}{units.money(program.total)}</span>
+                  </div>
+                ))}
+                <div style={{ fontSize: '0.75rem', color: darkMode ? '#a5b4fc' : '#7c3aed', marginTop: '0.25rem' }}>
+                  {t(data.incentives.detected ? 'results.regionDetected' : 'results.region', { name: data.incentives.region.name, year: String(data.incentives.installYear) })}
+                </div>
+              </div>
+            )}
+            <CashFlowTable cashFlow={data.financial.cashFlow} units={units} i18n={i18n} darkMode={darkMode} isMobile={isMobile} />
+            <div style={{ fontSize: '0.75rem', color: darkMode ? '#a5b4fc' : '#7c3aed', marginTop: '0.5rem' }}>
+              {t('results.financeNote', { rate: data.financial.discountRate, om: units.price(data.financial.omCost), insurance: data.financial.insurance })}
+            </div>
+          </div>
+
+          {/* Financing options */}
+          <div style={{
+            gridColumn: isMobile ? '1 / span 2' : 'auto',
+            background: darkMode 
+              ? 'linear-gradient(135deg, rgba(139, 92, 246, 0.15) 0%, rgba(124, 58, 237, 0.15) 100%)'
+              : 'linear-gradient(135deg, rgba(139, 92, 246, 0.1) 0%, rgba(124, 58, 237, 0.1) 100%)',
+            border: darkMode ? '1px solid rgba(139, 92, 246, 0.2)' : '1px solid rgba(139, 92, 246, 0.2)',
+            borderRadius: '1rem',
+            padding: isMobile ? '1rem' : '1.25rem'
+          }}>
+            <h4 style={{
+              margin: '0 0 0.75rem',
+              color: darkMode ? '#c4b5fd' : '#7c3aed',
+              fontSize: isMobile ? '0.9rem' : '1rem',
+              fontWeight: '600'
+            }}>
+              🏦 {t('results.financing')}
+            </h4>
+            <FinancingComparison
+              data={data}
+              financing={financing}
+              units={units}
+              i18n={i18n}
+              onChange={onFinancingChange}
+              darkMode={darkMode}
+              isMobile={isMobile}
+            />
+            <div style={{ fontSize: '0.75rem', color: darkMode ? '#a5b4fc' : '#7c3aed', marginTop: '0.5rem' }}>
+              {t('results.financingNote', { rate: data.financial.discountRate })}
+            </div>
+          </div>
+
           {/* Performance Metrics - Full width on mobile */}
           <div style={{
             gridColumn: isMobile ? '1 / span 2' : 'auto', // Make it full width on mobile
@@ -1075,31 +2560,45 @@ function SolarResults({ data, location, darkMode, isMobile, onClose, onDownloadR
               fontSize: isMobile ? '0.9rem' : '1rem',
               fontWeight: '600'
             }}>
-              📊 Performance Metrics
+              📊 {t('results.performance')}
             </h4>
             <div style={{ display: 'grid', gap: '0.75rem', fontSize: isMobile ? '0.8rem' : '0.875rem' }}>
               <div style={{ display: 'flex', justifyContent: 'space-between' }}>
-                <span style={{ color: darkMode ? '#d1d5db' : '#374151' }}>Daily Average Output:</span>
+                <span style={{ color: darkMode ? '#d1d5db' : '#374151' }}>{t('performance.dailyOutput')}:</span>
                 <strong style={{ color: darkMode ? '#f8fafc' : '#1f2937' }}>
-                  {Math.round(data.annualProduction / 365)} kWh
+                  {t('unit.kwh', { value: Math.round(data.annualProduction / 365) })}
                 </strong>
               </div>
               <div style={{ display: 'flex', justifyContent: 'space-between' }}>
-                <span style={{ color: darkMode ? '#d1d5db' : '#374151' }}>Peak Sun Hours:</span>
+                <span style={{ color: darkMode ? '#d1d5db' : '#374151' }}>{t('performance.sunHours')}:</span>
                 <strong style={{ color: darkMode ? '#f8fafc' : '#1f2937' }}>
-                  {(data.annualSolarIrradiance / 365).toFixed(1)} hours/day
+                  {t('performance.hoursPerDay', { hours: i18n.number(data.annualSolarIrradiance / 365, 1) })}
                 </strong>
               </div>
               <div style={{ display: 'flex', justifyContent: 'space-between' }}>
-                <span style={{ color: darkMode ? '#d1d5db' : '#374151' }}>System Efficiency:</span>
+                <span style={{ color: darkMode ? '#d1d5db' : '#374151' }}>{t('performance.specificYield')}:</span>
                 <strong style={{ color: darkMode ? '#f8fafc' : '#1f2937' }}>
-                  {Math.round((data.usableArea / data.roofArea) * 100)}%
+                  {t('unit.kwhPerKw', { value: data.specificYield })}
                 </strong>
               </div>
               <div style={{ display: 'flex', justifyContent: 'space-between' }}>
-                <span style={{ color: darkMode ? '#d1d5db' : '#374151' }}>25-Year Savings:</span>
+                <span style={{ color: darkMode ? '#d1d5db' : '#374151' }}>{t('performance.coverage')}:</span>
+                <strong style={{ color: darkMode ? '#f8fafc' : '#1f2937' }}>
+                  {t('format.percent', { value: Math.round((data.usableArea / data.roofArea) * 100) })}
+                </strong>
+              </div>
+              {data.obstacleCount > 0 && (
+                <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                  <span style={{ color: darkMode ? '#d1d5db' : '#374151' }}>{t('performance.obstacles')}:</span>
+                  <strong style={{ color: darkMode ? '#f8fafc' : '#1f2937' }}>
+                    {t('performance.obstacleArea', { area: units.area(data.obstacleArea), count: data.obstacleCount })}
+                  </strong>
+                </div>
+              )}
+              <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span style={{ color: darkMode ? '#d1d5db' : '#374151' }}>{t('performance.lifetimeSavings', { count: data.projection.lifetime })}:</span>
                 <strong style={{ color: darkMode ? '#a5b4fc' : '#4f46e5' }}>
-                  ${(data.monthlySavings * 12 * 25).toLocaleString()}
+                  {units.money(data.projection.totalSavings)}
                 </strong>
               </div>
             </div>
@@ -1109,6 +2608,7 @@ function SolarResults({ data, location, darkMode, isMobile, onClose, onDownloadR
         {/* Download Button - Full width */}
         <button 
           onClick={onDownloadReport}
+          disabled={isGeneratingReport}
           style={{
             width: '100%',
             padding: isMobile ? '0.85rem' : '1rem',
@@ -1118,7 +2618,8 @@ function SolarResults({ data, location, darkMode, isMobile, onClose, onDownloadR
             borderRadius: '0.75rem',
             fontSize: isMobile ? '0.9rem' : '1rem',
             fontWeight: '600',
-            cursor: 'pointer',
+            cursor: isGeneratingReport ? 'wait' : 'pointer',
+            opacity: isGeneratingReport ? 0.7 : 1,
             marginTop: isMobile ? '1rem' : '1.5rem',
             display: 'flex',
             alignItems: 'center',
@@ -1140,8 +2641,40 @@ function SolarResults({ data, location, darkMode, isMobile, onClose, onDownloadR
             }
           }}
         >
-          📄 Download Report
+          📄 {t(isGeneratingReport ? 'results.generatingReport' : 'results.download')}
         </button>
+
+        {/* Data exports for design tools and GIS */}
+        <div style={{ marginTop: '0.75rem' }}>
+          <div style={{
+            fontSize: isMobile ? '0.75rem' : '0.8rem',
+            color: darkMode ? '#a5b4fc' : '#7c3aed',
+            marginBottom: '0.5rem'
+          }}>
+            {t('results.exportData')}
+          </div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
+            {EXPORT_FORMATS.map(format => (
+              <button
+                key={format.id}
+                onClick={() => onExport(format.id)}
+                style={{
+                  flex: isMobile ? '1 1 40%' : '1 1 auto',
+                  padding: '0.5rem 0.75rem',
+                  background: darkMode ? 'rgba(139, 92, 246, 0.15)' : 'rgba(139, 92, 246, 0.08)',
+                  color: darkMode ? '#c4b5fd' : '#6d28d9',
+                  border: '1px solid rgba(139, 92, 246, 0.3)',
+                  borderRadius: '0.5rem',
+                  fontSize: isMobile ? '0.75rem' : '0.8rem',
+                  fontWeight: '600',
+                  cursor: 'pointer'
+                }}
+              >
+                {t(`exportFormat.${format.id}`)}
+              </button>
+            ))}
+          </div>
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,65 @@
+import { buildingsFromFeatures } from '../shading/horizon.js';
+
+// 3D context buildings from Mapbox Streets vector tiles, plus any building
+// footprints imported from GeoJSON, for display and near-shading analysis
+
+export const MAP_BUILDING_SOURCE = 'context-buildings';
+export const IMPORTED_BUILDING_SOURCE = 'imported-buildings';
+const BUILDING_TILESET = 'mapbox://mapbox.mapbox-streets-v8';
+const BUILDING_LAYER = 'building';
+
+export function buildingsToGeoJSON(buildings) {
+  return {
+    type: 'FeatureCollection',
+    features: buildings.map(building => ({
+      type: 'Feature',
+      properties: { height: building.height },
+      geometry: { type: 'Polygon', coordinates: [[...building.coordinates, building.coordinates[0]]] }
+    }))
+  };
+}
+
+export function addBuildingLayers(map) {
+  if (map.getSource(MAP_BUILDING_SOURCE)) return;
+
+  map.addSource(MAP_BUILDING_SOURCE, { type: 'vector', url: BUILDING_TILESET });
+  map.addSource(IMPORTED_BUILDING_SOURCE, { type: 'geojson', data: buildingsToGeoJSON([]) });
+
+  map.addLayer({
+    id: 'context-buildings-3d',
+    type: 'fill-extrusion',
+    source: MAP_BUILDING_SOURCE,
+    'source-layer': BUILDING_LAYER,
+    minzoom: 14,
+    filter: ['==', ['get', 'extrude'], 'true'],
+    paint: {
+      'fill-extrusion-color': '#A1A1AA',
+      'fill-extrusion-height': ['get', 'height'],
+      'fill-extrusion-base': ['get', 'min_height'],
+      'fill-extrusion-opacity': 0.5
+    }
+  });
+  map.addLayer({
+    id: 'imported-buildings-3d',
+    type: 'fill-extrusion',
+    source: IMPORTED_BUILDING_SOURCE,
+    paint: {
+      'fill-extrusion-color': '#FB923C',
+      'fill-extrusion-height': ['get', 'height'],
+      'fill-extrusion-opacity': 0.6
+    }
+  });
+}
+
+// Buildings in the vector tiles currently loaded around the map view.
+// Footprints split across tile edges come back as several pieces, which is
+// harmless for horizon profiles.
+export function queryMapBuildings(map) {
+  if (!map || !map.getSource(MAP_BUILDING_SOURCE)) return [];
+  const features = map.querySourceFeatures(MAP_BUILDING_SOURCE, { sourceLayer: BUILDING_LAYER });
+  return buildingsFromFeatures(features.map(feature => ({
+    id: feature.id,
+    properties: feature.properties,
+    geometry: feature.geometry
+  })));
+}
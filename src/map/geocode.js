@@ -0,0 +1,28 @@
+// Place search for the location box and batch analysis: "lat, lng" pairs are
+// read directly, anything else goes to the Mapbox geocoding API.
+
+const COORDINATES = /^(-?\d+(\.\d+)?)\s*,\s*(-?\d+(\.\d+)?)$/;
+
+// { lat, lng } for text like "40.7128, -74.006", otherwise null
+export function parseCoordinates(text) {
+  const match = text.trim().match(COORDINATES);
+  if (!match) return null;
+  const lat = parseFloat(match[1]);
+  const lng = parseFloat(match[3]);
+  return lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180 ? { lat, lng } : null;
+}
+
+// Resolves to { lat, lng, placeName } for the best match, or null when nothing
+// matches; rejects when the request itself fails
+export async function geocode(query, token) {
+  const response = await fetch(
+    `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(query)}.json?access_token=${token}&limit=1`
+  );
+  if (!response.ok) {
+    throw new Error(`Geocoding request failed with HTTP ${response.status}`);
+  }
+  const data = await response.json();
+  if (!data.features || data.features.length === 0) return null;
+  const [lng, lat] = data.features[0].center;
+  return { lat, lng, placeName: data.features[0].place_name };
+}
@@ -0,0 +1,94 @@
+// A static satellite image of the site with the roof outlines, module layout
+// and obstacles drawn over it, for the PDF report. The image comes from the
+// Mapbox Static Images API at a centre and zoom chosen here, so the overlay
+// can be projected onto it exactly; without imagery the overlay is drawn on a
+// plain background.
+
+const TILE_SIZE = 512;
+const MAX_ZOOM = 20;
+const STYLE = 'mapbox/satellite-v9';
+
+const toMercator = ([lng, lat]) => {
+  const sin = Math.sin(lat * Math.PI / 180);
+  return [(lng + 180) / 360, 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)];
+};
+
+const fromMercator = ([x, y]) => [
+  x * 360 - 180,
+  Math.atan(Math.sinh(Math.PI * (1 - 2 * y))) * 180 / Math.PI
+];
+
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Satellite image could not be loaded'));
+    image.src = url;
+  });
+}
+
+function drawCollection(ctx, collection, project, { fill, fillOpacity, line, lineWidth }) {
+  collection.features.forEach(feature => {
+    ctx.beginPath();
+    feature.geometry.coordinates.forEach(ring => {
+      ring.forEach((position, i) => {
+        const [x, y] = project(position);
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      });
+      ctx.closePath();
+    });
+    ctx.globalAlpha = fillOpacity;
+    ctx.fillStyle = fill;
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = line;
+    ctx.lineWidth = lineWidth;
+    ctx.stroke();
+  });
+}
+
+// `roofs`, `panels` and `obstacles` are GeoJSON polygon collections as drawn
+// on the map. Resolves to { canvas, imagery } where `imagery` is false when
+// the satellite image could not be fetched.
+export async function createMapSnapshot({ token, roofs, panels, obstacles, width = 640, height = 400, padding = 40 }) {
+  const positions = [...roofs.features, ...panels.features].flatMap(feature => feature.geometry.coordinates[0]).map(toMercator);
+  const xs = positions.map(p => p[0]);
+  const ys = positions.map(p => p[1]);
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  const span = Math.max((maxX - minX) / (width - 2 * padding), (maxY - minY) / (height - 2 * padding), 1e-12);
+  // The API rounds the zoom to two decimals; project with the same value
+  const zoom = Math.round(Math.max(0, Math.min(MAX_ZOOM, Math.log2(1 / (span * TILE_SIZE)))) * 100) / 100;
+  const center = [(minX + maxX) / 2, (minY + maxY) / 2];
+  const [lng, lat] = fromMercator(center);
+
+  const scale = 2;
+  const worldSize = TILE_SIZE * 2 ** zoom * scale;
+  const project = (position) => {
+    const [x, y] = toMercator(position);
+    return [(x - center[0]) * worldSize + width * scale / 2, (y - center[1]) * worldSize + height * scale / 2];
+  };
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width * scale;
+  canvas.height = height * scale;
+  const ctx = canvas.getContext('2d');
+
+  let imagery = true;
+  try {
+    const image = await loadImage(`https://api.mapbox.com/styles/v1/${STYLE}/static/${lng.toFixed(7)},${lat.toFixed(7)},${zoom}/${width}x${height}@2x?access_token=${token}`);
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+  } catch (error) {
+    console.error('Map snapshot failed:', error);
+    imagery = false;
+    ctx.fillStyle = '#E5E7EB';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+
+  drawCollection(ctx, roofs, project, { fill: '#8B5CF6', fillOpacity: 0.35, line: '#C4B5FD', lineWidth: 2 * scale });
+  drawCollection(ctx, panels, project, { fill: '#1E3A8A', fillOpacity: 0.85, line: '#93C5FD', lineWidth: 0.5 * scale });
+  drawCollection(ctx, obstacles, project, { fill: '#EF4444', fillOpacity: 0.6, line: '#B91C1C', lineWidth: 2 * scale });
+
+  return { canvas, imagery };
+}
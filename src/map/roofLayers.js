@@ -0,0 +1,137 @@
+import { closeRing } from '../geometry/geodesy.js';
+import { obstacleRing } from '../geometry/obstacles.js';
+
+// Mapbox sources/layers for roof outlines, obstacles, module layout and the
+// polygon being drawn
+
+export const ROOF_SOURCE = 'roofs';
+export const DRAFT_SOURCE = 'roof-draft';
+export const PANEL_SOURCE = 'panel-layout';
+export const OBSTACLE_SOURCE = 'obstacles';
+
+const EMPTY = { type: 'FeatureCollection', features: [] };
+
+export function roofsToGeoJSON(roofs, selectedRoofId) {
+  return {
+    type: 'FeatureCollection',
+    features: roofs.map(roof => ({
+      type: 'Feature',
+      id: roof.id,
+      properties: { id: roof.id, name: roof.name, selected: roof.id === selectedRoofId },
+      geometry: { type: 'Polygon', coordinates: [closeRing(roof.coordinates)] }
+    }))
+  };
+}
+
+export function obstaclesToGeoJSON(obstacles, selectedObstacleId) {
+  return {
+    type: 'FeatureCollection',
+    features: obstacles.map(obstacle => ({
+      type: 'Feature',
+      id: obstacle.id,
+      properties: { id: obstacle.id, name: obstacle.name, selected: obstacle.id === selectedObstacleId },
+      geometry: { type: 'Polygon', coordinates: [closeRing(obstacleRing(obstacle))] }
+    }))
+  };
+}
+
+export function draftToGeoJSON(vertices, cursor) {
+  const line = cursor ? [...vertices, cursor] : vertices;
+  return {
+    type: 'FeatureCollection',
+    features: [
+      ...(line.length > 1 ? [{
+        type: 'Feature',
+        properties: {},
+        geometry: { type: 'LineString', coordinates: line }
+      }] : []),
+      ...vertices.map((position, index) => ({
+        type: 'Feature',
+        properties: { first: index === 0 },
+        geometry: { type: 'Point', coordinates: position }
+      }))
+    ]
+  };
+}
+
+export function addRoofLayers(map) {
+  if (map.getSource(ROOF_SOURCE)) return;
+
+  map.addSource(ROOF_SOURCE, { type: 'geojson', data: EMPTY });
+  map.addSource(DRAFT_SOURCE, { type: 'geojson', data: EMPTY });
+  map.addSource(PANEL_SOURCE, { type: 'geojson', data: EMPTY });
+  map.addSource(OBSTACLE_SOURCE, { type: 'geojson', data: EMPTY });
+
+  map.addLayer({
+    id: 'roofs-fill',
+    type: 'fill',
+    source: ROOF_SOURCE,
+    paint: {
+      'fill-color': ['case', ['get', 'selected'], '#F59E0B', '#8B5CF6'],
+      'fill-opacity': 0.35
+    }
+  });
+  map.addLayer({
+    id: 'roofs-line',
+    type: 'line',
+    source: ROOF_SOURCE,
+    paint: {
+      'line-color': ['case', ['get', 'selected'], '#F59E0B', '#C4B5FD'],
+      'line-width': 2
+    }
+  });
+  map.addLayer({
+    id: 'panels-fill',
+    type: 'fill',
+    source: PANEL_SOURCE,
+    paint: { 'fill-color': '#1E3A8A', 'fill-opacity': 0.85 }
+  });
+  map.addLayer({
+    id: 'panels-line',
+    type: 'line',
+    source: PANEL_SOURCE,
+    paint: { 'line-color': '#93C5FD', 'line-width': 0.5 }
+  });
+  map.addLayer({
+    id: 'obstacles-fill',
+    type: 'fill',
+    source: OBSTACLE_SOURCE,
+    paint: {
+      'fill-color': ['case', ['get', 'selected'], '#F59E0B', '#EF4444'],
+      'fill-opacity': 0.6
+    }
+  });
+  map.addLayer({
+    id: 'obstacles-line',
+    type: 'line',
+    source: OBSTACLE_SOURCE,
+    paint: {
+      'line-color': ['case', ['get', 'selected'], '#F59E0B', '#B91C1C'],
+      'line-width': 2
+    }
+  });
+  map.addLayer({
+    id: 'roof-draft-line',
+    type: 'line',
+    source: DRAFT_SOURCE,
+    filter: ['==', ['geometry-type'], 'LineString'],
+    paint: { 'line-color': '#F59E0B', 'line-width': 2, 'line-dasharray': [2, 1] }
+  });
+  map.addLayer({
+    id: 'roof-draft-vertices',
+    type: 'circle',
+    source: DRAFT_SOURCE,
+    filter: ['==', ['geometry-type'], 'Point'],
+    paint: {
+      'circle-radius': ['case', ['get', 'first'], 7, 5],
+      'circle-color': '#ffffff',
+      'circle-stroke-color': '#F59E0B',
+      'circle-stroke-width': 2
+    }
+  });
+}
+
+export function setSourceData(map, sourceId, data) {
+  const source = map.getSource(sourceId);
+  if (source) source.setData(data);
+}
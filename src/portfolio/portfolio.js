@@ -0,0 +1,85 @@
+// The portfolio is every saved project with analysis results, one site each.
+// Sites are ranked by return (IRR, then NPV for sites whose IRR is undefined)
+// and banded by payback for the colour of their map marker.
+
+export const PAYBACK_BANDS = [
+  { id: 'fast', maxYears: 7, color: '#10B981' },
+  { id: 'medium', maxYears: 12, color: '#F59E0B' },
+  { id: 'slow', maxYears: Infinity, color: '#EF4444' }
+];
+
+export const PORTFOLIO_COLUMNS = [
+  { id: 'name', value: site => site.name.toLowerCase() },
+  { id: 'systemSize', value: site => site.systemSize },
+  { id: 'annualProduction', value: site => site.annualProduction },
+  { id: 'annualSavings', value: site => site.annualSavings },
+  { id: 'paybackPeriod', value: site => site.paybackPeriod },
+  { id: 'co2Savings', value: site => site.co2Savings }
+];
+
+export function paybackBand(paybackPeriod) {
+  return PAYBACK_BANDS.find(band => paybackPeriod !== null && paybackPeriod <= band.maxYears) || PAYBACK_BANDS[PAYBACK_BANDS.length - 1];
+}
+
+const byReturn = (a, b) => {
+  if (a.irr !== b.irr) {
+    if (a.irr === null) return 1;
+    if (b.irr === null) return -1;
+    return b.irr - a.irr;
+  }
+  return b.npv - a.npv;
+};
+
+// Amounts are US dollars, as in the analysis
+export function portfolioSites(projects) {
+  const sites = projects
+    .filter(project => project.results)
+    .map(project => {
+      const { data, location } = project.results;
+      return {
+        id: project.id,
+        name: project.name,
+        location,
+        systemSize: data.systemSize,
+        annualProduction: data.annualProduction,
+        annualSavings: data.bill.savings,
+        paybackPeriod: data.paybackPeriod,
+        lifetime: data.projection.lifetime,
+        co2Savings: data.co2Savings,
+        capex: data.financial.capex,
+        irr: data.financial.irr,
+        npv: data.financial.npv
+      };
+    });
+  const ranked = [...sites].sort(byReturn);
+  return sites.map(site => ({ ...site, rank: ranked.indexOf(site) + 1, band: paybackBand(site.paybackPeriod).id }));
+}
+
+// Missing values (a payback that never comes) sort last in either direction
+export function sortSites(sites, columnId, ascending) {
+  const column = PORTFOLIO_COLUMNS.find(c => c.id === columnId);
+  return [...sites].sort((a, b) => {
+    const [x, y] = [column.value(a), column.value(b)];
+    if (x === y) return a.rank - b.rank;
+    if (x === null) return 1;
+    if (y === null) return -1;
+    return (x < y ? -1 : 1) * (ascending ? 1 : -1);
+  });
+}
+
+export function portfolioTotals(sites) {
+  const sum = (key) => sites.reduce((total, site) => total + site[key], 0);
+  const capex = sum('capex');
+  const annualSavings = sum('annualSavings');
+  return {
+    count: sites.length,
+    systemSize: Math.round(sum('systemSize') * 10) / 10,
+    annualProduction: sum('annualProduction'),
+    annualSavings,
+    co2Savings: sum('co2Savings'),
+    capex,
+    // Simple payback of the whole portfolio, ignoring degradation and escalation
+    simplePayback: annualSavings > 0 ? Math.round(capex / annualSavings * 10) / 10 : null,
+    npv: sum('npv')
+  };
+}
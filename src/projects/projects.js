@@ -0,0 +1,107 @@
+import { idbDelete, idbGetAll, idbPut } from '../storage/idb.js';
+import { createId } from '../util/id.js';
+
+// Saved projects: a site's map position, roof and obstacle drawings, the
+// settings with the equipment and tariff they name, consumption data and the
+// last results. They live in IndexedDB and travel as project files.
+// `version` is the project schema. Version 1 is the first, so there is
+// nothing to migrate yet: MIGRATIONS is where the step from one version to
+// the next goes when the shape changes, and opening or importing a project
+// runs the steps from its version up to PROJECT_VERSION. Settings added
+// without a schema change are filled from the current defaults when the
+// project is opened (see withDefaults).
+
+export const PROJECT_FORMAT = 'solarvision-project';
+export const PROJECT_VERSION = 1;
+
+const STORE = 'projects';
+
+// MIGRATIONS[n] turns a version n project into a version n + 1 one; empty
+// until a version 2 exists
+const MIGRATIONS = {};
+
+export function createProjectId() {
+  return createId('project');
+}
+
+export function migrateProject(project) {
+  if (!project || typeof project !== 'object' || typeof project.version !== 'number') {
+    throw new Error('This is not a SolarVision project.');
+  }
+  if (project.version > PROJECT_VERSION) {
+    throw new Error(`This project was saved by a newer version of SolarVision (schema ${project.version}).`);
+  }
+  let migrated = project;
+  while (migrated.version < PROJECT_VERSION) {
+    const migrate = MIGRATIONS[migrated.version];
+    if (!migrate) throw new Error(`Projects saved with schema ${migrated.version} can no longer be opened.`);
+    migrated = { ...migrate(migrated), version: migrated.version + 1 };
+  }
+  return migrated;
+}
+
+// Nested settings objects are merged key by key so that a project saved
+// before a setting existed picks up its default; arrays are kept as saved
+export function withDefaults(defaults, saved) {
+  if (saved === undefined) return defaults;
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (!isObject(defaults) || !isObject(saved)) return saved;
+  const merged = { ...defaults };
+  for (const key of Object.keys(saved)) merged[key] = withDefaults(defaults[key], saved[key]);
+  return merged;
+}
+
+// Newest first; projects that cannot be migrated are left out of the list
+export async function loadProjects() {
+  const saved = await idbGetAll(STORE);
+  return saved.flatMap(project => {
+    try {
+      return [migrateProject(project)];
+    } catch (error) {
+      console.error(`Could not open project ${project && project.id}:`, error);
+      return [];
+    }
+  }).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+export function saveProject(project) {
+  return idbPut(STORE, project.id, project);
+}
+
+export function deleteProject(id) {
+  return idbDelete(STORE, id);
+}
+
+export function projectFile(project) {
+  return JSON.stringify({ format: PROJECT_FORMAT, ...project }, null, 2);
+}
+
+// Interval timestamps are Dates, which a project file holds as strings
+function reviveConsumption(consumption) {
+  if (!consumption) return consumption;
+  return {
+    ...consumption,
+    intervals: consumption.intervals.map(interval => ({ ...interval, start: interval.start ? new Date(interval.start) : null }))
+  };
+}
+
+export function parseProjectFile(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The project file is not valid JSON.');
+  }
+  if (!parsed || parsed.format !== PROJECT_FORMAT) {
+    throw new Error('This is not a SolarVision project file.');
+  }
+  const { format, ...project } = migrateProject(parsed);
+  return {
+    ...project,
+    consumption: reviveConsumption(project.consumption),
+    results: project.results && {
+      ...project.results,
+      input: { ...project.results.input, consumption: reviveConsumption(project.results.input.consumption) }
+    }
+  };
+}
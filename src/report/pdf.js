@@ -0,0 +1,151 @@
+// A minimal PDF writer. Each page is a canvas, embedded as a JPEG filling the
+// page; drawing the pages with the browser's own text rendering keeps every
+// script the interface is translated into (including right-to-left shaping)
+// without embedding fonts. The text drawn on the canvas is laid over it again
+// invisibly, as scanners do for OCR, so it can be searched and copied: each
+// run is stretched to its drawn width in a font with no glyphs whose codes
+// are the UTF-16 units of the text.
+
+// A4 in points
+export const PAGE_WIDTH = 595.28;
+export const PAGE_HEIGHT = 841.89;
+
+const encoder = new TextEncoder();
+
+function jpegBytes(canvas, quality) {
+  const base64 = canvas.toDataURL('image/jpeg', quality).split(',')[1];
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// Strings in the document information dictionary, as UTF-16 hex
+function textString(value) {
+  let hex = 'FEFF';
+  for (let i = 0; i < value.length; i++) hex += value.charCodeAt(i).toString(16).padStart(4, '0');
+  return `<${hex}>`;
+}
+
+// Code units of the text layer in a hex string; characters outside the
+// Basic Multilingual Plane (emoji) are left out of it
+function glyphCodes(value) {
+  let hex = '';
+  for (let i = 0; i < value.length; i++) {
+    const unit = value.charCodeAt(i);
+    if (unit < 0xD800 || unit > 0xDFFF) hex += unit.toString(16).padStart(4, '0');
+  }
+  return hex;
+}
+
+const RTL = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+const LTR_RUN = /[A-Za-z0-9\u00C0-\u024F](?:[A-Za-z0-9\u00C0-\u024F.,:%/ -]*[A-Za-z0-9\u00C0-\u024F])?|[^]/g;
+
+// PDF text is stored in the order it is drawn, which readers undo for
+// right-to-left scripts: the run is reversed, keeping numbers and Latin words
+// inside it left to right
+function visualOrder(value) {
+  return RTL.test(value) ? value.match(LTR_RUN).reverse().join('') : value;
+}
+
+// Maps every code to the same Unicode value, in blocks of at most 100 ranges
+function identityCMap() {
+  const ranges = [];
+  for (let high = 0; high < 256; high++) {
+    if (high >= 0xD8 && high <= 0xDF) continue;
+    const prefix = high.toString(16).padStart(2, '0');
+    ranges.push(`<${prefix}00> <${prefix}ff> <${prefix}00>`);
+  }
+  const blocks = [];
+  for (let i = 0; i < ranges.length; i += 100) {
+    const block = ranges.slice(i, i + 100);
+    blocks.push(`${block.length} beginbfrange\n${block.join('\n')}\nendbfrange`);
+  }
+  return [
+    '/CIDInit /ProcSet findresource begin',
+    '12 dict begin',
+    'begincmap',
+    '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+    '/CMapName /Adobe-Identity-UCS def',
+    '/CMapType 2 def',
+    '1 begincodespacerange',
+    '<0000> <ffff>',
+    'endcodespacerange',
+    ...blocks,
+    'endcmap',
+    'CMapName currentdict /CMap defineresource pop',
+    'end',
+    'end'
+  ].join('\n');
+}
+
+// Invisible text (render mode 3) over the page image. Runs are { value, x,
+// y, size, width } in points from the top left, `y` being the baseline.
+function textLayer(runs) {
+  const operators = runs.flatMap(({ value, x, y, size, width }) => {
+    const codes = glyphCodes(visualOrder(value));
+    if (codes.length === 0 || !(width > 0)) return [];
+    // Every glyph advances by the font size; Tz scales the run to its width
+    const scale = width / (size * codes.length / 4) * 100;
+    return [`/F1 ${size.toFixed(2)} Tf ${scale.toFixed(2)} Tz 1 0 0 1 ${x.toFixed(2)} ${(PAGE_HEIGHT - y).toFixed(2)} Tm <${codes}> Tj`];
+  });
+  return operators.length > 0 ? `\nBT 3 Tr\n${operators.join('\n')}\nET` : '';
+}
+
+// Returns a Blob of the PDF with one page per { canvas, text }, `text` being
+// the runs drawn on the canvas (see textLayer)
+export function createPdf(pages, { title = '', quality = 0.92 } = {}) {
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const write = (chunk) => {
+    const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const object = (id, ...parts) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n`);
+    parts.forEach(write);
+    write('\nendobj\n');
+  };
+
+  // 1 catalog, 2 page tree, 3 info, 4-7 the text layer's font, then page,
+  // contents and image per page
+  const pageIds = pages.map((_, i) => 8 + i * 3);
+  write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+  object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  object(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+  object(3, `<< /Title ${textString(title)} /Producer (SolarVision AI) >>`);
+  object(4, '<< /Type /Font /Subtype /Type0 /BaseFont /GlyphLessFont /Encoding /Identity-H '
+    + '/DescendantFonts [5 0 R] /ToUnicode 7 0 R >>');
+  object(5, '<< /Type /Font /Subtype /CIDFontType2 /BaseFont /GlyphLessFont '
+    + '/CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> '
+    + '/FontDescriptor 6 0 R /DW 1000 /CIDToGIDMap /Identity >>');
+  object(6, '<< /Type /FontDescriptor /FontName /GlyphLessFont /Flags 5 /FontBBox [0 -200 1000 800] '
+    + '/ItalicAngle 0 /Ascent 800 /Descent -200 /CapHeight 800 /StemV 80 >>');
+  const cmap = identityCMap();
+  object(7, `<< /Length ${cmap.length} >>\nstream\n${cmap}\nendstream`);
+
+  pages.forEach(({ canvas, text = [] }, i) => {
+    const id = pageIds[i];
+    const image = jpegBytes(canvas, quality);
+    const contents = `q ${PAGE_WIDTH} 0 0 ${PAGE_HEIGHT} 0 0 cm /Page Do Q${textLayer(text)}`;
+    object(id, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+      + `/Resources << /XObject << /Page ${id + 2} 0 R >> /Font << /F1 4 0 R >> >> /Contents ${id + 1} 0 R >>`);
+    object(id + 1, `<< /Length ${contents.length} >>\nstream\n${contents}\nendstream`);
+    object(id + 2,
+      `<< /Type /XObject /Subtype /Image /Width ${canvas.width} /Height ${canvas.height} `
+        + `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.length} >>\nstream\n`,
+      image,
+      '\nendstream');
+  });
+
+  const xref = length;
+  const count = 8 + pages.length * 3;
+  write(`xref\n0 ${count}\n0000000000 65535 f \n`);
+  for (let id = 1; id < count; id++) write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+  write(`trailer\n<< /Size ${count} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+  return new Blob(chunks, { type: 'application/pdf' });
+}
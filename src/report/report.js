@@ -0,0 +1,560 @@
+import { PAGE_HEIGHT, PAGE_WIDTH, createPdf } from './pdf.js';
+import { createMapSnapshot } from '../map/mapSnapshot.js';
+import { obstaclesToGeoJSON, roofsToGeoJSON } from '../map/roofLayers.js';
+import { layoutToGeoJSON } from '../geometry/layout.js';
+import { compassDirection } from '../geometry/roof.js';
+import { TRANSPOSITION_MODELS } from '../solar/transposition.js';
+import { TEMPERATURE_MODELS } from '../solar/temperature.js';
+import { LOSS_CATEGORIES } from '../solar/losses.js';
+import { compareFinancing } from '../analysis/financing.js';
+import { formatLoadSource, formatPercent, formatStringDesign, formatWeatherSource, formatYears } from '../i18n/format.js';
+
+// The customer proposal: a cover page with the site map and headline figures,
+// the analysis section by section with charts and tables, and an appendix of
+// the assumptions behind it. Pages are drawn on canvases in points at
+// SCALE pixels per point and written out by createPdf with the text drawn on
+// each, which it lays over the page to be searched and copied.
+
+const SCALE = 2;
+const MARGIN = 48;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const FOOTER_HEIGHT = 28;
+const FONT = 'Inter, system-ui, "Segoe UI", "Noto Sans", "Noto Naskh Arabic", sans-serif';
+const CO2_PER_KWH = 0.4;
+const CO2_PER_TREE = 22;
+
+const COLORS = {
+  text: '#1F2937',
+  muted: '#6B7280',
+  accent: '#6D28D9',
+  accentLight: '#EDE9FE',
+  rule: '#E5E7EB',
+  production: '#F59E0B',
+  consumption: '#9CA3AF',
+  before: '#9CA3AF',
+  after: '#10B981',
+  loss: '#EF4444'
+};
+
+function niceCeiling(value) {
+  if (!(value > 0)) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  return [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(m => m >= value);
+}
+
+// Lays content out top to bottom, starting new pages as it fills them.
+// Horizontal positions are offsets from the start margin, mirrored when the
+// language is written right to left.
+function createPageWriter(dir) {
+  const rtl = dir === 'rtl';
+  const pages = [];
+  const texts = [];
+  let ctx = null;
+  let y = 0;
+
+  const x = (offset, width = 0) => rtl ? PAGE_WIDTH - MARGIN - offset - width : MARGIN + offset;
+  const font = (size, weight = 400) => `${weight} ${size}px ${FONT}`;
+
+  const newPage = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(PAGE_WIDTH * SCALE);
+    canvas.height = Math.round(PAGE_HEIGHT * SCALE);
+    ctx = canvas.getContext('2d');
+    ctx.scale(SCALE, SCALE);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, PAGE_WIDTH, PAGE_HEIGHT);
+    ctx.direction = dir;
+    ctx.textBaseline = 'alphabetic';
+    pages.push(canvas);
+    texts.push([]);
+    y = MARGIN;
+  };
+
+  // Draws a run at `anchor` with the context's font and alignment and notes
+  // where it landed on page `index`
+  const fillText = (context, index, value, anchor, baseline, size) => {
+    context.fillText(value, anchor, baseline);
+    const width = context.measureText(value).width;
+    const shift = context.textAlign === 'center' ? 0.5 : (context.textAlign === 'end') !== rtl ? 1 : 0;
+    texts[index].push({ value, x: anchor - shift * width, y: baseline, size, width });
+  };
+
+  const ensure = (height) => {
+    if (!ctx || y + height > PAGE_HEIGHT - MARGIN - FOOTER_HEIGHT) newPage();
+  };
+
+  const drawText = (value, offset, baseline, { size = 10, weight = 400, color = COLORS.text, align = 'start' } = {}) => {
+    ctx.font = font(size, weight);
+    ctx.fillStyle = color;
+    ctx.textAlign = align;
+    fillText(ctx, pages.length - 1, value, x(offset), baseline, size);
+  };
+
+  const wrap = (value, width, size, weight) => {
+    ctx.font = font(size, weight);
+    const lines = [];
+    let line = '';
+    value.split(' ').forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(candidate).width > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+    return lines;
+  };
+
+  const paragraph = (value, { size = 10, weight = 400, color = COLORS.text, indent = 0, gap = 3 } = {}) => {
+    ensure(size * 1.5);
+    wrap(value, CONTENT_WIDTH - indent, size, weight).forEach(line => {
+      ensure(size * 1.5);
+      y += size * 1.2;
+      drawText(line, indent, y, { size, weight, color });
+      y += size * 0.3;
+    });
+    y += gap;
+  };
+
+  const heading = (value) => {
+    ensure(60);
+    y += 14;
+    drawText(value, 0, y + 12, { size: 13, weight: 700, color: COLORS.accent });
+    y += 18;
+    ctx.fillStyle = COLORS.accentLight;
+    ctx.fillRect(x(0, CONTENT_WIDTH), y, CONTENT_WIDTH, 1.5);
+    y += 8;
+  };
+
+  const spacer = (height) => {
+    y += height;
+  };
+
+  // `columns` are { label, width } with widths as shares of the content
+  // width; the first column is aligned to the start, the others to the end
+  const table = (columns, rows, { size = 8 } = {}) => {
+    const rowHeight = size * 1.9;
+    const widths = columns.map(column => column.width * CONTENT_WIDTH);
+    const starts = widths.map((_, i) => widths.slice(0, i).reduce((sum, w) => sum + w, 0));
+    const drawRow = (cells, weight, shaded) => {
+      if (shaded) {
+        ctx.fillStyle = shaded;
+        ctx.fillRect(x(0, CONTENT_WIDTH), y, CONTENT_WIDTH, rowHeight);
+      }
+      cells.forEach((cell, i) => {
+        const align = i === 0 ? 'start' : 'end';
+        const anchor = i === 0 ? starts[i] + 4 : starts[i] + widths[i] - 4;
+        drawText(String(cell), anchor, y + rowHeight * 0.68, { size, weight, align });
+      });
+      y += rowHeight;
+    };
+    const header = () => drawRow(columns.map(column => column.label), 700, COLORS.accentLight);
+
+    ensure(rowHeight * 3);
+    header();
+    rows.forEach((cells, index) => {
+      if (y + rowHeight > PAGE_HEIGHT - MARGIN - FOOTER_HEIGHT) {
+        newPage();
+        header();
+      }
+      drawRow(cells, 400, index % 2 === 1 ? '#F9FAFB' : null);
+    });
+    y += 8;
+  };
+
+  // Grouped monthly bars; `series` are { label, values, color }
+  const barChart = ({ title, labels, series, formatValue, height = 170 }) => {
+    ensure(height + 40);
+    drawText(title, 0, y + 12, { size: 10, weight: 600 });
+    y += 22;
+
+    const axisWidth = 48;
+    const plotWidth = CONTENT_WIDTH - axisWidth;
+    const plotHeight = height - 34;
+    const top = y;
+    const max = niceCeiling(Math.max(...series.flatMap(s => s.values)));
+
+    for (let step = 0; step <= 4; step++) {
+      const lineY = top + plotHeight - plotHeight * step / 4;
+      ctx.fillStyle = COLORS.rule;
+      ctx.fillRect(x(axisWidth, plotWidth), lineY, plotWidth, 0.5);
+      drawText(formatValue(max * step / 4), axisWidth - 6, lineY + 3, { size: 7, color: COLORS.muted, align: 'end' });
+    }
+
+    const slot = plotWidth / labels.length;
+    const barWidth = slot * 0.7 / series.length;
+    labels.forEach((label, i) => {
+      series.forEach((s, j) => {
+        const barHeight = plotHeight * Math.max(0, s.values[i]) / max;
+        ctx.fillStyle = s.color;
+        ctx.fillRect(x(axisWidth + slot * i + slot * 0.15 + barWidth * j, barWidth), top + plotHeight - barHeight, barWidth, barHeight);
+      });
+      drawText(label, axisWidth + slot * (i + 0.5), top + plotHeight + 11, { size: 7, color: COLORS.muted, align: 'center' });
+    });
+
+    let legend = axisWidth;
+    const legendY = top + plotHeight + 26;
+    series.forEach(s => {
+      ctx.fillStyle = s.color;
+      ctx.fillRect(x(legend, 8), legendY - 7, 8, 8);
+      drawText(s.label, legend + 12, legendY, { size: 8, color: COLORS.muted });
+      ctx.font = font(8);
+      legend += ctx.measureText(s.label).width + 28;
+    });
+    y = top + height + 6;
+  };
+
+  // One labelled horizontal bar per row, scaled to the largest value
+  const barList = (rows, { color, labelWidth = 170 }) => {
+    const rowHeight = 16;
+    const barSpace = CONTENT_WIDTH - labelWidth - 90;
+    const max = Math.max(...rows.map(row => row.value), 1e-9);
+    rows.forEach(row => {
+      ensure(rowHeight);
+      drawText(row.label, 0, y + 11, { size: 9 });
+      const width = barSpace * row.value / max;
+      ctx.fillStyle = color;
+      ctx.fillRect(x(labelWidth, width), y + 3, width, rowHeight - 6);
+      drawText(row.text, CONTENT_WIDTH, y + 11, { size: 9, color: COLORS.muted, align: 'end' });
+      y += rowHeight;
+    });
+    y += 6;
+  };
+
+  const image = (canvas, height) => {
+    ensure(height);
+    ctx.drawImage(canvas, x(0, CONTENT_WIDTH), y, CONTENT_WIDTH, height);
+    y += height + 6;
+  };
+
+  // Coloured squares with labels on one line
+  const legend = (items) => {
+    ensure(16);
+    let offset = 0;
+    items.forEach(item => {
+      ctx.fillStyle = item.color;
+      ctx.fillRect(x(offset, 8), y + 3, 8, 8);
+      drawText(item.label, offset + 12, y + 10, { size: 8, color: COLORS.muted });
+      ctx.font = font(8);
+      offset += ctx.measureText(item.label).width + 28;
+    });
+    y += 18;
+  };
+
+  // Headline figures in a row of boxes
+  const tiles = (items) => {
+    const gap = 10;
+    const width = (CONTENT_WIDTH - gap * (items.length - 1)) / items.length;
+    const height = 58;
+    ensure(height);
+    items.forEach((item, i) => {
+      const offset = i * (width + gap);
+      ctx.fillStyle = COLORS.accentLight;
+      ctx.fillRect(x(offset, width), y, width, height);
+      drawText(item.label, offset + 8, y + 18, { size: 8, color: COLORS.muted });
+      drawText(item.value, offset + 8, y + 42, { size: 14, weight: 700, color: COLORS.accent });
+    });
+    y += height + 12;
+  };
+
+  // The cover's title band
+  const banner = (title, subtitle) => {
+    newPage();
+    ctx.fillStyle = COLORS.accent;
+    ctx.fillRect(0, 0, PAGE_WIDTH, 120);
+    drawText(title, 0, 62, { size: 22, weight: 700, color: '#FFFFFF' });
+    drawText(subtitle, 0, 88, { size: 11, color: '#DDD6FE' });
+    y = 150;
+  };
+
+  const finish = (footer) => {
+    pages.forEach((canvas, i) => {
+      const page = canvas.getContext('2d');
+      page.font = font(8);
+      page.fillStyle = COLORS.muted;
+      page.direction = dir;
+      page.textAlign = 'start';
+      fillText(page, i, footer.text, x(0), PAGE_HEIGHT - MARGIN / 2, 8);
+      page.textAlign = 'end';
+      fillText(page, i, footer.page(i + 1, pages.length), x(CONTENT_WIDTH), PAGE_HEIGHT - MARGIN / 2, 8);
+    });
+    return pages.map((canvas, i) => ({ canvas, text: texts[i] }));
+  };
+
+  return { newPage, heading, paragraph, spacer, table, barChart, barList, image, legend, tiles, banner, finish };
+}
+
+// `data` is the analysis shown in the results, `location` its centroid,
+// `roofs` and `obstacles` the outlines on the map and `settings` the inputs
+// the analysis ran with. Resolves to a PDF Blob.
+export async function createReport({ data, location, roofs, obstacles, settings, units, i18n, token }) {
+  const { t } = i18n;
+  const n = i18n.number;
+  const direction = (azimuth) => t(`compass.${compassDirection(azimuth)}`);
+  const { incentives, financial, projection, energy, bill } = data;
+
+  const snapshot = await createMapSnapshot({
+    token,
+    roofs: roofsToGeoJSON(roofs),
+    panels: layoutToGeoJSON(data.layouts),
+    obstacles: obstaclesToGeoJSON(obstacles)
+  });
+
+  const doc = createPageWriter(i18n.dir);
+
+  // Cover
+  doc.banner(t('report.title'), t('report.generatedBy'));
+  doc.paragraph(t('report.coordinates', { lat: location.lat.toFixed(6), lng: location.lng.toFixed(6) }));
+  doc.paragraph(t('report.date', { date: i18n.date(new Date()) }), { gap: 10 });
+  doc.image(snapshot.canvas, CONTENT_WIDTH * snapshot.canvas.height / snapshot.canvas.width);
+  doc.legend([
+    { color: '#8B5CF6', label: t('report.legendRoof') },
+    { color: '#1E3A8A', label: t('report.legendModules') },
+    ...(obstacles.length > 0 ? [{ color: '#EF4444', label: t('report.legendObstacles') }] : [])
+  ]);
+  if (!snapshot.imagery) doc.paragraph(t('report.mapUnavailable'), { size: 8, color: COLORS.muted });
+  doc.spacer(10);
+  doc.tiles([
+    { label: t('results.systemCapacity'), value: t('unit.kw', { value: data.systemSize }) },
+    { label: t('results.annualProduction'), value: t('unit.kwh', { value: data.annualProduction }) },
+    { label: t('finance.payback'), value: formatYears(data.paybackPeriod, projection.lifetime, t) },
+    { label: t('performance.lifetimeSavings', { count: projection.lifetime }), value: units.money(projection.totalSavings) }
+  ]);
+  doc.tiles([
+    { label: t('report.savingsTile'), value: units.money(bill.savings) },
+    { label: t('finance.netCost'), value: units.money(incentives.netCost) },
+    { label: t('finance.irr'), value: formatPercent(financial.irr, t) },
+    { label: t('energy.solarFraction'), value: t('format.percent', { value: energy.solarFraction }) }
+  ]);
+
+  // System
+  doc.newPage();
+  doc.heading(t('report.system'));
+  doc.paragraph(t('report.systemSize', { size: data.systemSize }));
+  doc.paragraph(t('report.moduleCount', { count: data.moduleCount, wattage: data.moduleWattage, orientation: t(`orientation.${data.moduleOrientation}`) }));
+  doc.paragraph(t('report.module', { name: data.module.name, efficiency: data.module.efficiency }));
+  doc.paragraph(t('report.inverter', { count: data.inverter.count, name: data.inverter.name }));
+  doc.paragraph(t('report.acCapacity', { capacity: data.acCapacity, ratio: data.dcAcRatio }));
+  doc.paragraph(t('report.stringing', { design: formatStringDesign(data.stringDesign, t) }));
+  doc.paragraph(t('report.irradiance', { value: data.annualSolarIrradiance }));
+  doc.paragraph(t('report.specificYield', { value: data.specificYield }));
+
+  doc.heading(t('report.roof'));
+  doc.paragraph(t('report.roofArea', { area: units.area(data.roofArea) }));
+  doc.paragraph(t('report.obstacles', { count: data.obstacleCount, area: units.area(data.obstacleArea) }));
+  doc.paragraph(t('report.moduleArea', { area: units.area(data.usableArea) }));
+  doc.paragraph(t('report.utilization', { percent: Math.round((data.usableArea / data.roofArea) * 100) }));
+
+  doc.heading(t('report.faces', { model: TRANSPOSITION_MODELS.find(m => m.id === data.transpositionModel).name }));
+  data.faces.forEach(face => {
+    doc.paragraph(t('report.face', { name: face.name, tilt: face.tilt, azimuth: face.azimuth, direction: direction(face.azimuth), area: units.area(face.roofArea), count: face.moduleCount, size: face.systemSize }), { weight: 600, gap: 0 });
+    doc.paragraph(t('report.faceIrradiance', { value: face.annualIrradiance }), { indent: 12, gap: 0 });
+    doc.paragraph(t('report.faceProduction', { kwh: face.annualProduction, yield: face.specificYield }), { indent: 12, gap: data.buildingCount > 0 ? 0 : 6 });
+    if (data.buildingCount > 0) doc.paragraph(t('report.faceShading', { loss: face.annualShadeLoss, skyView: face.skyViewFactor }), { indent: 12, gap: 6 });
+  });
+
+  if (data.buildingCount > 0) {
+    doc.heading(t('report.nearShading', { count: data.buildingCount }));
+    doc.paragraph(t('report.annualShadeLoss', { percent: data.annualShadeLoss }));
+    doc.barList(i18n.months.map((month, i) => ({
+      label: month,
+      value: data.monthlyShadeLoss[i],
+      text: t('format.percent', { value: data.monthlyShadeLoss[i] })
+    })), { color: COLORS.consumption, labelWidth: 60 });
+  }
+
+  // Production
+  doc.heading(t('report.production'));
+  doc.paragraph(t('report.annualProduction', { kwh: data.annualProduction }));
+  doc.paragraph(t('report.monthlyAverage', { kwh: Math.round(data.annualProduction / 12) }));
+  doc.paragraph(t('report.dailyAverage', { kwh: Math.round(data.annualProduction / 365) }));
+  doc.barChart({
+    title: t('report.productionChart'),
+    labels: i18n.months,
+    series: [
+      { label: t('projection.production'), values: data.monthlyProduction, color: COLORS.production },
+      { label: t('energy.consumption'), values: energy.monthlyConsumption, color: COLORS.consumption }
+    ],
+    formatValue: (value) => n(value)
+  });
+
+  doc.heading(t('report.energy', { source: formatLoadSource(energy, t) }));
+  doc.paragraph(t('report.consumption', { kwh: energy.consumption }));
+  doc.paragraph(t('report.selfConsumed', { kwh: energy.selfConsumed }));
+  doc.paragraph(t('report.gridImport', { kwh: energy.imported }));
+  doc.paragraph(t('report.gridExport', { kwh: energy.exported }));
+  doc.paragraph(t('report.selfConsumption', { percent: energy.selfConsumption }));
+  doc.paragraph(t('report.solarFraction', { percent: energy.solarFraction }));
+
+  if (data.battery) {
+    const { battery } = data;
+    doc.heading(t('report.battery', { strategy: t(`strategy.${battery.strategy}`) }));
+    doc.paragraph(t('report.batteryCapacity', { capacity: battery.capacity, usable: battery.usable, power: battery.power }));
+    doc.paragraph(t('report.batteryCost', { amount: units.money(battery.cost) }));
+    doc.paragraph(t('report.batterySelfConsumption', { before: battery.selfConsumptionBefore, after: battery.selfConsumptionAfter }));
+    doc.paragraph(t('report.batterySavings', { amount: units.money(battery.extraSavings) }));
+    doc.paragraph(t('report.batteryDelivered', { kwh: battery.delivered, losses: battery.losses }));
+    doc.paragraph(t('report.batteryCycles', { count: battery.cycles }));
+    doc.paragraph(t('report.batteryBackup', { load: battery.criticalLoad, average: battery.averageBackupHours, minimum: battery.minimumBackupHours }));
+  }
+
+  // Savings
+  doc.heading(t('report.bill', { tariff: `${data.tariff.name}${data.tariff.utility ? `, ${data.tariff.utility}` : ''}` }));
+  doc.paragraph(t('report.billBefore', { amount: units.money(bill.before) }));
+  doc.paragraph(t('report.billAfter', { amount: units.money(bill.after) }));
+  doc.paragraph(t('report.annualSavings', { amount: units.money(bill.savings) }));
+  doc.paragraph(t('report.valueOfSolar', { price: units.price(bill.valuePerKwh) }));
+  doc.barChart({
+    title: t('report.billChart', { currency: units.currency }),
+    labels: i18n.months,
+    series: [
+      { label: t('report.withoutSolar'), values: bill.monthlyBefore, color: COLORS.before },
+      { label: t('report.withSolar'), values: bill.monthlyAfter, color: COLORS.after }
+    ],
+    formatValue: (value) => units.amount(value)
+  });
+
+  // Losses
+  doc.heading(t('report.losses', { preset: t(`lossPreset.${data.lossPreset}`) }));
+  doc.paragraph(t('report.nominalDc', { kwh: data.nominalEnergy }));
+  doc.barList(data.losses.filter(step => step.loss > 0).map(step => ({
+    label: t(`loss.${step.id}`),
+    value: step.loss,
+    text: t('results.lossStep', { kwh: step.loss, percent: step.percent })
+  })), { color: COLORS.loss });
+  doc.paragraph(t('report.acEnergy', { kwh: data.annualProduction, percent: data.totalLoss }), { weight: 600 });
+  if (data.temperatureModelled) {
+    doc.paragraph(`${t('report.cellTemperature', { model: TEMPERATURE_MODELS.find(m => m.id === data.temperatureModel).name, temperature: data.averageCellTemperature })}${data.temperatureEstimated ? ` ${t('report.ambientEstimated')}` : ''}`, { size: 9, color: COLORS.muted });
+  }
+
+  // Incentives and finance
+  doc.heading(t('report.incentives', { region: incentives.region
+    ? t(incentives.detected ? 'report.regionDetected' : 'report.region', { name: incentives.region.name })
+    : t('report.noRegion') }));
+  if (incentives.programs.length > 0) {
+    incentives.programs.forEach(program => doc.paragraph(`• ${t(program.recurring ? 'report.programRecurring' : 'report.program', {
+      name: program.name,
+      type: t(`incentive.${program.type}`),
+      firstYear: units.money(program.firstYear),
+      total: units.money(program.total)
+    })}`));
+  } else {
+    doc.paragraph(t('report.noPrograms'));
+  }
+  doc.paragraph(t('report.totalIncentives', { amount: units.money(incentives.total) }));
+  doc.paragraph(t('report.netCost', { amount: units.money(incentives.netCost) }));
+
+  doc.heading(t('report.financial'));
+  doc.paragraph(t('report.installedCost', { amount: units.money(financial.capex), perWatt: units.price(financial.costPerWatt) }));
+  if (financial.costMode === 'itemised') {
+    financial.costItems.forEach(item => doc.paragraph(`• ${item.name}: ${units.money(item.cost)}`, { indent: 12, gap: 0 }));
+    doc.spacer(3);
+  }
+  doc.paragraph(t('report.monthlySavings', { amount: units.money(data.monthlySavings) }));
+  doc.paragraph(t('report.npv', { amount: units.money(financial.npv), rate: financial.discountRate }));
+  doc.paragraph(t('report.irr', { value: formatPercent(financial.irr, t) }));
+  doc.paragraph(t('report.lcoe', { price: units.price(financial.lcoe) }));
+  doc.paragraph(t('report.payback', { period: formatYears(data.paybackPeriod, projection.lifetime, t) }));
+  doc.paragraph(t('report.discountedPayback', { period: formatYears(financial.discountedPayback, projection.lifetime, t) }));
+
+  const financingOptions = compareFinancing(data, settings.financing);
+  const loanPayoff = financingOptions.find(option => option.id === 'loan').payoff;
+  doc.heading(t('report.financing', { bill: units.money(bill.before / 12) }));
+  doc.table([
+    { label: t('financing.option'), width: 0.2 },
+    { label: t('financing.upfront'), width: 0.2 },
+    { label: t('financing.monthlyCost'), width: 0.2 },
+    { label: t('financing.lifetimeSavings'), width: 0.2 },
+    { label: t('financing.npv'), width: 0.2 }
+  ], financingOptions.map(option => [
+    t(`financing.${option.id}`),
+    units.money(option.upfront),
+    units.money(option.monthlyCost),
+    units.money(option.lifetimeSavings),
+    units.money(option.npv)
+  ]), { size: 9 });
+  if (loanPayoff > 0) doc.paragraph(t('financing.payoff', { amount: units.money(loanPayoff) }));
+
+  doc.heading(t('report.cashFlow', { currency: units.currency }));
+  doc.table([
+    { label: t('cashFlow.year'), width: 0.1 },
+    { label: t('cashFlow.energyValue'), width: 0.16 },
+    { label: t('cashFlow.incentives'), width: 0.14 },
+    { label: t('cashFlow.costs'), width: 0.14 },
+    { label: t('cashFlow.net'), width: 0.14 },
+    { label: t('cashFlow.cumulative'), width: 0.16 },
+    { label: t('cashFlow.discounted'), width: 0.16 }
+  ], financial.cashFlow.map(row => [
+    String(row.year),
+    units.amount(row.energyValue),
+    units.amount(row.incentives),
+    units.amount(row.capex + row.operatingCost + row.replacement),
+    units.amount(row.net),
+    units.amount(row.cumulative),
+    units.amount(row.cumulativeDiscounted)
+  ]));
+
+  doc.heading(t('report.projection', { count: projection.lifetime }));
+  doc.paragraph(t('report.lifetimeProduction', { kwh: projection.totalProduction }));
+  doc.paragraph(t('report.lifetimeSavings', { amount: units.money(projection.totalSavings) }));
+  doc.paragraph(t('report.finalCapacity', { percent: projection.finalCapacity }));
+
+  doc.heading(t('report.environment'));
+  doc.paragraph(t('report.co2', { mass: units.mass(data.co2Savings) }));
+  doc.paragraph(t('report.trees', { count: Math.round(data.co2Savings / CO2_PER_TREE) }));
+  doc.paragraph(t('report.footprint', { tons: units.tons(data.co2Savings) }));
+
+  doc.heading(t('report.recommendations'));
+  doc.paragraph(`• ${t('report.recommendInstall', { size: data.systemSize })}`);
+  doc.paragraph(`• ${t('report.recommendIrr', { irr: formatPercent(financial.irr, t), count: projection.lifetime })}`);
+  data.faces.forEach(face => doc.paragraph(`• ${t('report.recommendFace', { name: face.name, tilt: face.tilt, direction: direction(face.azimuth), azimuth: face.azimuth })}`));
+  doc.paragraph(`• ${data.battery
+    ? t('report.recommendBattery', { capacity: data.battery.capacity, amount: units.money(data.battery.extraSavings) })
+    : t('report.recommendStorage', { kwh: energy.exported })}`);
+
+  // Appendix
+  const { loan, lease, ppa } = settings.financing;
+  doc.newPage();
+  doc.heading(t('report.appendix'));
+  doc.paragraph(t('report.weatherSource', { source: formatWeatherSource(data.weatherSource, units, t) }));
+  doc.paragraph(t('report.timeZone', { zone: data.timeZone }));
+  doc.paragraph(t('report.transposition', { model: TRANSPOSITION_MODELS.find(m => m.id === data.transpositionModel).name }));
+  doc.paragraph(t('report.temperatureModel', { model: TEMPERATURE_MODELS.find(m => m.id === data.temperatureModel).name }));
+  doc.paragraph(t('report.lossInputs', { preset: t(`lossPreset.${data.lossPreset}`) }), { weight: 600, gap: 0 });
+  LOSS_CATEGORIES.forEach(category => {
+    const value = settings.losses[category.id];
+    const name = t(`loss.${category.id}`);
+    doc.paragraph(typeof value === 'number' ? t('report.lossInput', { name, percent: value }) : t('report.lossModelled', { name }), { indent: 12, gap: 0 });
+  });
+  doc.spacer(3);
+  doc.paragraph(t('report.loadBasis', { source: formatLoadSource(energy, t) }));
+  doc.paragraph(t('report.bill', { tariff: `${data.tariff.name}${data.tariff.utility ? `, ${data.tariff.utility}` : ''}` }));
+  doc.paragraph(t('report.exportRule', { rule: t(`export.${data.tariff.exportType}`) }));
+  doc.paragraph(t('report.escalation', { rate: projection.rateEscalation }));
+  doc.paragraph(t('report.degradation', { first: projection.firstYearDegradation, annual: projection.annualDegradation }));
+  doc.paragraph(t('report.period', { count: projection.lifetime }));
+  if (settings.inverterReplacementYear) {
+    doc.paragraph(t('report.replacement', { year: String(settings.inverterReplacementYear), price: units.price(settings.inverterReplacementCost) }));
+  }
+  doc.paragraph(financial.costMode === 'itemised'
+    ? t('report.costItemised')
+    : t('report.costBasis', { price: units.price(settings.installedCostPerWatt) }));
+  doc.paragraph(t('report.operatingCosts', { om: units.price(financial.omCost), insurance: financial.insurance }));
+  doc.paragraph(t('report.discountRate', { rate: financial.discountRate }));
+  doc.paragraph(t('report.installYear', { year: String(incentives.installYear) }));
+  doc.paragraph(t('report.loanTerms', { count: loan.term, rate: loan.rate, downPayment: loan.downPayment }));
+  doc.paragraph(t('report.leaseTerms', { payment: units.price(lease.monthlyPayment), escalator: lease.escalator }));
+  doc.paragraph(t('report.ppaTerms', { price: units.price(ppa.price), escalator: ppa.escalator }));
+  if (units.currency !== 'USD') doc.paragraph(t('report.currency', { currency: units.currency, rate: units.toCurrency(1) }));
+  doc.paragraph(t('report.emissionFactor', { factor: CO2_PER_KWH, tree: CO2_PER_TREE }));
+  doc.spacer(10);
+  doc.paragraph(t('report.disclaimer'), { size: 8, color: COLORS.muted });
+
+  const pages = doc.finish({
+    text: `${t('report.footer')} • ${t('app.tagline')}`,
+    page: (page, count) => t('report.page', { page, count })
+  });
+  return createPdf(pages, { title: t('report.title') });
+}
@@ -0,0 +1,150 @@
+import { createLocalProjection, ringCentroid } from '../geometry/geodesy.js';
+import { pointInPolygon, edges } from '../geometry/planar.js';
+
+// Near-shading from surrounding buildings. Each roof face gets a horizon
+// profile (obstruction elevation per azimuth) at a few sample points; the
+// beam component is shaded at a sample whenever the sun is below its
+// horizon, and sky diffuse is reduced by the share of the sky dome hidden.
+
+const DEG = Math.PI / 180;
+export const HORIZON_STEP = 2;
+const HORIZON_BINS = 360 / HORIZON_STEP;
+const DEFAULT_RADIUS = 300;
+const METRES_PER_LEVEL = 3;
+const MAX_EDGE_SAMPLES = 2000;
+
+function buildingHeight(properties = {}) {
+  const height = parseFloat(properties.height ?? properties.render_height);
+  if (!isNaN(height)) return height;
+  const levels = parseFloat(properties['building:levels'] ?? properties.levels);
+  return isNaN(levels) ? null : levels * METRES_PER_LEVEL;
+}
+
+// Building footprints from GeoJSON features (Polygon or MultiPolygon) with a
+// height in metres from `height`/`render_height`, or `levels` × 3 m.
+// Features without a usable height are skipped.
+export function buildingsFromFeatures(features) {
+  const buildings = [];
+  features.forEach((feature, index) => {
+    const { geometry, properties } = feature;
+    if (!geometry) return;
+    const height = buildingHeight(properties || {});
+    if (height === null || height <= 0) return;
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+      : geometry.type === 'MultiPolygon' ? geometry.coordinates
+        : [];
+    polygons.forEach(rings => {
+      const outer = rings[0].slice(0, -1);
+      if (outer.length < 3) return;
+      buildings.push({
+        id: feature.id ?? `building_${index}`,
+        coordinates: outer,
+        height
+      });
+    });
+  });
+  return buildings;
+}
+
+export function parseBuildingsGeoJSON(text) {
+  const data = JSON.parse(text);
+  const features = data.type === 'FeatureCollection' ? data.features
+    : data.type === 'Feature' ? [data]
+      : [];
+  const buildings = buildingsFromFeatures(features);
+  if (buildings.length === 0) {
+    throw new Error('No building footprints with a height were found in this file.');
+  }
+  return buildings;
+}
+
+// Height of the building a point stands on, if any (the roof's own building)
+export function buildingHeightAt(point, buildings) {
+  const projection = createLocalProjection({ lng: point[0], lat: point[1] });
+  const building = buildings.find(b => pointInPolygon([0, 0], b.coordinates.map(projection.forward)));
+  return building ? building.height : null;
+}
+
+// Obstruction elevation angle (degrees) for each HORIZON_STEP azimuth bin,
+// seen from `point` [lng, lat] at `observerHeight` metres above ground
+export function computeHorizon(point, observerHeight, buildings, { radius = DEFAULT_RADIUS } = {}) {
+  const horizon = new Float64Array(HORIZON_BINS);
+  const projection = createLocalProjection({ lng: point[0], lat: point[1] });
+
+  for (const building of buildings) {
+    const rise = building.height - observerHeight;
+    if (rise <= 0) continue;
+    const footprint = building.coordinates.map(projection.forward);
+    if (pointInPolygon([0, 0], footprint)) continue;
+
+    for (const [a, b] of edges(footprint)) {
+      const dx = b[0] - a[0];
+      const dy = b[1] - a[1];
+      const length = Math.hypot(dx, dy);
+      const t0 = length === 0 ? 0 : Math.max(0, Math.min(1, -(a[0] * dx + a[1] * dy) / (length * length)));
+      const nearest = Math.hypot(a[0] + t0 * dx, a[1] + t0 * dy);
+      if (nearest > radius) continue;
+      // Sample densely enough that neighbouring samples are < 1 bin apart
+      const spacing = Math.max(0.25, nearest * HORIZON_STEP * DEG / 2);
+      const samples = Math.max(1, Math.min(MAX_EDGE_SAMPLES, Math.ceil(length / spacing)));
+      for (let s = 0; s <= samples; s++) {
+        const t = s / samples;
+        const x = a[0] + t * dx;
+        const y = a[1] + t * dy;
+        const distance = Math.hypot(x, y);
+        if (distance > radius || distance < 0.1) continue;
+        const azimuth = (Math.atan2(x, y) / DEG + 360) % 360;
+        const elevation = Math.atan2(rise, distance) / DEG;
+        const bin = Math.round(azimuth / HORIZON_STEP) % HORIZON_BINS;
+        if (elevation > horizon[bin]) horizon[bin] = elevation;
+      }
+    }
+  }
+  return horizon;
+}
+
+export function horizonElevation(horizon, azimuth) {
+  const position = ((azimuth % 360) + 360) % 360 / HORIZON_STEP;
+  const i = Math.floor(position) % HORIZON_BINS;
+  const t = position - Math.floor(position);
+  return horizon[i] * (1 - t) + horizon[(i + 1) % HORIZON_BINS] * t;
+}
+
+// Fraction of the isotropic sky dome left visible above a horizon
+export function skyViewFactor(horizon) {
+  let blocked = 0;
+  for (const elevation of horizon) blocked += Math.sin(elevation * DEG) ** 2;
+  return 1 - blocked / horizon.length;
+}
+
+// Centroid plus points halfway to each corner, so partial shading of a face
+// shows up as a fraction rather than all-or-nothing
+export function roofSamplePoints(roof) {
+  const { lng, lat } = ringCentroid(roof.coordinates);
+  return [[lng, lat], ...roof.coordinates.map(([x, y]) => [(x + lng) / 2, (y + lat) / 2])];
+}
+
+// Shading mask for one roof face: beamShade(elevation, azimuth) gives the
+// shaded fraction of the face, diffuseFactor the retained sky diffuse
+export function createShadingMask(roof, buildings, options = {}) {
+  const points = roofSamplePoints(roof);
+  const observerHeight = typeof roof.height === 'number'
+    ? roof.height
+    : buildingHeightAt(points[0], buildings) ?? 0;
+  const horizons = points.map(point => computeHorizon(point, observerHeight, buildings, options));
+  const diffuseFactor = horizons.reduce((sum, h) => sum + skyViewFactor(h), 0) / horizons.length;
+
+  return {
+    observerHeight,
+    horizons,
+    diffuseFactor,
+    beamShade(elevation, azimuth) {
+      if (elevation <= 0) return 0;
+      let shaded = 0;
+      for (const horizon of horizons) {
+        if (elevation < horizonElevation(horizon, azimuth)) shaded++;
+      }
+      return shaded / horizons.length;
+    }
+  };
+}
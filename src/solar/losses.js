@@ -0,0 +1,95 @@
+// Itemised system losses. Editable categories are percentages applied in
+// sequence at the stage where they occur; near shading, temperature and
+// the inverter are modelled hour by hour and slot into the same sequence.
+
+export const LOSS_CATEGORIES = [
+  { id: 'shading', name: 'Shading (unmodelled)', stage: 'irradiance', hint: 'Trees, parapets and other shade not in the 3D model' },
+  { id: 'soiling', name: 'Soiling', stage: 'irradiance', hint: 'Dust, pollen and bird droppings' },
+  { id: 'snow', name: 'Snow', stage: 'irradiance', hint: 'Annual share of output lost to snow cover' },
+  { id: 'temperature', name: 'Temperature', stage: 'dc', hint: 'Leave blank to use the cell temperature model' },
+  { id: 'lid', name: 'Light-induced degradation', stage: 'dc', hint: 'First-year LID/LeTID' },
+  { id: 'nameplate', name: 'Nameplate rating', stage: 'dc', hint: 'Modules below their rated power' },
+  { id: 'mismatch', name: 'Mismatch', stage: 'dc', hint: 'Module-to-module spread within strings' },
+  { id: 'dcWiring', name: 'DC wiring', stage: 'dc', hint: 'Resistive loss in DC cabling' },
+  { id: 'connections', name: 'Connections', stage: 'dc', hint: 'Connectors and terminations' },
+  { id: 'acWiring', name: 'AC wiring', stage: 'ac', hint: 'Inverter to point of connection' },
+  { id: 'availability', name: 'Availability', stage: 'ac', hint: 'Downtime for faults, grid outages and maintenance' }
+];
+
+// Steps computed by the simulation rather than entered
+export const MODELLED_STEPS = {
+  nearShading: 'Near shading (3D)',
+  temperature: 'Temperature',
+  inverter: 'Inverter efficiency',
+  clipping: 'Inverter clipping'
+};
+
+export const LOSS_PRESETS = [
+  {
+    id: 'temperate',
+    name: 'Temperate',
+    losses: { shading: 0, soiling: 2, snow: 0.5, temperature: null, lid: 1.5, nameplate: 1, mismatch: 2, dcWiring: 2, connections: 0.5, acWiring: 1, availability: 3 }
+  },
+  {
+    id: 'hotDesert',
+    name: 'Hot desert',
+    losses: { shading: 0, soiling: 5, snow: 0, temperature: null, lid: 1.5, nameplate: 1, mismatch: 2, dcWiring: 2, connections: 0.5, acWiring: 1, availability: 2 }
+  },
+  {
+    id: 'tropical',
+    name: 'Tropical humid',
+    losses: { shading: 0, soiling: 3, snow: 0, temperature: null, lid: 1.5, nameplate: 1, mismatch: 2, dcWiring: 2, connections: 0.5, acWiring: 1, availability: 3 }
+  },
+  {
+    id: 'cold',
+    name: 'Cold / snowy',
+    losses: { shading: 0, soiling: 1.5, snow: 5, temperature: null, lid: 1.5, nameplate: 1, mismatch: 2, dcWiring: 2, connections: 0.5, acWiring: 1, availability: 3 }
+  }
+];
+
+export const DEFAULT_LOSS_PRESET = 'temperate';
+
+export function presetLosses(presetId) {
+  const preset = LOSS_PRESETS.find(p => p.id === presetId) || LOSS_PRESETS[0];
+  return { ...preset.losses };
+}
+
+// Applies the entered categories of one stage to `value` in sequence,
+// adding what each one removes to `tally`
+export function applyStageLosses(value, stage, losses, tally) {
+  let remaining = value;
+  for (const category of LOSS_CATEGORIES) {
+    if (category.stage !== stage) continue;
+    const percent = losses[category.id];
+    if (typeof percent !== 'number' || percent === 0) continue;
+    const lost = remaining * percent / 100;
+    tally[category.id] = (tally[category.id] || 0) + lost;
+    remaining -= lost;
+  }
+  return remaining;
+}
+
+// Ordered waterfall from nominal DC energy down to AC energy. Each step's
+// percent is relative to the energy entering that step.
+export function lossWaterfall(nominal, tally) {
+  const order = [
+    ['nearShading', MODELLED_STEPS.nearShading],
+    ...LOSS_CATEGORIES.filter(c => c.stage === 'irradiance').map(c => [c.id, c.name]),
+    ...LOSS_CATEGORIES.filter(c => c.stage === 'dc').map(c => [c.id, c.name]),
+    ['inverter', MODELLED_STEPS.inverter],
+    ['clipping', MODELLED_STEPS.clipping],
+    ...LOSS_CATEGORIES.filter(c => c.stage === 'ac').map(c => [c.id, c.name])
+  ];
+  let energy = nominal;
+  return order.map(([id, name]) => {
+    const lost = tally[id] || 0;
+    const step = { id, name, loss: lost, percent: energy > 0 ? lost / energy * 100 : 0, remaining: energy - lost };
+    energy -= lost;
+    return step;
+  });
+}
+
+// Overall loss from nominal DC to AC, in %
+export function totalLossPercent(nominal, ac) {
+  return nominal > 0 ? (1 - ac / nominal) * 100 : 0;
+}
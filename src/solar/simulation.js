@@ -0,0 +1,214 @@
+import { solarPosition } from './spa.js';
+import { clearSkyIndex, cloudySky, ineichenClearSky, extraterrestrialIrradiance } from './clearSky.js';
+import { planeOfArray } from './transposition.js';
+import { hoursOfYear, getLocalParts } from './timeZone.js';
+import { hourOfYear } from '../weather/parsers.js';
+import { inverterOutput, moduleEfficiency } from '../equipment/electrical.js';
+import { cellTemperature, estimateAmbientTemperature, temperatureFactor, DEFAULT_WIND_SPEED } from './temperature.js';
+import { applyStageLosses, lossWaterfall } from './losses.js';
+
+// Non-leap year with current DST rules; results do not depend on today's date
+export const REFERENCE_YEAR = 2023;
+
+export const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+export function dayOfYear(date) {
+  return Math.floor((date.getTime() - Date.UTC(date.getUTCFullYear(), 0, 1)) / 86400000) + 1;
+}
+
+// TMY records are in the station's standard time, so DST never shifts them
+function weatherRecordAt(weather, time) {
+  const standard = new Date(time.getTime() + weather.station.utcOffset * 3600000);
+  return weather.records[hourOfYear(standard.getUTCMonth() + 1, standard.getUTCDate(), standard.getUTCHours())];
+}
+
+// Hour-by-hour sun position and irradiance for a local year, from a weather
+// file when one is given and otherwise from the clear-sky model derated by
+// the typical cloud cover for the latitude and month.
+// Each step covers [time, time + 1h); the sun is sampled at mid-hour.
+// Without a weather file, ambient temperature is a latitude-based estimate.
+export function buildSolarYear({ lat, lng, altitude = 0, timeZone, year = REFERENCE_YEAR, linkeTurbidity = 3, weather = null }) {
+  return hoursOfYear(year, timeZone).map(time => {
+    const mid = new Date(time.getTime() + 1800000);
+    const local = getLocalParts(time, timeZone);
+    const record = weather ? weatherRecordAt(weather, time) : null;
+    const temperature = record ? record.temperature : estimateAmbientTemperature(lat, dayOfYear(mid), local.hour + 0.5);
+    const sun = solarPosition(mid, lat, lng, { elevation: altitude, temperature });
+    let sky;
+    if (record) {
+      sky = record;
+    } else {
+      const turbidity = Array.isArray(linkeTurbidity) ? linkeTurbidity[local.month - 1] : linkeTurbidity;
+      sky = cloudySky(ineichenClearSky(sun.zenith, dayOfYear(mid), { linkeTurbidity: turbidity, altitude }), clearSkyIndex(lat, local.month));
+    }
+    return {
+      time,
+      month: local.month,
+      day: local.day,
+      hour: local.hour,
+      weekday: local.weekday,
+      zenith: sun.zenith,
+      azimuth: sun.azimuth,
+      ghi: sky.ghi,
+      dni: sky.dni,
+      dhi: sky.dhi,
+      dniExtra: extraterrestrialIrradiance(dayOfYear(mid)),
+      temperature,
+      windSpeed: record ? record.windSpeed : DEFAULT_WIND_SPEED
+    };
+  });
+}
+
+export function monthlyTotals(hourly, key) {
+  const totals = new Array(12).fill(0);
+  for (const h of hourly) totals[h.month - 1] += h[key];
+  return totals;
+}
+
+// Runs the hourly production model for a set of roof faces, each
+// { id, name, tilt, azimuth, systemSize, mounting } with systemSize in kW DC
+// and an optional near-shading mask { beamShade(elevation, azimuth), diffuseFactor }.
+// `losses` holds the itemised loss percentages (see losses.js). With a
+// module, DC output is derated for cell temperature unless a temperature
+// loss is entered. With an inverter, the DC output of all faces is shared
+// evenly across `inverterCount` units, each applying its efficiency curve
+// and AC limit.
+export function simulateYear({
+  lat, lng, altitude, timeZone, year, linkeTurbidity, weather,
+  faces, transpositionModel = 'perez', albedo = 0.2, losses = {},
+  module = null, temperatureModel = 'noct',
+  inverter = null, inverterCount = 1
+}) {
+  const solarYear = buildSolarYear({ lat, lng, altitude, timeZone, year, linkeTurbidity, weather });
+
+  const faceResults = faces.map(face => ({
+    ...face,
+    poa: new Float64Array(solarYear.length),
+    unshadedPoa: new Float64Array(solarYear.length),
+    ac: new Float64Array(solarYear.length)
+  }));
+
+  const thermal = module && typeof losses.temperature !== 'number'
+    && { ...module, efficiency: moduleEfficiency(module) / 100 };
+
+  // Energy (kWh) removed by each loss step over the year
+  const tally = {};
+  const addLoss = (id, value) => { tally[id] = (tally[id] || 0) + value; };
+  let nominalDc = 0;
+  let weightedCellTemperature = 0;
+  let weightedIrradiance = 0;
+  const hourly = solarYear.map((h, i) => {
+    let dc = 0;
+    for (const face of faceResults) {
+      const { poa, beam, skyDiffuse, groundDiffuse } = planeOfArray({
+        tilt: face.tilt,
+        azimuth: face.azimuth,
+        zenith: h.zenith,
+        sunAzimuth: h.azimuth,
+        ghi: h.ghi,
+        dni: h.dni,
+        dhi: h.dhi,
+        dniExtra: h.dniExtra,
+        albedo,
+        model: transpositionModel
+      });
+      const shaded = face.shading
+        ? beam * (1 - face.shading.beamShade(90 - h.zenith, h.azimuth)) +
+          skyDiffuse * face.shading.diffuseFactor + groundDiffuse
+        : poa;
+      nominalDc += face.systemSize * poa / 1000;
+      addLoss('nearShading', face.systemSize * (poa - shaded) / 1000);
+      const effective = applyStageLosses(shaded, 'irradiance', losses, {});
+      let faceDc = applyStageLosses(face.systemSize * shaded / 1000, 'irradiance', losses, tally);
+      if (thermal && effective > 0) {
+        const cellTemp = cellTemperature(temperatureModel, {
+          poa: effective,
+          temperature: h.temperature,
+          windSpeed: h.windSpeed,
+          mounting: face.mounting,
+          module: thermal
+        });
+        const derated = faceDc * temperatureFactor(cellTemp, thermal.gammaPmp);
+        addLoss('temperature', faceDc - derated);
+        weightedCellTemperature += cellTemp * effective * face.systemSize;
+        weightedIrradiance += effective * face.systemSize;
+        faceDc = derated;
+      }
+      faceDc = applyStageLosses(faceDc, 'dc', losses, tally);
+      face.poa[i] = shaded;
+      face.unshadedPoa[i] = poa;
+      face.ac[i] = faceDc;
+      dc += faceDc;
+    }
+    let ac = dc;
+    if (inverter) {
+      const unit = inverterOutput(inverter, dc * 1000 / inverterCount);
+      ac = unit.ac * inverterCount / 1000;
+      addLoss('clipping', unit.clipped * inverterCount / 1000);
+      addLoss('inverter', dc - ac - unit.clipped * inverterCount / 1000);
+    }
+    ac = applyStageLosses(ac, 'ac', losses, tally);
+    // Faces share the AC output in proportion to their DC
+    for (const face of faceResults) face.ac[i] = dc > 0 ? face.ac[i] * ac / dc : 0;
+    return { ...h, dc, ac };
+  });
+
+  const sum = (values) => values.reduce((total, v) => total + v, 0);
+  const monthlyOf = (values) => {
+    const totals = new Array(12).fill(0);
+    hourly.forEach((h, i) => { totals[h.month - 1] += values[i]; });
+    return totals;
+  };
+
+  // Share of plane-of-array irradiance lost to near shading, in %
+  const shadeLoss = (shaded, unshaded) => unshaded > 0 ? (1 - shaded / unshaded) * 100 : 0;
+  const weighted = (key) => {
+    const totals = new Float64Array(solarYear.length);
+    for (const face of faceResults) {
+      face[key].forEach((v, i) => { totals[i] += v * face.systemSize; });
+    }
+    return totals;
+  };
+  const siteShaded = monthlyOf(weighted('poa'));
+  const siteUnshaded = monthlyOf(weighted('unshadedPoa'));
+
+  const systemSize = sum(faces.map(f => f.systemSize));
+  const annualProduction = sum(hourly.map(h => h.ac));
+
+  return {
+    timeZone,
+    year: year || REFERENCE_YEAR,
+    hourly,
+    faces: faceResults.map(face => {
+      const production = sum(face.ac);
+      const shaded = monthlyOf(face.poa);
+      const unshaded = monthlyOf(face.unshadedPoa);
+      return {
+        id: face.id,
+        name: face.name,
+        tilt: face.tilt,
+        azimuth: face.azimuth,
+        systemSize: face.systemSize,
+        annualIrradiance: sum(face.poa) / 1000,
+        annualProduction: production,
+        monthlyProduction: monthlyOf(face.ac),
+        monthlyShadeLoss: shaded.map((v, m) => shadeLoss(v, unshaded[m])),
+        annualShadeLoss: shadeLoss(sum(shaded), sum(unshaded)),
+        specificYield: face.systemSize > 0 ? production / face.systemSize : 0
+      };
+    }),
+    systemSize,
+    monthlyIrradiance: monthlyTotals(hourly, 'ghi').map(v => v / 1000),
+    monthlyProduction: monthlyTotals(hourly, 'ac'),
+    annualIrradiance: sum(hourly.map(h => h.ghi)) / 1000,
+    annualProduction,
+    // DC at nominal (STC) efficiency from unshaded plane-of-array irradiance
+    nominalDc,
+    losses: lossWaterfall(nominalDc, tally),
+    // Irradiance-weighted, i.e. the cell temperature while producing
+    averageCellTemperature: weightedIrradiance > 0 ? weightedCellTemperature / weightedIrradiance : null,
+    monthlyShadeLoss: siteShaded.map((v, m) => shadeLoss(v, siteUnshaded[m])),
+    annualShadeLoss: shadeLoss(sum(siteShaded), sum(siteUnshaded)),
+    specificYield: systemSize > 0 ? annualProduction / systemSize : 0
+  };
+}
@@ -0,0 +1,120 @@
+// Time zone helpers built on Intl so DST transitions follow the IANA rules.
+
+// Coarse lookup for the regions we are usually asked about. The first box
+// containing the point wins, so smaller boxes carved out of a larger one
+// (Qatar from the Gulf, the Indian side of the Pakistan border) come first.
+// Points outside these boxes fall back to a fixed offset derived from
+// longitude (no DST).
+const TIME_ZONE_REGIONS = [
+  // Britain and Ireland, stepped east along the Channel to leave out the
+  // French coast, and the Channel Islands
+  { zone: 'Europe/London', south: 49.8, north: 61, west: -10.7, east: 0.2 },
+  { zone: 'Europe/London', south: 50.7, north: 61, west: 0.2, east: 1 },
+  { zone: 'Europe/London', south: 50.9, north: 61, west: 1, east: 1.45 },
+  { zone: 'Europe/London', south: 51.15, north: 61, west: 1.45, east: 1.8 },
+  { zone: 'Europe/London', south: 49.15, north: 49.75, west: -2.7, east: -1.98 },
+  { zone: 'Europe/Lisbon', south: 36.9, north: 42.2, west: -9.6, east: -7 },
+  { zone: 'Europe/Lisbon', south: 40.8, north: 42.2, west: -7, east: -6.2 },
+  { zone: 'Europe/Madrid', south: 35.9, north: 43.8, west: -9.4, east: 3.4 },
+  { zone: 'Europe/Paris', south: 36, north: 71, west: -5, east: 19 },
+  { zone: 'America/New_York', south: 24, north: 50, west: -85, east: -66 },
+  { zone: 'America/Chicago', south: 25, north: 50, west: -102, east: -85 },
+  { zone: 'America/Denver', south: 31, north: 49, west: -114, east: -102 },
+  { zone: 'America/Los_Angeles', south: 32, north: 49, west: -125, east: -114 },
+  { zone: 'Asia/Tokyo', south: 24, north: 46, west: 122, east: 146 },
+  { zone: 'Australia/Sydney', south: -38, north: -28, west: 141, east: 154 },
+  // Qatar and Bahrain
+  { zone: 'Asia/Qatar', south: 24.4, north: 26.4, west: 50.3, east: 51.7 },
+  // The Emirates, stepped east along the Saudi border
+  { zone: 'Asia/Dubai', south: 24.1, north: 26.5, west: 51.6, east: 56.5 },
+  { zone: 'Asia/Dubai', south: 24, north: 24.1, west: 51.65, east: 52.1 },
+  { zone: 'Asia/Dubai', south: 23.5, north: 24.1, west: 52.1, east: 56.5 },
+  { zone: 'Asia/Dubai', south: 22.9, north: 23.5, west: 52.6, east: 56.5 },
+  { zone: 'Asia/Kabul', south: 29.4, north: 37.4, west: 60.5, east: 66.4 },
+  { zone: 'Asia/Kabul', south: 31.5, north: 37.1, west: 66.4, east: 69.3 },
+  { zone: 'Asia/Kabul', south: 33.8, north: 38.5, west: 69.3, east: 71.3 },
+  // Indian Punjab, Jammu and Kashmir and Rajasthan, east of the border
+  { zone: 'Asia/Kolkata', south: 30.5, north: 32.3, west: 74.5, east: 78 },
+  { zone: 'Asia/Kolkata', south: 32.3, north: 35, west: 74.7, east: 80 },
+  { zone: 'Asia/Kolkata', south: 28, north: 30.5, west: 73.6, east: 78 },
+  { zone: 'Asia/Kolkata', south: 24, north: 28, west: 70.9, east: 78 },
+  { zone: 'Asia/Karachi', south: 23.6, north: 37.1, west: 60.8, east: 75 },
+  { zone: 'Asia/Kolkata', south: 6, north: 35.5, west: 68, east: 97.5 }
+];
+
+export function resolveTimeZone(lat, lng) {
+  const region = TIME_ZONE_REGIONS.find(r =>
+    lat >= r.south && lat <= r.north && lng >= r.west && lng <= r.east
+  );
+  if (region) return region.zone;
+
+  // Etc/GMT zones use inverted signs: Etc/GMT-5 is UTC+5
+  const offset = Math.round(lng / 15);
+  if (offset === 0) return 'Etc/GMT';
+  return `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}`;
+}
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Wall-clock fields of a UTC instant in the given zone. Month is 1-12.
+export function getLocalParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+// Offset of the zone from UTC in minutes at the given instant
+export function getTimeZoneOffset(date, timeZone) {
+  const p = getLocalParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  return Math.round((asUtc - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+}
+
+// UTC instant of a local wall-clock time. Non-existent times (spring forward)
+// resolve to the instant after the gap.
+export function zonedTimeToUtc(year, month, day, hour, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour);
+  const firstOffset = getTimeZoneOffset(new Date(guess), timeZone);
+  const candidate = guess - firstOffset * 60000;
+  const secondOffset = getTimeZoneOffset(new Date(candidate), timeZone);
+  return new Date(guess - secondOffset * 60000);
+}
+
+// Every hour of a local calendar year, as UTC instants. Always 8760 or 8784
+// entries: the hour lost in spring is given back in autumn.
+export function hoursOfYear(year, timeZone) {
+  const start = zonedTimeToUtc(year, 1, 1, 0, timeZone).getTime();
+  const end = zonedTimeToUtc(year + 1, 1, 1, 0, timeZone).getTime();
+  const hours = [];
+  for (let t = start; t < end; t += 3600000) {
+    hours.push(new Date(t));
+  }
+  return hours;
+}
@@ -0,0 +1,70 @@
+// Plane-of-array irradiance from GHI/DNI/DHI (Hay-Davies and Perez 1990).
+// Surface azimuth is clockwise from north (180 = south-facing).
+
+import { relativeAirMass } from './clearSky.js';
+
+const DEG = Math.PI / 180;
+
+// Perez 1990 "allsites composite" coefficients, one row per clearness bin
+const PEREZ_EPSILON_BINS = [1.065, 1.23, 1.5, 1.95, 2.8, 4.5, 6.2];
+const PEREZ_F1 = [
+  [-0.008, 0.588, -0.062], [0.130, 0.683, -0.151], [0.330, 0.487, -0.221], [0.568, 0.187, -0.295],
+  [0.873, -0.392, -0.362], [1.132, -1.237, -0.412], [1.060, -1.600, -0.359], [0.678, -0.327, -0.250]
+];
+const PEREZ_F2 = [
+  [-0.060, 0.072, -0.022], [-0.019, 0.066, -0.029], [0.055, -0.064, -0.026], [0.109, -0.152, -0.014],
+  [0.226, -0.462, 0.001], [0.288, -0.823, 0.056], [0.264, -1.127, 0.131], [0.156, -1.377, 0.251]
+];
+
+export const TRANSPOSITION_MODELS = [
+  { id: 'perez', name: 'Perez (1990)' },
+  { id: 'haydavies', name: 'Hay-Davies' }
+];
+
+export function cosAngleOfIncidence(tilt, surfaceAzimuth, zenith, sunAzimuth) {
+  return Math.cos(zenith * DEG) * Math.cos(tilt * DEG) +
+    Math.sin(zenith * DEG) * Math.sin(tilt * DEG) * Math.cos((sunAzimuth - surfaceAzimuth) * DEG);
+}
+
+function hayDaviesDiffuse(tilt, cosAoi, zenith, dni, dhi, dniExtra) {
+  const anisotropy = Math.min(1, dni / dniExtra);
+  const rb = Math.max(cosAoi, 0) / Math.max(Math.cos(zenith * DEG), Math.cos(89 * DEG));
+  return dhi * ((1 - anisotropy) * (1 + Math.cos(tilt * DEG)) / 2 + anisotropy * rb);
+}
+
+function perezDiffuse(tilt, cosAoi, zenith, dni, dhi, dniExtra) {
+  const z = zenith * DEG;
+  const kappaZ3 = 1.041 * z * z * z;
+  const epsilon = ((dhi + dni) / dhi + kappaZ3) / (1 + kappaZ3);
+  const delta = dhi * relativeAirMass(zenith) / dniExtra;
+
+  let bin = PEREZ_EPSILON_BINS.findIndex(limit => epsilon < limit);
+  if (bin === -1) bin = PEREZ_EPSILON_BINS.length;
+  const [f11, f12, f13] = PEREZ_F1[bin];
+  const [f21, f22, f23] = PEREZ_F2[bin];
+  const f1 = Math.max(0, f11 + f12 * delta + f13 * z);
+  const f2 = f21 + f22 * delta + f23 * z;
+
+  const a = Math.max(0, cosAoi);
+  const b = Math.max(Math.cos(85 * DEG), Math.cos(z));
+  return Math.max(0, dhi * ((1 - f1) * (1 + Math.cos(tilt * DEG)) / 2 + f1 * a / b + f2 * Math.sin(tilt * DEG)));
+}
+
+// Returns { poa, beam, skyDiffuse, groundDiffuse, cosAoi } in W/m²
+export function planeOfArray({ tilt, azimuth, zenith, sunAzimuth, ghi, dni, dhi, dniExtra, albedo = 0.2, model = 'perez' }) {
+  if (zenith >= 90 || ghi <= 0) {
+    return { poa: 0, beam: 0, skyDiffuse: 0, groundDiffuse: 0, cosAoi: 0 };
+  }
+
+  const cosAoi = cosAngleOfIncidence(tilt, azimuth, zenith, sunAzimuth);
+  const beam = Math.max(0, dni * cosAoi);
+  let skyDiffuse = 0;
+  if (dhi > 0) {
+    skyDiffuse = model === 'haydavies'
+      ? hayDaviesDiffuse(tilt, cosAoi, zenith, dni, dhi, dniExtra)
+      : perezDiffuse(tilt, cosAoi, zenith, dni, dhi, dniExtra);
+  }
+  const groundDiffuse = ghi * albedo * (1 - Math.cos(tilt * DEG)) / 2;
+
+  return { poa: beam + skyDiffuse + groundDiffuse, beam, skyDiffuse, groundDiffuse, cosAoi };
+}
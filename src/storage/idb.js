@@ -0,0 +1,54 @@
+// Minimal promise wrapper around the app's IndexedDB database.
+
+const DB_NAME = 'solarvision';
+const DB_VERSION = 6;
+const STORES = ['weather', 'equipment', 'tariffs', 'incentives', 'preferences', 'projects'];
+
+let dbPromise = null;
+
+export function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        for (const name of STORES) {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+function run(storeName, mode, operation) {
+  return openDatabase().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = operation(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  }));
+}
+
+export function idbGet(storeName, key) {
+  return run(storeName, 'readonly', store => store.get(key));
+}
+
+export function idbGetAll(storeName) {
+  return run(storeName, 'readonly', store => store.getAll());
+}
+
+export function idbPut(storeName, key, value) {
+  return run(storeName, 'readwrite', store => store.put(value, key));
+}
+
+export function idbDelete(storeName, key) {
+  return run(storeName, 'readwrite', store => store.delete(key));
+}
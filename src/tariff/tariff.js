@@ -0,0 +1,232 @@
+import bundledTariffs from './tariffs.json';
+import { idbGet, idbPut } from '../storage/idb.js';
+import { exchangeRate } from '../units/units.js';
+
+// Electricity tariffs and the hourly bill calculation.
+//
+// A tariff has energy periods (each a flat rate or tiered monthly blocks),
+// a schedule mapping month, weekday and hour to a period, a fixed monthly
+// charge, optional demand charges on the monthly peak import and an export
+// rule:
+//   netMetering - exports bank kWh against imports in the same period,
+//                 month to month; surplus at year end is paid at surplusRate
+//   netBilling  - exports earn a bill credit at the export rate
+//   none        - exports earn nothing
+// Amounts are held in US dollars; files may name the `currency` they are
+// priced in and are converted on import.
+
+export const EXPORT_TYPES = [
+  { id: 'netMetering', name: 'Net metering' },
+  { id: 'netBilling', name: 'Net billing' },
+  { id: 'none', name: 'No export compensation' }
+];
+
+const DAY_TYPES = ['all', 'weekdays', 'weekends'];
+const CUSTOM_KEY = 'custom';
+
+function slug(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// `scale` converts the entry's amounts to dollars
+export function normalizeTariff(entry, source = 'bundled', scale = 1) {
+  const name = entry.name;
+  if (!name) throw new Error('Tariff is missing a name');
+  if (!Array.isArray(entry.periods) || entry.periods.length === 0) {
+    throw new Error(`Tariff "${name}" needs at least one energy period`);
+  }
+  const periods = entry.periods.map(period => {
+    if (!period.id) throw new Error(`Tariff "${name}" has a period without an id`);
+    const tiers = period.tiers || [{ upTo: null, rate: period.rate }];
+    if (tiers.some(tier => typeof tier.rate !== 'number')) {
+      throw new Error(`Period "${period.id}" of tariff "${name}" needs a rate or tiers of { upTo, rate }`);
+    }
+    // The last block is always open-ended
+    return {
+      id: period.id,
+      name: period.name || period.id,
+      tiers: tiers.map((tier, i) => ({ upTo: i === tiers.length - 1 ? null : tier.upTo, rate: tier.rate * scale }))
+    };
+  });
+  const periodIds = periods.map(period => period.id);
+  const schedule = (entry.schedule || []).map(rule => {
+    if (!periodIds.includes(rule.period)) {
+      throw new Error(`Tariff "${name}" schedules unknown period "${rule.period}"`);
+    }
+    if (rule.days && !DAY_TYPES.includes(rule.days)) {
+      throw new Error(`Tariff "${name}" has days "${rule.days}"; use ${DAY_TYPES.join(', ')}`);
+    }
+    return {
+      months: rule.months || [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12],
+      days: rule.days || 'all',
+      hours: rule.hours || [0, 24],
+      period: rule.period
+    };
+  });
+  const defaultPeriod = entry.defaultPeriod || periodIds[periodIds.length - 1];
+  if (!periodIds.includes(defaultPeriod)) {
+    throw new Error(`Tariff "${name}" has unknown default period "${defaultPeriod}"`);
+  }
+  const exportRule = entry.export || { type: 'none' };
+  if (!EXPORT_TYPES.some(type => type.id === exportRule.type)) {
+    throw new Error(`Tariff "${name}" has export type "${exportRule.type}"; use ${EXPORT_TYPES.map(t => t.id).join(', ')}`);
+  }
+  return {
+    id: entry.id || `tariff-${slug(name)}`,
+    name,
+    utility: entry.utility || '',
+    fixedMonthlyCharge: (entry.fixedMonthlyCharge || 0) * scale,
+    periods,
+    schedule,
+    defaultPeriod,
+    demand: (entry.demand || []).map(charge => ({
+      name: charge.name || 'Demand',
+      rate: charge.rate * scale,
+      period: charge.period || null
+    })),
+    export: {
+      type: exportRule.type,
+      rate: (exportRule.rate || 0) * scale,
+      periodRates: Object.fromEntries(Object.entries(exportRule.periodRates || {}).map(([id, rate]) => [id, rate * scale])),
+      surplusRate: (exportRule.surplusRate || 0) * scale
+    },
+    currency: entry.currency || 'USD',
+    source
+  };
+}
+
+export const BUNDLED_TARIFFS = bundledTariffs.map(entry => normalizeTariff(entry));
+export const DEFAULT_TARIFF_ID = BUNDLED_TARIFFS[0].id;
+
+// Accepts a single tariff or an array of them. Tariffs without a `currency`
+// are taken to be priced in the one selected in `units`.
+export function parseTariffFile(text, units) {
+  const data = JSON.parse(text);
+  const entries = Array.isArray(data) ? data : [data];
+  if (entries.length === 0) throw new Error('No tariffs were found in this file.');
+  return entries.map(entry => {
+    const currency = entry.currency || units.currency;
+    return normalizeTariff({ ...entry, currency }, 'imported', 1 / exchangeRate(units, currency));
+  });
+}
+
+export async function loadCustomTariffs() {
+  return (await idbGet('tariffs', CUSTOM_KEY)) || [];
+}
+
+export function saveCustomTariffs(tariffs) {
+  return idbPut('tariffs', CUSTOM_KEY, tariffs);
+}
+
+// `hour` carries the local month (1-12), weekday (0 = Sunday) and hour.
+// The first matching schedule rule wins.
+export function periodAt(tariff, { month, weekday, hour }) {
+  const weekend = weekday === 0 || weekday === 6;
+  const rule = tariff.schedule.find(r =>
+    r.months.includes(month) &&
+    (r.days === 'all' || (r.days === 'weekends') === weekend) &&
+    hour >= r.hours[0] && hour < r.hours[1]
+  );
+  return rule ? rule.period : tariff.defaultPeriod;
+}
+
+// Cost of `kwh` more energy in a period once `used` kWh have been billed
+// this month, walking the tier blocks
+function tieredCost(tiers, used, kwh) {
+  let cost = 0;
+  let start = used;
+  let remaining = kwh;
+  for (const tier of tiers) {
+    if (remaining <= 0) break;
+    const room = tier.upTo === null ? Infinity : tier.upTo - start;
+    if (room <= 0) continue;
+    const block = Math.min(room, remaining);
+    cost += block * tier.rate;
+    start += block;
+    remaining -= block;
+  }
+  return cost;
+}
+
+// Hourly bill for a year. `hours` are the simulation steps (local month,
+// weekday and hour), `load` and `production` are kWh per step; production
+// defaults to none, giving the bill without solar.
+export function computeBill(tariff, hours, load, production = null) {
+  const periods = new Map(tariff.periods.map(period => [period.id, period]));
+  const months = Array.from({ length: 12 }, () => ({
+    imported: 0,
+    exported: 0,
+    fixed: tariff.fixedMonthlyCharge,
+    energy: 0,
+    demand: 0,
+    credit: 0,
+    total: 0,
+    peakDemand: 0,
+    periodImport: {},
+    periodExport: {},
+    demandPeaks: tariff.demand.map(() => 0)
+  }));
+
+  hours.forEach((h, i) => {
+    const net = load[i] - (production ? production[i] : 0);
+    const imported = Math.max(0, net);
+    const exported = Math.max(0, -net);
+    const month = months[h.month - 1];
+    const period = periodAt(tariff, h);
+    month.imported += imported;
+    month.exported += exported;
+    month.periodImport[period] = (month.periodImport[period] || 0) + imported;
+    month.periodExport[period] = (month.periodExport[period] || 0) + exported;
+    // Hourly steps, so kWh in the hour is the average kW
+    month.peakDemand = Math.max(month.peakDemand, imported);
+    tariff.demand.forEach((charge, c) => {
+      if (!charge.period || charge.period === period) {
+        month.demandPeaks[c] = Math.max(month.demandPeaks[c], imported);
+      }
+    });
+    if (tariff.export.type !== 'netMetering') {
+      month.energy += tieredCost(periods.get(period).tiers, month.imported - imported, imported);
+      if (tariff.export.type === 'netBilling') {
+        month.credit += exported * (tariff.export.periodRates[period] ?? tariff.export.rate);
+      }
+    }
+  });
+
+  // Net metering nets kWh per period each month, carrying surplus forward
+  const bank = {};
+  let carriedCredit = 0;
+  for (const month of months) {
+    month.demand = tariff.demand.reduce((sum, charge, c) => sum + charge.rate * month.demandPeaks[c], 0);
+    if (tariff.export.type === 'netMetering') {
+      let billed = 0;
+      for (const period of tariff.periods) {
+        const net = (month.periodImport[period.id] || 0) - (month.periodExport[period.id] || 0) - (bank[period.id] || 0);
+        bank[period.id] = Math.max(0, -net);
+        if (net > 0) {
+          month.energy += tieredCost(period.tiers, billed, net);
+          billed += net;
+        }
+      }
+      month.total = month.fixed + month.energy + month.demand;
+    } else {
+      // Export credits offset energy and demand charges and roll over
+      const available = month.credit + carriedCredit;
+      const applied = Math.min(available, month.energy + month.demand);
+      carriedCredit = available - applied;
+      month.total = month.fixed + month.energy + month.demand - applied;
+    }
+  }
+
+  const surplusPayment = tariff.export.type === 'netMetering'
+    ? Object.values(bank).reduce((sum, kwh) => sum + kwh, 0) * tariff.export.surplusRate
+    : 0;
+  const sum = (key) => months.reduce((total, month) => total + month[key], 0);
+  return {
+    months: months.map(({ imported, exported, fixed, energy, demand, credit, total, peakDemand }) => ({
+      imported, exported, fixed, energy, demand, credit, total, peakDemand
+    })),
+    imported: sum('imported'),
+    exported: sum('exported'),
+    total: sum('total') - surplusPayment
+  };
+}
@@ -0,0 +1,78 @@
+import { idbGet, idbPut } from '../storage/idb.js';
+
+// Display units and currency. The analysis works in SI units and US dollars
+// throughout; this layer converts at the edges, formatting results and
+// turning price inputs typed in the chosen currency back into dollars.
+// Exchange rates are units of the currency per US dollar, bundled for offline
+// use and overridable in the settings.
+
+export const UNIT_SYSTEMS = [
+  { id: 'metric', name: 'Metric (m², kg)' },
+  { id: 'imperial', name: 'Imperial (ft², lb)' }
+];
+
+export const CURRENCIES = [
+  { code: 'USD', name: 'US dollar', rate: 1 },
+  { code: 'EUR', name: 'Euro', rate: 0.92 },
+  { code: 'GBP', name: 'Pound sterling', rate: 0.79 },
+  { code: 'JPY', name: 'Japanese yen', rate: 150 },
+  { code: 'AED', name: 'UAE dirham', rate: 3.6725 },
+  { code: 'AUD', name: 'Australian dollar', rate: 1.52 },
+  { code: 'CAD', name: 'Canadian dollar', rate: 1.36 },
+  { code: 'INR', name: 'Indian rupee', rate: 83 },
+  { code: 'PKR', name: 'Pakistani rupee', rate: 280 }
+];
+
+export const DEFAULT_UNITS = {
+  unitSystem: 'metric',
+  currency: 'USD',
+  // { [code]: rate } overriding the bundled rates
+  exchangeRates: {}
+};
+
+const SQUARE_FEET_PER_M2 = 10.7639;
+const POUNDS_PER_KG = 2.20462;
+const KG_PER_SHORT_TON = 907.185;
+const MILES_PER_KM = 0.621371;
+const PREFERENCES_KEY = 'units';
+
+export function exchangeRate(units, code = units.currency) {
+  return units.exchangeRates[code] ?? CURRENCIES.find(c => c.code === code)?.rate ?? 1;
+}
+
+export async function loadUnitSettings() {
+  return { ...DEFAULT_UNITS, ...(await idbGet('preferences', PREFERENCES_KEY)) };
+}
+
+export function saveUnitSettings(units) {
+  return idbPut('preferences', PREFERENCES_KEY, units);
+}
+
+// Returns the helpers components format with; amounts passed in are dollars,
+// SI quantities are converted for the imperial system. Numbers follow the
+// conventions of `locale` (the interface language).
+export function createFormatter(units, locale) {
+  const rate = exchangeRate(units);
+  const imperial = units.unitSystem === 'imperial';
+  const currencyFormat = (options) => new Intl.NumberFormat(locale, { style: 'currency', currency: units.currency, ...options });
+  const whole = currencyFormat({ maximumFractionDigits: 0, minimumFractionDigits: 0 });
+  const unitPrice = currencyFormat({ maximumSignificantDigits: 3 });
+  const number = (value, digits = 0) => value.toLocaleString(locale, { maximumFractionDigits: digits });
+
+  return {
+    currency: units.currency,
+    symbol: whole.formatToParts(0).find(part => part.type === 'currency').value,
+    toCurrency: (usd) => Math.round(usd * rate * 10000) / 10000,
+    fromCurrency: (value) => value / rate,
+    // Totals, to the whole unit
+    money: (usd) => whole.format(Math.round(usd * rate) || 0),
+    // Whole amounts without the symbol, for tables headed with the currency
+    amount: (usd) => (Math.round(usd * rate) || 0).toLocaleString(locale),
+    // Prices per kWh, W, kW and the like, to three significant figures
+    price: (usd) => unitPrice.format(usd * rate),
+    area: (m2) => imperial ? `${number(m2 * SQUARE_FEET_PER_M2)} ft²` : `${number(m2)} m²`,
+    mass: (kg) => imperial ? `${number(kg * POUNDS_PER_KG)} lb` : `${number(kg)} kg`,
+    tons: (kg) => imperial ? `${number(kg / KG_PER_SHORT_TON, 1)} tons` : `${number(kg / 1000, 1)} t`,
+    distance: (km) => imperial ? `${number(km * MILES_PER_KM, 1)} mi` : `${number(km, 1)} km`
+  };
+}
@@ -0,0 +1,57 @@
+// CSV reading and writing shared by the exports, the batch module and the
+// consumption and weather parsers; kept free of imports so the parsers do not
+// pull in the exporters.
+
+// Records of a CSV text, split at line breaks outside quotes so a quoted
+// field may span lines; blank lines are dropped
+export function splitCsvRecords(text) {
+  const records = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') quoted = !quoted;
+    if ((char === '\n' || char === '\r') && !quoted) {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      if (current.trim() !== '') records.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim() !== '') records.push(current);
+  return records;
+}
+
+// Fields of one CSV record, trimmed; the reading side of csvCell, so quoted
+// fields may hold the delimiter and "" stands for a quote
+export function splitCsvLine(line, delimiter = ',') {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"' && quoted && line[i + 1] === '"') {
+      current += '"';
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === delimiter && !quoted) {
+      fields.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current);
+  return fields.map(f => f.trim());
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
@@ -0,0 +1,16 @@
+// Unique ids for roofs, obstacles and projects. crypto.randomUUID exists only
+// in secure contexts (https or localhost); a page served over plain http
+// builds the same version 4 UUID from getRandomValues.
+
+function randomUuid() {
+  if (typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+export function createId(prefix) {
+  return `${prefix}_${randomUuid()}`;
+}
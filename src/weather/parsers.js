@@ -0,0 +1,131 @@
+import { splitCsvLine } from '../util/csv.js';
+
+// Parsers for typical-meteorological-year files. Both formats are normalised
+// to 8760 hourly records in local standard time, hour 0 covering 00:00-01:00.
+
+const DAYS_BEFORE_MONTH = [0, 31, 59, 90, 120, 151, 181, 212, 243, 273, 304, 334];
+
+export function hourOfYear(month, day, hour) {
+  return (DAYS_BEFORE_MONTH[month - 1] + day - 1) * 24 + hour;
+}
+
+function toNumber(value, missing) {
+  const n = parseFloat(value);
+  if (isNaN(n) || (missing !== undefined && n >= missing)) return null;
+  return n;
+}
+
+// Sorts records into hour-of-year order, drops Feb 29 and fills short gaps
+// by carrying the previous value forward.
+function normalizeRecords(records) {
+  const hours = new Array(8760).fill(null);
+  for (const r of records) {
+    if (r.month === 2 && r.day === 29) continue;
+    hours[hourOfYear(r.month, r.day, r.hour)] = r;
+  }
+  const missing = hours.filter(h => !h).length;
+  if (missing > 0) {
+    throw new Error(`Weather file is incomplete: ${missing} of 8760 hours are missing`);
+  }
+
+  const fields = ['ghi', 'dni', 'dhi', 'temperature', 'windSpeed'];
+  const last = { ghi: 0, dni: 0, dhi: 0, temperature: 15, windSpeed: 1 };
+  return hours.map(h => {
+    const record = { month: h.month, day: h.day, hour: h.hour };
+    for (const field of fields) {
+      record[field] = h[field] === null ? last[field] : h[field];
+      last[field] = record[field];
+    }
+    return record;
+  });
+}
+
+// EnergyPlus weather format: 8 header lines, then hour-ending data rows
+export function parseEPW(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  const location = splitCsvLine(lines[0]);
+  if (location[0].toUpperCase() !== 'LOCATION') {
+    throw new Error('Not an EPW file: missing LOCATION header');
+  }
+
+  const records = lines.slice(8).map(line => {
+    const f = splitCsvLine(line);
+    return {
+      month: parseInt(f[1]),
+      day: parseInt(f[2]),
+      hour: parseInt(f[3]) - 1,
+      temperature: toNumber(f[6], 99.9),
+      ghi: toNumber(f[13], 9999),
+      dni: toNumber(f[14], 9999),
+      dhi: toNumber(f[15], 9999),
+      windSpeed: toNumber(f[21], 999)
+    };
+  });
+
+  return {
+    format: 'EPW',
+    station: {
+      name: [location[1], location[2], location[3]].filter(v => v && v !== '-').join(', '),
+      lat: parseFloat(location[6]),
+      lng: parseFloat(location[7]),
+      utcOffset: parseFloat(location[8]),
+      elevation: parseFloat(location[9])
+    },
+    records: normalizeRecords(records)
+  };
+}
+
+// NREL TMY3 CSV: station line, column header line, then hour-ending rows
+export function parseTMY3(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  const meta = splitCsvLine(lines[0]);
+  const header = splitCsvLine(lines[1]);
+  const column = (prefix) => {
+    const index = header.findIndex(h => h.toLowerCase().startsWith(prefix.toLowerCase()));
+    if (index === -1) throw new Error(`TMY3 file has no "${prefix}" column`);
+    return index;
+  };
+  const cols = {
+    date: column('Date'),
+    time: column('Time'),
+    ghi: column('GHI ('),
+    dni: column('DNI ('),
+    dhi: column('DHI ('),
+    temperature: column('Dry-bulb'),
+    windSpeed: column('Wspd')
+  };
+
+  const records = lines.slice(2).map(line => {
+    const f = splitCsvLine(line);
+    const [month, day] = f[cols.date].split('/').map(v => parseInt(v));
+    return {
+      month,
+      day,
+      hour: parseInt(f[cols.time].split(':')[0]) - 1,
+      ghi: toNumber(f[cols.ghi]),
+      dni: toNumber(f[cols.dni]),
+      dhi: toNumber(f[cols.dhi]),
+      temperature: toNumber(f[cols.temperature]),
+      windSpeed: toNumber(f[cols.windSpeed])
+    };
+  });
+
+  return {
+    format: 'TMY3',
+    station: {
+      name: [meta[1], meta[2]].filter(Boolean).join(', '),
+      lat: parseFloat(meta[4]),
+      lng: parseFloat(meta[5]),
+      utcOffset: parseFloat(meta[3]),
+      elevation: parseFloat(meta[6])
+    },
+    records: normalizeRecords(records)
+  };
+}
+
+export function parseWeatherFile(text, fileName = '') {
+  if (fileName.toLowerCase().endsWith('.epw') || /^\s*LOCATION,/i.test(text)) {
+    return parseEPW(text);
+  }
+  return parseTMY3(text);
+}
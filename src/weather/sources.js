@@ -0,0 +1,95 @@
+import { idbGet, idbPut } from '../storage/idb.js';
+import { parseEPW, parseTMY3, parseWeatherFile } from './parsers.js';
+
+// A weather source is { id, name, getWeather({ lat, lng }) } where
+// getWeather resolves to parsed TMY data, or null for the modelled sky
+// (clear sky derated by typical cloud cover, see clearSky.js).
+
+const CACHE_STORE = 'weather';
+const CACHE_MAX_AGE = 30 * 24 * 3600 * 1000;
+
+export const clearSkySource = {
+  id: 'clear-sky',
+  name: 'Modelled sky (Ineichen clear sky, typical cloud)',
+  getWeather: async () => null
+};
+
+export function createFileWeatherSource(fileName, text) {
+  const weather = parseWeatherFile(text, fileName);
+  return {
+    id: `file:${fileName}`,
+    name: `${weather.format} file: ${weather.station.name || fileName}`,
+    station: weather.station,
+    getWeather: async () => weather
+  };
+}
+
+export function createHttpWeatherSource({ id, name, buildUrl, parse }) {
+  return {
+    id,
+    name,
+    getWeather: async ({ lat, lng }) => {
+      const response = await fetch(buildUrl(lat, lng));
+      if (!response.ok) {
+        throw new Error(`${name} request failed with HTTP ${response.status}`);
+      }
+      return parse(await response.text());
+    }
+  };
+}
+
+// PVGIS-compatible TMY endpoint (also works for a local stand-in server)
+export function createPvgisSource(baseUrl) {
+  const root = baseUrl.replace(/\/$/, '');
+  return createHttpWeatherSource({
+    id: `pvgis:${root}`,
+    name: 'PVGIS TMY',
+    buildUrl: (lat, lng) => `${root}/tmy?lat=${lat.toFixed(4)}&lon=${lng.toFixed(4)}&outputformat=epw`,
+    parse: parseEPW
+  });
+}
+
+// NSRDB-style endpoint returning TMY3 CSV
+export function createNsrdbSource(baseUrl) {
+  const root = baseUrl.replace(/\/$/, '');
+  return createHttpWeatherSource({
+    id: `nsrdb:${root}`,
+    name: 'NSRDB TMY',
+    buildUrl: (lat, lng) => `${root}/tmy.csv?wkt=POINT(${lng.toFixed(4)}%20${lat.toFixed(4)})`,
+    parse: parseTMY3
+  });
+}
+
+// Persists responses in IndexedDB keyed by rounded coordinates (~1 km)
+export function withCache(source, { maxAge = CACHE_MAX_AGE, precision = 2 } = {}) {
+  return {
+    ...source,
+    getWeather: async ({ lat, lng }) => {
+      const key = `${source.id}|${lat.toFixed(precision)}|${lng.toFixed(precision)}`;
+      try {
+        const cached = await idbGet(CACHE_STORE, key);
+        if (cached && Date.now() - cached.savedAt < maxAge) {
+          return { ...cached.weather, cached: true };
+        }
+      } catch (error) {
+        console.warn('Weather cache unavailable:', error);
+      }
+
+      const weather = await source.getWeather({ lat, lng });
+      if (weather) {
+        idbPut(CACHE_STORE, key, { savedAt: Date.now(), weather })
+          .catch(error => console.warn('Could not cache weather data:', error));
+      }
+      return weather;
+    }
+  };
+}
+
+// HTTP providers configured at build time, e.g. VITE_WEATHER_API_URL=http://localhost:8080
+export function getConfiguredSources() {
+  const url = import.meta.env.VITE_WEATHER_API_URL;
+  if (!url) return [];
+  const format = (import.meta.env.VITE_WEATHER_API_FORMAT || 'pvgis').toLowerCase();
+  const source = format === 'nsrdb' ? createNsrdbSource(url) : createPvgisSource(url);
+  return [withCache(source)];
+}